@@ -0,0 +1,115 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import dotenv from 'dotenv';
+import { getChatModel } from '../config/llm.js';
+
+dotenv.config();
+
+// Rough token estimate; good enough to keep history inside the context window
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Loads and records conversation turns and keeps the history that is sent to
+// the model under a token budget by summarising the oldest turns.
+class ConversationMemory {
+  constructor(store, {
+    maxTokens = parseInt(process.env.HISTORY_MAX_TOKENS) || 1500,
+    keepMessages = parseInt(process.env.HISTORY_KEEP_MESSAGES) || 6
+  } = {}) {
+    this.store = store;
+    this.maxTokens = maxTokens;
+    this.keepMessages = keepMessages;
+  }
+
+  // Fetch the session, creating it when the ID is new or missing
+  async load(sessionId, tenantId) {
+    if (sessionId) {
+      const session = await this.store.get(sessionId, tenantId);
+      if (session) {
+        return session;
+      }
+    }
+    return this.store.create({ sessionId, tenantId });
+  }
+
+  // Plain-text history for prompts: the running summary plus recent turns
+  formatHistory(session) {
+    if (!session) {
+      return '';
+    }
+
+    const lines = [];
+    if (session.summary) {
+      lines.push(`Summary of earlier conversation: ${session.summary}`);
+    }
+    for (const message of session.messages) {
+      lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`);
+    }
+    return lines.join('\n');
+  }
+
+  // The most recent chart, so follow-ups like "make that a pie chart" can reuse it
+  lastChart(session) {
+    const message = [...(session?.messages || [])]
+      .reverse()
+      .find(entry => entry.role === 'assistant' && entry.metadata?.chartConfig);
+    return message ? message.metadata.chartConfig : null;
+  }
+
+  // `runId` ties the answer to its trace, so a run can be exported later
+  async record(session, userQuery, response, { runId } = {}) {
+    const timestamp = new Date().toISOString();
+    session.messages.push(
+      { role: 'user', content: userQuery, timestamp },
+      {
+        role: 'assistant',
+        content: response.answer,
+        timestamp,
+        metadata: {
+          fileIds: response.fileIds || [],
+          ...(response.citations?.length > 0 && { citations: response.citations }),
+          chartConfig: response.chartConfig || null,
+          ...(runId && { runId })
+        }
+      }
+    );
+
+    await this.compact(session);
+    return this.store.save(session);
+  }
+
+  // Fold the oldest messages into the summary once the history is over budget
+  async compact(session) {
+    if (estimateTokens(this.formatHistory(session)) <= this.maxTokens ||
+        session.messages.length <= this.keepMessages) {
+      return;
+    }
+
+    const older = session.messages.slice(0, session.messages.length - this.keepMessages);
+    const recent = session.messages.slice(session.messages.length - this.keepMessages);
+    const transcript = this.formatHistory({ summary: session.summary, messages: older });
+
+    try {
+      const prompt = ChatPromptTemplate.fromTemplate(`
+Summarise the following conversation so it can be continued later. Keep names, numbers, file IDs and open questions. Use at most 120 words.
+
+Conversation:
+{transcript}
+
+Summary:
+`);
+
+      const chain = prompt.pipe(getChatModel('summary'));
+      const response = await chain.invoke({ transcript });
+      session.summary = response.content.trim();
+    } catch (error) {
+      // Without a model, keep the tail of the old transcript instead
+      console.error('History summarisation error:', error);
+      session.summary = transcript.slice(-this.maxTokens * 2);
+    }
+
+    session.messages = recent;
+  }
+}
+
+export default ConversationMemory;
@@ -1,16 +1,154 @@
 import { StateGraph, END } from '@langchain/langgraph';
 import { ChatPromptTemplate } from '@langchain/core/prompts';
-import { chatModel } from '../config/llm.js';
+import { getChatModel, runChain } from '../config/llm.js';
 import ChartTool from '../tools/chart-tool.js';
+import ToolRegistry, { validateInput } from '../tools/tool-registry.js';
+import calculatorTool from '../tools/calculator.js';
+import { fromPayload, fromText, fromSearchResults } from '../tools/chart-data.js';
+import { aggregate, parseAggregationRequest } from '../tools/dataset-query.js';
+import defaultDatasetStore from '../stores/dataset-store.js';
+import { DEFAULT_TENANT } from '../config/database.js';
+import { createConversationStore } from '../stores/conversation-store.js';
+import { createResponseCache } from '../stores/response-cache.js';
 import RAGAgent from './rag-agent.js';
+import QueryRouter from './query-router.js';
+import Planner from './planner.js';
+import { CHART_TYPES, extractEntities, matchChart, matchInfo, routeName } from './route-classifier.js';
+import ConversationMemory from './conversation-memory.js';
+import { withTimeout, TimeoutError } from '../utils/timeout.js';
+import { LLM_ERROR_CODES, LlmError, describeError } from '../llm/llm-error.js';
+import { Trace, recordError, runWithTrace, snapshot, tracingEnabled, withSpan } from '../tracing/tracer.js';
+import { createTraceStore } from '../tracing/trace-store.js';
+import HttpError from '../utils/http-error.js';
+import { exportTrace } from '../tracing/otlp-exporter.js';
+
+// Follow-ups such as "make that a pie chart" refer back to the previous chart
+const REFERS_BACK = /\b(that|this|it|same|previous|last|above)\b/i;
+
+function omitMessages({ messages, ...rest }) {
+  return rest;
+}
+
+// What a run that failed answers with: a message for the kind of model
+// failure, and the error itself with its code
+function failedAnswer(error, fallback) {
+  const described = describeError(error);
+  return { answer: LLM_ERROR_CODES[described.code]?.answer || fallback, error: described };
+}
+
+// Graph nodes that are not tools
+const RESERVED_NODES = ['analyze_query', 'direct_response', 'execute_plan', 'combine_results'];
 
 class DelegatingAgent {
-  constructor() {
-    this.chartTool = new ChartTool();
+  constructor({
+    datasetStore = defaultDatasetStore,
+    conversationStore = createConversationStore(),
+    traceStore = createTraceStore(),
+    responseCache = createResponseCache(),
+    toolRegistry = new ToolRegistry(),
+    branchTimeouts = {}
+  } = {}) {
+    this.datasetStore = datasetStore;
+    this.branchTimeouts = {
+      chart: parseInt(process.env.CHART_TIMEOUT_MS) || 30000,
+      rag: parseInt(process.env.RAG_TIMEOUT_MS) || 30000,
+      ...branchTimeouts
+    };
+    this.memory = new ConversationMemory(conversationStore);
+    this.traceStore = traceStore;
+    this.responseCache = responseCache;
+    this.chartTool = new ChartTool({ datasetStore });
     this.ragAgent = new RAGAgent();
+    this.router = new QueryRouter();
+    this.planner = new Planner();
+    this.tools = toolRegistry;
+    this.registerBuiltInTools();
     this.setupGraph();
   }
 
+  // The chart tool, the knowledge base and the calculator. Tools registered
+  // later (see loadToolPlugins) get their own graph node the same way.
+  registerBuiltInTools() {
+    this.tools.register({
+      name: 'chart',
+      node: 'chart_tool',
+      description: 'Creates Chart.js charts from attached data, stored datasets, numbers in the query or the knowledge base. Use this for charts, graphs, plots and visualizations.',
+      schema: {
+        type: 'object',
+        properties: {
+          // No enum: other names ("histogram") are drawn as the nearest type
+          chartType: { type: 'string', description: `One of ${CHART_TYPES.join(', ')}` },
+          title: { type: 'string' }
+        }
+      },
+      match: matchChart,
+      timeoutMs: this.branchTimeouts.chart,
+      failureMessage: "I couldn't create a chart",
+      handler: async (input, context) => {
+        const result = await this.generateChart(context, input);
+        if (!result.success) {
+          return { success: false, error: result.error, answer: result.message };
+        }
+        const warnings = result.warnings || [];
+        return {
+          success: true,
+          answer: ["I've created a chart for you.", ...warnings.map(warning => `Note: ${warning}.`)].join(' '),
+          context: JSON.stringify(result),
+          chartConfig: result.chartConfig,
+          warnings,
+          references: { chartSources: result.dataSources || [] }
+        };
+      },
+      describe: result => result.success
+        ? { chartType: result.chartType, message: `Generated ${result.chartType} chart` }
+        : { message: `Chart generation failed: ${result.error}` }
+    });
+
+    this.tools.register({
+      name: 'rag',
+      node: 'rag_agent',
+      description: 'Answers questions from the knowledge base, with citations. Use this for questions, explanations and comparisons.',
+      schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'The question to search the knowledge base for' }
+        }
+      },
+      match: matchInfo,
+      fallback: true,
+      timeoutMs: this.branchTimeouts.rag,
+      failureMessage: "I couldn't search the knowledge base",
+      prepare: async (context, args = {}) => ({ query: args.query || context.query }),
+      handler: async (input, context) => {
+        const result = await this.ragAgent.query(input.query, {
+          tenantId: context.tenantId,
+          history: context.history,
+          retrieval: context.retrieval,
+          grounding: context.grounding,
+          onToken: context.onToken
+        });
+        const fileIds = result.sources || [];
+        return {
+          ...result,
+          context: result.answer,
+          fileIds,
+          references: { ragSources: fileIds }
+        };
+      },
+      describe: result => {
+        const sources = result.sources || [];
+        return result.success
+          ? { sources, message: `Retrieved ${sources.length} source${sources.length === 1 ? '' : 's'}` }
+          : { message: result.error || result.answer || 'Knowledge base search failed' };
+      }
+    });
+
+    this.tools.register(calculatorTool);
+  }
+
+  // One node per registered tool. analyze_query fans out to the tools the
+  // router picked, which all run in the same step; combine_results runs once,
+  // after every picked tool has finished.
   setupGraph() {
     // Define the state schema
     const stateSchema = {
@@ -22,18 +160,55 @@ class DelegatingAgent {
         value: (x, y) => y,
         default: () => ''
       },
-      decision: {
+      attachment: {
         value: (x, y) => y,
         default: () => null
       },
-      chartResult: {
+      tenantId: {
+        value: (x, y) => y,
+        default: () => DEFAULT_TENANT
+      },
+      history: {
+        value: (x, y) => y,
+        default: () => ''
+      },
+      retrieval: {
+        value: (x, y) => y,
+        default: () => ({})
+      },
+      grounding: {
+        value: (x, y) => y,
+        default: () => undefined
+      },
+      previousChart: {
+        value: (x, y) => y,
+        default: () => null
+      },
+      availableTools: {
+        value: (x, y) => y,
+        default: () => []
+      },
+      mode: {
+        value: (x, y) => y,
+        default: () => 'route'
+      },
+      plan: {
+        value: (x, y) => y,
+        default: () => null
+      },
+      decision: {
         value: (x, y) => y,
         default: () => null
       },
-      ragResult: {
+      routing: {
         value: (x, y) => y,
         default: () => null
       },
+      // Keyed by tool name; tools running in the same step each add their own
+      toolResults: {
+        value: (x, y) => ({ ...x, ...y }),
+        default: () => ({})
+      },
       finalResponse: {
         value: (x, y) => y,
         default: () => null
@@ -46,11 +221,21 @@ class DelegatingAgent {
     });
 
     // Add nodes
-    this.graph.addNode('analyze_query', this.analyzeQuery.bind(this));
-    this.graph.addNode('chart_tool', this.executeChartTool.bind(this));
-    this.graph.addNode('rag_agent', this.executeRAGAgent.bind(this));
-    this.graph.addNode('direct_response', this.directResponse.bind(this));
-    this.graph.addNode('combine_results', this.combineResults.bind(this));
+    this.graph.addNode('analyze_query', this.traceNode('analyze_query', this.analyzeQuery.bind(this)));
+    this.graph.addNode('direct_response', this.traceNode('direct_response', this.directResponse.bind(this)));
+    this.graph.addNode('execute_plan', this.traceNode('execute_plan', this.executePlan.bind(this)));
+    this.graph.addNode('combine_results', this.traceNode('combine_results', this.combineResults.bind(this)));
+
+    const nodes = new Set(RESERVED_NODES);
+    for (const tool of this.tools.all()) {
+      if (nodes.has(tool.node)) {
+        throw new Error(`Tool "${tool.name}" uses graph node "${tool.node}", which is already taken`);
+      }
+      nodes.add(tool.node);
+      this.graph.addNode(tool.node, this.traceNode(tool.node, (state, config) => this.executeTool(tool.name, state, config)));
+      // Add edges from tools to combine_results
+      this.graph.addEdge(tool.node, 'combine_results');
+    }
 
     // Set conditional edges from analyze_query
     this.graph.addConditionalEdges(
@@ -58,9 +243,7 @@ class DelegatingAgent {
       this.routeDecision.bind(this)
     );
 
-    // Add edges from tools to combine_results
-    this.graph.addEdge('chart_tool', 'combine_results');
-    this.graph.addEdge('rag_agent', 'combine_results');
+    this.graph.addEdge('execute_plan', 'combine_results');
     this.graph.addEdge('direct_response', END);
     this.graph.addEdge('combine_results', END);
 
@@ -69,65 +252,314 @@ class DelegatingAgent {
 
     // Compile the graph
     this.app = this.graph.compile();
+    this.graphVersion = this.tools.version;
+  }
+
+  // Record a node's input state and its update as a span of the run's trace.
+  // `messages` only repeats the other fields, so it is left out.
+  traceNode(name, node) {
+    return (state, config) => withSpan(`node.${name}`, {
+      kind: 'node',
+      input: omitMessages(state),
+      describe: output => ({ output: omitMessages(output || {}) })
+    }, () => node(state, config));
   }
 
   async analyzeQuery(state) {
-    const userQuery = state.userQuery;
-    
-    const prompt = ChatPromptTemplate.fromTemplate(`
-You are a delegating agent that analyzes user queries and decides which tools to use.
+    const tools = state.availableTools.map(name => this.tools.get(name));
+    const context = {
+      history: state.history,
+      hasData: state.attachment !== null && state.attachment !== undefined,
+      previousChart: Boolean(state.previousChart)
+    };
 
-Based on the user query, determine the appropriate action:
-- If the query asks for charts, graphs, or data visualization → "chart"
-- If the query asks for information, facts, or knowledge → "rag"
-- If the query requires both charting and information → "both"
-- If the query is a simple greeting or doesn't need tools → "direct"
+    if (state.mode === 'plan') {
+      return this.planQuery(state, tools, context);
+    }
 
-User Query: {query}
+    const routing = await this.router.route(state.userQuery, tools, {
+      ...context,
+      dataset: this.datasetStore.findMentioned(state.userQuery, state.tenantId)?.name
+    });
 
-Respond with only one of: "chart", "rag", "both", or "direct"
-`);
+    return {
+      decision: routing.route,
+      routing,
+      messages: [...state.messages, {
+        role: 'assistant',
+        content: `Decision: ${routing.route} (confidence ${routing.confidence}, ${routing.source})`
+      }]
+    };
+  }
+
+  // Planning mode: the plan replaces the routing decision, which then lists
+  // the tools the plan uses
+  async planQuery(state, tools, context) {
+    const plan = await this.planner.plan(state.userQuery, tools, context);
+    const planTools = [...new Set(plan.steps.map(step => step.tool))];
+    const routing = {
+      tools: planTools,
+      route: routeName(planTools),
+      confidence: null,
+      reasoning: plan.reasoning,
+      entities: extractEntities(state.userQuery),
+      arguments: {},
+      source: plan.source
+    };
 
-    const chain = prompt.pipe(chatModel);
-    const response = await chain.invoke({ query: userQuery });
-    
-    const decision = response.content.toLowerCase().trim();
-    
     return {
-      decision,
-      messages: [...state.messages, { role: 'assistant', content: `Decision: ${decision}` }]
+      decision: routing.route,
+      routing,
+      plan: { steps: plan.steps, source: plan.source, reasoning: plan.reasoning, replans: 0 },
+      messages: [...state.messages, {
+        role: 'assistant',
+        content: `Plan: ${plan.steps.map(step => `${step.id}. ${step.tool}`).join(', ') || 'no steps'} (${plan.source})`
+      }]
     };
   }
 
   routeDecision(state) {
-    const decision = state.decision;
-    
-    if (decision === 'chart') {
-      return 'chart_tool';
-    } else if (decision === 'rag') {
-      return 'rag_agent';
-    } else if (decision === 'both') {
-      // For "both", we need to execute both tools
-      // Since LangGraph doesn't support parallel execution easily, 
-      // we'll start with chart and then handle RAG in combine_results
-      return 'chart_tool';
-    } else {
-      return 'direct_response';
+    if (state.plan) {
+      return state.plan.steps.length > 0 ? 'execute_plan' : 'direct_response';
     }
+
+    const nodes = (state.routing?.tools || [])
+      .filter(name => state.availableTools.includes(name))
+      .map(name => this.tools.get(name).node);
+
+    return nodes.length > 0 ? nodes : 'direct_response';
   }
 
-  async executeChartTool(state) {
-    try {
-      const userQuery = state.userQuery;
-      
-      // Determine chart type and parameters from the query
-      const chartPrompt = ChatPromptTemplate.fromTemplate(`
-Analyze the user query and extract chart parameters.
+  async executeTool(name, state, config) {
+    const tool = this.tools.get(name);
+    // A tool's answer is the final answer only when it runs alone, so only
+    // then are its tokens streamed
+    const onToken = state.routing.tools.length === 1 ? config?.configurable?.onToken : undefined;
+
+    const result = await this.runTool(tool, state.routing.arguments?.[name], signal => ({
+      query: state.userQuery,
+      tenantId: state.tenantId,
+      history: state.history,
+      attachment: state.attachment,
+      previousChart: state.previousChart,
+      retrieval: state.retrieval,
+      grounding: state.grounding,
+      signal,
+      // Tokens that arrive after a timeout belong to an answer nobody waits for
+      onToken: onToken && (token => !signal.aborted && onToken(token))
+    }));
+
+    return {
+      toolResults: { [name]: result },
+      messages: [...state.messages, { role: 'assistant', content: `${name} tool ${result.success ? 'executed' : 'failed'}` }]
+    };
+  }
+
+  // Run the plan: every step whose dependencies succeeded runs, in parallel
+  // with the others that are ready. Earlier answers are passed to later steps
+  // and replace `{{stepN}}` in their query and input. A failed step is
+  // replanned, up to planner.maxReplans times per query; steps that can no
+  // longer run are skipped.
+  async executePlan(state, config) {
+    const onProgress = config?.configurable?.onProgress;
+    const tools = state.availableTools.map(name => this.tools.get(name));
+    const context = {
+      history: state.history,
+      hasData: state.attachment !== null && state.attachment !== undefined,
+      previousChart: Boolean(state.previousChart)
+    };
+    const steps = state.plan.steps.map(step => ({ ...step, status: 'pending' }));
+    const results = {};
+    const replanned = new Set();
+    let replans = 0;
+
+    const fill = value => typeof value === 'string'
+      ? value.replace(/\{\{step(\d+)\}\}/gi, (placeholder, id) => results[id]?.answer ?? placeholder)
+      : value;
+
+    const runStep = async step => {
+      const tool = this.tools.get(step.tool);
+      const query = fill(step.query);
+      const input = Object.fromEntries(Object.entries(step.input).map(([key, value]) => [key, fill(value)]));
+      const dependencies = step.dependsOn.map(id => ({
+        step: id,
+        tool: steps.find(candidate => candidate.id === id).tool,
+        answer: results[id].answer
+      }));
+
+      const result = await this.runTool(tool, input, signal => ({
+        query,
+        tenantId: state.tenantId,
+        history: state.history,
+        attachment: state.attachment,
+        previousChart: state.previousChart,
+        retrieval: state.retrieval,
+        grounding: state.grounding,
+        dependencies,
+        signal
+      }));
+
+      results[step.id] = { ...result, tool: step.tool, task: query };
+      Object.assign(step, {
+        status: result.success ? 'succeeded' : 'failed',
+        durationMs: result.durationMs,
+        ...(result.success ? { answer: result.answer } : { error: result.error || result.answer }),
+        ...(result.timedOut && { timedOut: true })
+      });
+      onProgress?.({
+        node: 'execute_plan',
+        step: step.id,
+        tool: step.tool,
+        success: result.success,
+        durationMs: result.durationMs,
+        message: result.success ? `Step ${step.id} (${step.tool}) finished` : `Step ${step.id} (${step.tool}) failed: ${step.error}`
+      });
+    };
+
+    for (;;) {
+      const ready = steps.filter(step => step.status === 'pending' &&
+        step.dependsOn.every(id => results[id]?.success));
+      if (ready.length === 0) {
+        break;
+      }
+      await Promise.all(ready.map(runStep));
+
+      for (const failed of steps.filter(step => step.status === 'failed' && !replanned.has(step.id))) {
+        replanned.add(failed.id);
+        if (replans >= this.planner.maxReplans) {
+          continue;
+        }
+        replans++;
+
+        const replacement = await this.planner.replan(state.userQuery, tools, context, steps, failed);
+        if (replacement.steps.length === 0) {
+          continue;
+        }
+
+        // Steps waiting on the failed step wait on the last replacement steps
+        const last = replacement.steps
+          .filter(step => !replacement.steps.some(other => other.dependsOn.includes(step.id)))
+          .map(step => step.id);
+        for (const step of steps) {
+          if (step.status === 'pending' && step.dependsOn.includes(failed.id)) {
+            step.dependsOn = [...step.dependsOn.filter(id => id !== failed.id), ...last];
+          }
+        }
+        failed.replacedBy = replacement.steps.map(step => step.id);
+        steps.push(...replacement.steps.map(step => ({ ...step, replaces: failed.id, status: 'pending' })));
+        onProgress?.({
+          node: 'execute_plan',
+          replan: replans,
+          message: `Replanned step ${failed.id}: ${replacement.steps.map(step => `${step.id}. ${step.tool}`).join(', ')}`
+        });
+      }
+    }
+
+    for (const step of steps.filter(candidate => candidate.status === 'pending')) {
+      step.status = 'skipped';
+    }
+
+    // Failed steps whose replacement succeeded are not reported as failures,
+    // as long as the replacement delivered what the step was for: the same
+    // tool, or a chart for a chart step. A rag answer standing in for a failed
+    // chart keeps the chart failure in the results.
+    const delivers = (step, tool) => results[step.id]?.success
+      ? step.tool === tool || (tool === 'chart' && Boolean(results[step.id].chartConfig))
+      : recovered(step, tool);
+    const recovered = (step, tool = step.tool) => {
+      const replacements = (step.replacedBy || []).map(id => steps.find(other => other.id === id));
+      return replacements.length > 0
+        && replacements.every(replacement => results[replacement.id]?.success || recovered(replacement))
+        && replacements.some(replacement => delivers(replacement, tool));
+    };
+    const toolResults = Object.fromEntries(steps
+      .filter(step => step.status === 'succeeded' || (step.status === 'failed' && !recovered(step)))
+      .map(step => [`step${step.id}`, results[step.id]]));
+
+    return {
+      plan: { ...state.plan, steps, replans },
+      toolResults,
+      messages: [...state.messages, {
+        role: 'assistant',
+        content: `Plan executed: ${steps.map(step => `${step.id}. ${step.tool} ${step.status}`).join(', ')}`
+      }]
+    };
+  }
+
+  // Run a tool under its time limit. Invalid input, errors and timeouts become
+  // { success: false, error } so a failing tool never takes the other tools'
+  // results down with it.
+  async runTool(tool, args, buildContext) {
+    return withSpan(`tool.${tool.name}`, {
+      kind: 'tool',
+      input: args,
+      describe: result => ({
+        output: result,
+        attributes: { tool: tool.name, success: Boolean(result.success), ...(result.timedOut && { timedOut: true }) },
+        ...(!result.success && { error: new Error(result.error || result.answer || `${tool.name} tool failed`) })
+      })
+    }, async span => {
+      const startedAt = Date.now();
+      const timeoutMs = tool.timeoutMs || parseInt(process.env.TOOL_TIMEOUT_MS) || 30000;
+
+      try {
+        const result = await withTimeout(async signal => {
+          const context = buildContext(signal);
+          const input = tool.prepare ? await tool.prepare(context, args || {}) : (args || {});
+          if (span) {
+            span.input = snapshot(input);
+          }
+          const errors = validateInput(tool.schema, input);
+          if (errors.length > 0) {
+            return { success: false, error: `Invalid input: ${errors.join('; ')}` };
+          }
+          return tool.handler(input, context);
+        }, timeoutMs, `${tool.name} tool timed out after ${timeoutMs}ms`);
+        return { ...result, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        console.error(`${tool.name} tool error:`, error);
+        return {
+          success: false,
+          error: error.message,
+          ...(error instanceof LlmError && { code: error.code }),
+          timedOut: error instanceof TimeoutError,
+          durationMs: Date.now() - startedAt
+        };
+      }
+    });
+  }
+
+
+  // What ran on the tool branches and how it went
+  branchReport(state) {
+    return Object.entries(state.toolResults)
+      .map(([name, result]) => ({
+        name,
+        ...(result.tool && result.tool !== name && { tool: result.tool }),
+        success: Boolean(result.success),
+        durationMs: result.durationMs,
+        ...(result.timedOut && { timedOut: true }),
+        ...(!result.success && { error: result.error || result.answer }),
+        ...(result.code && { code: result.code })
+      }));
+  }
+
+  // input: { chartType?, title? } the router extracted; they win over the
+  // parameters read from the query
+  async generateChart(context, input = {}) {
+    const userQuery = context.query;
+    
+    // Determine chart type and parameters from the query
+    const chartPrompt = ChatPromptTemplate.fromTemplate(`
+Analyze the user query and extract chart parameters. If the query refers to an earlier chart, keep its title unless the user asks to change it.
+
+Conversation so far:
+{history}
 
 User Query: {query}
 
 Extract the following information:
-1. chartType: line, bar, pie, doughnut, or radar
+1. chartType: ${CHART_TYPES.join(', ')} (any other name is drawn as the nearest of these)
 2. title: A descriptive title for the chart
 3. data: Description of what data should be visualized
 
@@ -139,156 +571,197 @@ Respond in JSON format:
 }}
 `);
 
-      const chain = chartPrompt.pipe(chatModel);
-      const response = await chain.invoke({ query: userQuery });
-      
-      let chartParams;
-      try {
-        chartParams = JSON.parse(response.content);
-      } catch (error) {
-        chartParams = {
-          chartType: 'bar',
-          title: 'Data Visualization',
-          data: userQuery
-        };
-      }
-
-      const chartResult = await this.chartTool.invoke(JSON.stringify(chartParams));
-      
-      return {
-        chartResult: JSON.parse(chartResult),
-        messages: [...state.messages, { role: 'assistant', content: 'Chart tool executed' }]
-      };
-
+    const chain = chartPrompt.pipe(getChatModel('chart'));
+    const response = await chain.invoke({ query: userQuery, history: context.history || '(none)' });
+    
+    let chartParams;
+    try {
+      chartParams = JSON.parse(response.content);
     } catch (error) {
-      console.error('Chart tool error:', error);
-      return {
-        chartResult: { success: false, error: error.message },
-        messages: [...state.messages, { role: 'assistant', content: 'Chart tool failed' }]
+      chartParams = {
+        chartType: 'bar',
+        title: 'Data Visualization',
+        data: userQuery
       };
     }
+
+    const series = await this.resolveChartSeries(context);
+    const chartResult = await this.chartTool.invoke(JSON.stringify({
+      ...chartParams,
+      ...input,
+      ...(series && { labels: series.labels, datasets: series.datasets, source: series.source })
+    }));
+    
+    return JSON.parse(chartResult);
   }
 
-  async executeRAGAgent(state) {
-    try {
-      const userQuery = state.userQuery;
-      const ragResult = await this.ragAgent.query(userQuery);
-      
-      return {
-        ragResult,
-        messages: [...state.messages, { role: 'assistant', content: 'RAG agent executed' }]
-      };
+  // Find real numbers to plot: an attached CSV/JSON payload first, then a
+  // stored dataset named in the query, then values written in the query or
+  // in earlier plan steps, then the previous chart in the session, then
+  // numbers in the knowledge base passages about the query's subject
+  async resolveChartSeries(context) {
+    const fromAttachment = fromPayload(context.attachment);
+    if (fromAttachment) {
+      return fromAttachment;
+    }
 
-    } catch (error) {
-      console.error('RAG agent error:', error);
-      return {
-        ragResult: { success: false, error: error.message },
-        messages: [...state.messages, { role: 'assistant', content: 'RAG agent failed' }]
-      };
+    const dataset = this.datasetStore.findMentioned(context.query, context.tenantId);
+    if (dataset) {
+      return aggregate(dataset, parseAggregationRequest(dataset, context.query));
+    }
+
+    const fromQuery = fromText(context.query);
+    if (fromQuery) {
+      return fromQuery;
+    }
+
+    // In planning mode, values in the answers of earlier steps
+    for (const dependency of context.dependencies || []) {
+      const fromStep = fromText(dependency.answer, { type: 'step', ref: dependency.step });
+      if (fromStep) {
+        return fromStep;
+      }
+    }
+
+    if (context.previousChart && REFERS_BACK.test(context.query)) {
+      return fromPayload(context.previousChart.data);
+    }
+
+    const searchResults = await this.ragAgent.directSearch(context.query, 5, {
+      tenantId: context.tenantId,
+      retrieval: context.retrieval
+    });
+    if (searchResults.success) {
+      return fromSearchResults(searchResults.results, context.query);
     }
+
+    return null;
+  }
+
+  // How a failed tool is mentioned in the answer
+  failureNote(branch) {
+    const tool = this.tools.get(branch.tool || branch.name);
+    return `${tool?.failureMessage || `The ${tool?.name || branch.name} tool failed`}: ${String(branch.error).replace(/[.!?]+$/, '')}.`;
   }
 
-  async directResponse(state) {
+  async directResponse(state, config) {
     const userQuery = state.userQuery;
     
     const prompt = ChatPromptTemplate.fromTemplate(`
 You are a helpful assistant. Provide a direct response to the user's query.
 
+Conversation so far:
+{history}
+
 User Query: {query}
 
 Provide a helpful and informative response.
 `);
 
-    const chain = prompt.pipe(chatModel);
-    const response = await chain.invoke({ query: userQuery });
+    const chain = prompt.pipe(getChatModel('direct'));
+    const answer = await runChain(chain, { query: userQuery, history: state.history || '(none)' }, {
+      onToken: config?.configurable?.onToken
+    });
     
     return {
       finalResponse: {
-        answer: response.content,
+        answer,
         references: {},
         fileIds: [],
-        chartConfig: null
+        chartConfig: null,
+        ...(state.plan && { plan: state.plan })
       },
-      messages: [...state.messages, { role: 'assistant', content: response.content }]
+      messages: [...state.messages, { role: 'assistant', content: answer }]
     };
   }
 
-  async combineResults(state) {
+  async combineResults(state, config) {
     try {
       const userQuery = state.userQuery;
-      const chartResult = state.chartResult;
-      let ragResult = state.ragResult;
-      
-      // If we have a chart result but no RAG result, and the decision was "both",
-      // execute the RAG agent now
-      if (chartResult && !ragResult && state.decision === 'both') {
-        ragResult = await this.ragAgent.query(userQuery);
-      }
+      const branches = this.branchReport(state);
+      const succeeded = Object.entries(state.toolResults).filter(([, result]) => result.success);
       
       let finalAnswer = '';
       let references = {};
       let fileIds = [];
+      let citations = [];
       let chartConfig = null;
+      let warnings = [];
 
-      // Process chart result
-      if (chartResult && chartResult.success) {
-        chartConfig = chartResult.chartConfig;
-        finalAnswer += `I've created a chart for you. `;
-      }
-
-      // Process RAG result
-      if (ragResult && ragResult.success) {
-        finalAnswer += ragResult.answer;
-        fileIds = ragResult.sources || [];
-        references = { ragSources: fileIds };
+      for (const [, result] of succeeded) {
+        chartConfig = chartConfig || result.chartConfig || null;
+        warnings = warnings.concat(result.warnings || []);
+        fileIds = [...new Set([...fileIds, ...(result.fileIds || [])])];
+        citations = citations.concat(result.citations || []);
+        for (const [key, value] of Object.entries(result.references || {})) {
+          references[key] = Array.isArray(value) ? [...(references[key] || []), ...value] : value;
+        }
       }
 
-      // If we have both, create a comprehensive response
-      if (chartResult && ragResult && chartResult.success && ragResult.success) {
+      if (succeeded.length > 1) {
+        // Several tools answered: let the model write one response from them
         const combinePrompt = ChatPromptTemplate.fromTemplate(`
-You have both chart data and information from a knowledge base. Create a comprehensive response that combines both.
+You have results from several tools. Create a comprehensive response that combines them.
 
 User Query: {query}
-Chart Information: {chartInfo}
-Knowledge Base Information: {ragInfo}
+Tool Results:
+{results}
 
 Create a response that:
-1. Answers the user's question using the knowledge base information
-2. Mentions the chart that was created
-3. Integrates both pieces of information naturally
+1. Answers the user's question using the tool results
+2. Mentions any chart that was created
+3. Integrates all pieces of information naturally
+4. Keeps the [n] citation markers of the knowledge base information on the sentences they support
 
 Keep the response concise and helpful.
 `);
 
-        const chain = combinePrompt.pipe(chatModel);
-        const response = await chain.invoke({
-          query: userQuery,
-          chartInfo: JSON.stringify(chartResult),
-          ragInfo: ragResult.answer
-        });
+        const results = succeeded.map(([name, result]) =>
+          `${result.task ? `Task: ${result.task}\n` : ''}Tool "${result.tool || name}" answered: ${result.answer}${result.context && result.context !== result.answer ? `\nDetails: ${result.context}` : ''}`
+        ).join('\n\n');
 
-        finalAnswer = response.content;
+        const chain = combinePrompt.pipe(getChatModel('combine'));
+        finalAnswer = await runChain(chain, { query: userQuery, results }, {
+          onToken: config?.configurable?.onToken
+        });
+      } else if (succeeded.length === 1) {
+        finalAnswer = succeeded[0][1].answer;
+      } else {
+        finalAnswer = branches.length > 0
+          ? branches.map(branch => this.failureNote(branch)).join(' ')
+          : 'I encountered an error processing your request.';
       }
 
-      // If we only have one result, use it
-      if (!finalAnswer) {
-        if (chartResult && chartResult.success) {
-          finalAnswer = chartResult.message || 'Chart created successfully.';
-        } else if (ragResult && ragResult.success) {
-          finalAnswer = ragResult.answer;
-        } else {
-          finalAnswer = 'I encountered an error processing your request.';
-        }
+      // Some tools answered and others did not: say what is missing
+      const failed = branches.filter(branch => !branch.success);
+      const partial = failed.length > 0 && succeeded.length > 0;
+      // Nothing answered because a model call failed
+      const modelFailure = succeeded.length === 0 && failed.find(branch => branch.code);
+      if (modelFailure) {
+        finalAnswer = LLM_ERROR_CODES[modelFailure.code].answer;
+      }
+      if (partial) {
+        finalAnswer = [finalAnswer.trim(), ...failed.map(branch => this.failureNote(branch))].join(' ');
       }
 
-
+      // Citation offsets point into the answer of the tool that cited; once
+      // that has been rewritten or extended they no longer apply
+      if (!succeeded.some(([, result]) => result.citations && result.answer === finalAnswer)) {
+        citations = citations.map(({ start, end, ...citation }) => citation);
+      }
 
       return {
         finalResponse: {
           answer: finalAnswer,
           references,
           fileIds,
-          chartConfig
+          citations,
+          chartConfig,
+          ...(warnings.length > 0 && { warnings }),
+          branches,
+          partial,
+          ...(modelFailure && { error: { code: modelFailure.code, message: modelFailure.error } }),
+          ...(state.plan && { plan: state.plan })
         },
         messages: [...state.messages, { role: 'assistant', content: finalAnswer }]
       };
@@ -297,7 +770,7 @@ Keep the response concise and helpful.
       console.error('Combine results error:', error);
       return {
         finalResponse: {
-          answer: 'I encountered an error while processing your request.',
+          ...failedAnswer(error, 'I encountered an error while processing your request.'),
           references: {},
           fileIds: [],
           chartConfig: null
@@ -308,32 +781,290 @@ Keep the response concise and helpful.
   }
 
   
-  async processQuery(userQuery) {
+  // options: { data, tenantId, sessionId, retrieval, grounding, tools, mode, cache }. Without a sessionId a new
+  // session is started; its ID is returned so the client can follow up. `tools`
+  // narrows the registered tools for this query (see ToolRegistry.resolve) and
+  // mode "plan" runs a multi-step plan instead of a single routing decision.
+  // `cache` is one of CACHE_MODES (see stores/response-cache.js).
+  async processQuery(userQuery, options = {}) {
+    return this.run(userQuery, options);
+  }
+
+  // Same as processQuery, but reports progress while the graph runs:
+  // emit('progress', { node, message, ... }) after each node and
+  // emit('token', { token }) for each token of the final answer
+  async streamQuery(userQuery, options = {}, emit) {
+    return this.run(userQuery, options, emit);
+  }
+
+  // Every run is traced under a runId (unless TRACING=off), which is
+  // returned with the response
+  async run(userQuery, options, emit) {
+    const tenantId = options.tenantId || DEFAULT_TENANT;
+    const mode = options.mode || process.env.AGENT_MODE || 'route';
+    const trace = tracingEnabled()
+      ? new Trace({ tenantId, sessionId: options.sessionId, query: userQuery, mode })
+      : null;
+
+    const result = await runWithTrace(trace, () => withSpan('agent.run', {
+      kind: 'run',
+      input: { query: userQuery, mode, tools: options.tools, sessionId: options.sessionId, retrieval: options.retrieval },
+      describe: response => ({
+        output: { answer: response.answer, decision: response.decision, confidence: response.confidence, fileIds: response.fileIds },
+        attributes: { decision: response.decision }
+      })
+    }, () => this.execute(userQuery, { ...options, tenantId, mode }, emit, trace)));
+
+    if (trace) {
+      await this.recordTrace(trace, result.sessionId);
+    }
+    return trace ? { ...result, runId: trace.runId } : result;
+  }
+
+  // Store a finished trace and send it to the OpenTelemetry collector, if one
+  // is configured. Neither may fail the query.
+  async recordTrace(trace, sessionId) {
+    try {
+      trace.sessionId = sessionId || trace.sessionId;
+      const data = trace.toJSON();
+      await this.traceStore.save(data);
+      exportTrace(data).catch(error => console.error('Trace export error:', error.message));
+    } catch (error) {
+      console.error('Trace storage error:', error);
+    }
+  }
+
+  async execute(userQuery, options, emit, trace) {
+    const { tenantId } = options;
+    let session = null;
+
     try {
+      session = await this.memory.load(options.sessionId, tenantId);
+      emit?.('session', { sessionId: session.id, ...(trace && { runId: trace.runId }) });
+
+      const cacheable = this.cacheability(userQuery, options, session);
+      if (cacheable.lookup) {
+        const hit = await this.cacheLookup(userQuery, options);
+        if (hit) {
+          return this.answerFromCache(userQuery, hit, session, emit, trace);
+        }
+      } else if (this.responseCache) {
+        await this.responseCache.recordBypass(tenantId)
+          .catch(error => console.error('Response cache error:', error));
+      }
+      const startedAt = Date.now();
+
+      // Tools registered since the graph was built need their own nodes
+      if (this.graphVersion !== this.tools.version) {
+        this.setupGraph();
+      }
+
       const initialState = {
         userQuery,
+        attachment: options.data ?? null,
+        tenantId,
+        retrieval: options.retrieval || {},
+        grounding: options.grounding,
+        history: this.memory.formatHistory(session),
+        previousChart: this.memory.lastChart(session),
+        availableTools: this.tools.resolve(options.tools),
+        mode: options.mode,
         messages: [{ role: 'user', content: userQuery }]
       };
 
-      const result = await this.app.invoke(initialState);
+      const { finalResponse, routing } = emit
+        ? await this.streamGraph(initialState, emit)
+        : await this.app.invoke(initialState);
       
-      return result.finalResponse || {
+      const response = finalResponse || {
         answer: 'No response generated.',
         references: {},
         fileIds: [],
         chartConfig: null
       };
 
+      await this.memory.record(session, userQuery, response, { runId: trace?.runId });
+
+      const stored = cacheable.store && finalResponse && this.succeeded(response, trace)
+        ? await this.cacheStore(userQuery, options, { response, routing }, trace, startedAt)
+        : false;
+
+      return {
+        ...response,
+        decision: routing?.route ?? null,
+        confidence: routing?.confidence ?? null,
+        routing,
+        sessionId: session.id,
+        ...(this.responseCache && { cache: { hit: false, ...(!cacheable.lookup && { bypassed: true }), stored } })
+      };
+
     } catch (error) {
       console.error('Delegating agent error:', error);
+      recordError(error);
+      // Request errors, such as a session of another tenant, keep their status
+      if (error instanceof HttpError) {
+        throw error;
+      }
       return {
-        answer: 'I encountered an error while processing your query.',
+        ...failedAnswer(error, 'I encountered an error while processing your query.'),
         references: {},
         fileIds: [],
-        chartConfig: null
+        chartConfig: null,
+        decision: null,
+        confidence: null,
+        sessionId: session ? session.id : null
       };
     }
   }
+
+  // Whether the response cache may answer the query and keep its answer.
+  // Attached data and `cache: "off"` bypass it; answers are only kept when
+  // no earlier turns of the session went into them, and a follow-up that
+  // refers back to them is never answered from the cache.
+  cacheability(userQuery, options, session) {
+    const mode = options.cache || 'use';
+    if (!this.responseCache || mode === 'off' || options.data !== undefined && options.data !== null) {
+      return { lookup: false, store: false };
+    }
+    const hasHistory = session.messages.length > 0 || Boolean(session.summary);
+    return {
+      lookup: mode === 'use' && !(hasHistory && REFERS_BACK.test(userQuery)),
+      store: !hasHistory
+    };
+  }
+
+  async cacheLookup(userQuery, options) {
+    try {
+      return await withSpan('cache.lookup', {
+        kind: 'cache',
+        input: { query: userQuery },
+        describe: hit => ({
+          output: hit ? { entryId: hit.entry.id, cachedQuery: hit.entry.query } : null,
+          attributes: { hit: Boolean(hit), ...(hit && { match: hit.match, similarity: hit.similarity }) }
+        })
+      }, () => this.responseCache.lookup(options.tenantId, userQuery, options));
+    } catch (error) {
+      // A broken cache must not fail the query
+      console.error('Response cache error:', error);
+      return null;
+    }
+  }
+
+  async answerFromCache(userQuery, { entry, match, similarity }, session, emit, trace) {
+    const { response, routing } = entry;
+    emit?.('progress', { node: 'cache', match, similarity, message: 'Answered from the response cache' });
+    emit?.('token', { token: response.answer });
+
+    await this.memory.record(session, userQuery, response, { runId: trace?.runId });
+    return {
+      ...response,
+      decision: routing?.route ?? null,
+      confidence: routing?.confidence ?? null,
+      routing,
+      sessionId: session.id,
+      cache: { hit: true, match, similarity, entryId: entry.id, cachedQuery: entry.query, cachedAt: entry.createdAt }
+    };
+  }
+
+  async cacheStore(userQuery, options, answer, trace, startedAt) {
+    try {
+      const usage = trace?.usage();
+      await this.responseCache.store(options.tenantId, userQuery, options, answer, {
+        llmCalls: usage?.llmCalls,
+        totalTokens: usage?.totalTokens,
+        latencyMs: Date.now() - startedAt
+      });
+      return true;
+    } catch (error) {
+      console.error('Response cache error:', error);
+      return false;
+    }
+  }
+
+  // Answers worth caching: every tool branch succeeded and nothing in the
+  // run failed
+  succeeded(response, trace) {
+    if ((response.branches || []).some(branch => !branch.success)) {
+      return false;
+    }
+    return !trace || !trace.spans.some(span => span.error);
+  }
+
+  // Returns the same { finalResponse, routing } fields as app.invoke
+  async streamGraph(initialState, emit) {
+    let finalResponse = null;
+    let routing = null;
+
+    const stream = await this.app.stream(initialState, {
+      streamMode: 'updates',
+      configurable: {
+        onToken: token => emit('token', { token }),
+        onProgress: progress => emit('progress', progress)
+      }
+    });
+
+    for await (const update of stream) {
+      for (const [node, output] of Object.entries(update)) {
+        emit('progress', this.describeProgress(node, output || {}));
+        if (output?.finalResponse) {
+          finalResponse = output.finalResponse;
+        }
+        if (output?.routing) {
+          routing = output.routing;
+        }
+      }
+    }
+
+    return { finalResponse, routing };
+  }
+
+  // Short, client-facing summary of what a graph node just did
+  describeProgress(node, output) {
+    switch (node) {
+      case 'analyze_query':
+        if (output.plan) {
+          return {
+            node,
+            decision: output.decision,
+            plan: output.plan.steps.map(({ id, tool, query, dependsOn }) => ({ id, tool, query, dependsOn })),
+            message: `Planned ${output.plan.steps.length} step${output.plan.steps.length === 1 ? '' : 's'}`
+          };
+        }
+        return {
+          node,
+          decision: output.decision,
+          confidence: output.routing?.confidence,
+          message: `Routing decision: ${output.decision}`
+        };
+
+      case 'execute_plan': {
+        const steps = output.plan?.steps || [];
+        const succeeded = steps.filter(step => step.status === 'succeeded').length;
+        return {
+          node,
+          replans: output.plan?.replans,
+          message: `Ran ${succeeded} of ${steps.length} step${steps.length === 1 ? '' : 's'}`
+        };
+      }
+
+      default: {
+        const [name, result] = Object.entries(output.toolResults || {})[0] || [];
+        if (!result) {
+          return { node, message: output.finalResponse ? 'Answer ready' : `${node} finished` };
+        }
+        const described = this.tools.get(name)?.describe?.(result) || {};
+        return {
+          node,
+          tool: name,
+          success: Boolean(result.success),
+          durationMs: result.durationMs,
+          ...(result.timedOut && { timedOut: true }),
+          message: result.success ? `${name} tool finished` : `${name} tool failed: ${result.error}`,
+          ...described
+        };
+      }
+    }
+  }
 }
 
 export default DelegatingAgent;
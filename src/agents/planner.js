@@ -0,0 +1,259 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import dotenv from 'dotenv';
+import { getChatModel } from '../config/llm.js';
+import HttpError from '../utils/http-error.js';
+import { classifyQuery } from './route-classifier.js';
+import { describeTools } from './query-router.js';
+
+dotenv.config();
+
+// "route" answers with one routing decision; "plan" breaks the query into steps
+export const AGENT_MODES = ['route', 'plan'];
+
+export function validateAgentMode(mode) {
+  if (mode !== undefined && !AGENT_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of: ${AGENT_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// A plan is a list of tool calls:
+// {
+//   id: 2,
+//   tool: 'chart',
+//   query: 'Chart the number of algorithms in each category',
+//   input: { chartType: 'bar' },      // checked against the tool's schema
+//   dependsOn: [1],                   // runs after these steps succeeded
+//   purpose: 'Visualise the comparison'
+// }
+// Steps whose dependencies are done run in parallel. `{{step1}}` in a query
+// or input string is replaced with the answer of step 1.
+
+// Compound queries are split where one task ends and the next begins
+const STEP_BREAKS = /\s*(?:;|[.,]?\s+(?:and\s+)?then\b|[.,]?\s+after that\b|[.,]?\s+finally\b)[,\s]*/i;
+
+const PLANNER_INSTRUCTIONS = `
+You are a planning agent. Break the user query into steps, each one a call to one of the available tools.
+
+Available tools:
+{tools}
+
+Rules:
+- Use as few steps as possible, at most {maxSteps}.
+- A step that needs the answer of an earlier step lists that step in "dependsOn" and may refer to its answer as {{{{stepN}}}}.
+- Steps that do not depend on each other run in parallel.
+- "query" is the task for that step in plain words; "input" follows the tool's input schema.
+
+Conversation so far:
+{history}
+{progress}
+User Query: {query}
+
+Respond with JSON only, in this format:
+{{
+  "steps": [
+    {{ "id": 1, "tool": "tool name", "query": "task for this step", "input": {{}}, "dependsOn": [], "purpose": "why this step is needed" }}
+  ],
+  "reasoning": "one short sentence"
+}}
+`;
+
+const plannerPrompt = ChatPromptTemplate.fromTemplate(PLANNER_INSTRUCTIONS);
+
+const repairPrompt = ChatPromptTemplate.fromTemplate(`${PLANNER_INSTRUCTIONS}
+Your previous reply could not be used: {problem}
+{previous}
+
+Reply again with the JSON object only.
+`);
+
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate a planner reply. Returns { steps, reasoning } or { error } saying
+// what is wrong, so the model can be asked to fix it. Step ids are renumbered
+// from `firstId` so replanned steps never clash with the ones already run.
+export function parsePlan(text, toolNames, { maxSteps, firstId = 1, knownIds = [], query = '' } = {}) {
+  const json = extractJson(typeof text === 'string' ? text : '');
+  if (!json || !Array.isArray(json.steps)) {
+    return { error: 'expected a JSON object with a "steps" list' };
+  }
+  if (json.steps.length > maxSteps) {
+    return { error: `the plan has ${json.steps.length} steps; use at most ${maxSteps}` };
+  }
+
+  const ids = new Map();
+  const steps = [];
+  for (const [index, raw] of json.steps.entries()) {
+    const tool = String(raw?.tool || '').toLowerCase().replace(/_(tool|agent)$/, '');
+    if (!toolNames.includes(tool)) {
+      return { error: `step ${index + 1} uses unknown tool "${raw?.tool}"; use one of: ${toolNames.join(', ')}` };
+    }
+
+    const id = firstId + index;
+    ids.set(String(raw.id ?? index + 1), id);
+
+    const dependsOn = [];
+    for (const dependency of Array.isArray(raw.dependsOn) ? raw.dependsOn : []) {
+      const key = String(dependency).replace(/^step/i, '');
+      if (knownIds.includes(Number(key))) {
+        dependsOn.push(Number(key));
+      } else if (ids.has(key) && ids.get(key) !== id) {
+        dependsOn.push(ids.get(key));
+      } else {
+        return { error: `step ${index + 1} depends on "${dependency}", which is not an earlier step` };
+      }
+    }
+
+    steps.push({
+      id,
+      tool,
+      query: typeof raw.query === 'string' && raw.query.trim() ? raw.query.trim() : query,
+      input: raw.input && typeof raw.input === 'object' && !Array.isArray(raw.input) ? raw.input : {},
+      dependsOn,
+      purpose: typeof raw.purpose === 'string' ? raw.purpose.trim() : ''
+    });
+  }
+
+  // References to the model's own ids become references to the new ones
+  const renumber = value => typeof value === 'string'
+    ? value.replace(/\{\{step(\w+)\}\}/gi, (placeholder, key) => (ids.has(key) ? `{{step${ids.get(key)}}}` : placeholder))
+    : value;
+  for (const step of steps) {
+    step.query = renumber(step.query);
+    step.input = Object.fromEntries(Object.entries(step.input).map(([key, value]) => [key, renumber(value)]));
+  }
+
+  return { steps, reasoning: typeof json.reasoning === 'string' ? json.reasoning.trim() : '' };
+}
+
+// Keyword plan: one group of steps per part of a compound query ("explain X,
+// then chart Y"), each group depending on the one before it
+export function heuristicPlan(query, tools, context = {}, { maxSteps = 5, firstId = 1 } = {}) {
+  const parts = String(query || '').split(STEP_BREAKS).map(part => part.trim().replace(/[,;]+$/, '')).filter(Boolean);
+  const steps = [];
+  let previous = [];
+
+  for (const part of parts) {
+    const { tools: picked } = classifyQuery(part, tools, context);
+    const group = picked.map(tool => ({
+      id: firstId + steps.length + picked.indexOf(tool),
+      tool,
+      query: part,
+      input: {},
+      dependsOn: previous,
+      purpose: ''
+    }));
+    if (group.length > 0) {
+      steps.push(...group);
+      previous = group.map(step => step.id);
+    }
+  }
+
+  return {
+    steps: steps.slice(0, maxSteps),
+    reasoning: steps.length > 0
+      ? `Keyword plan over ${parts.length} part${parts.length === 1 ? '' : 's'} of the query`
+      : 'No tool matches the query'
+  };
+}
+
+// An integer from the environment; 0 is a value, not a reason to fall back
+function envInteger(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) ? value : fallback;
+}
+
+// Writes the plan for planning mode, and a new plan for what is left when a
+// step fails. Like the router, it retries malformed replies and falls back to
+// the keyword plan.
+class Planner {
+  constructor({
+    maxSteps = parseInt(process.env.PLANNER_MAX_STEPS) || 5,
+    maxReplans = envInteger('PLANNER_MAX_REPLANS', 2),
+    maxAttempts = 2
+  } = {}) {
+    this.maxSteps = maxSteps;
+    this.maxReplans = maxReplans;
+    this.maxAttempts = maxAttempts;
+  }
+
+  // context: { history, hasData, previousChart }
+  async plan(query, tools, context = {}) {
+    return this.write(query, tools, context, { firstId: 1 });
+  }
+
+  // Plan a replacement for a step that failed. `steps` are all steps so far
+  // with their status and answer or error; steps that were waiting on the
+  // failed one wait on the replacement instead.
+  async replan(query, tools, context, steps, failed) {
+    const progress = [
+      '',
+      'Steps so far:',
+      ...steps.map(step => `- step ${step.id} (${step.tool}, ${step.status}): ${step.query}${step.answer ? ` => ${step.answer}` : ''}${step.error ? ` => ${step.error}` : ''}`),
+      `Failed step: ${JSON.stringify({ id: failed.id, tool: failed.tool, query: failed.query, error: failed.error })}`,
+      'Plan only a replacement for the failed step, without repeating it the same way. Succeeded steps can be referenced by id.',
+      ''
+    ].join('\n');
+
+    const firstId = Math.max(...steps.map(step => step.id)) + 1;
+    const knownIds = steps.filter(step => step.status === 'succeeded').map(step => step.id);
+    // Without the model, try the failed task with the other tools
+    const remaining = tools.filter(tool => tool.name !== failed.tool);
+    return this.write(query, tools, context, {
+      firstId,
+      knownIds,
+      progress,
+      fallback: () => heuristicPlan(failed.query, remaining, context, { maxSteps: this.maxSteps, firstId })
+    });
+  }
+
+  async write(query, tools, context, { firstId, knownIds = [], progress = '', fallback }) {
+    const toolNames = tools.map(tool => tool.name);
+    const model = getChatModel('planner');
+    const inputs = {
+      tools: describeTools(tools),
+      maxSteps: this.maxSteps,
+      history: context.history || '(none)',
+      progress,
+      query
+    };
+
+    let previous = null;
+    let problem = null;
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const chain = (previous === null ? plannerPrompt : repairPrompt).pipe(model);
+        const response = await chain.invoke({ ...inputs, previous, problem });
+        const reply = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+
+        const plan = parsePlan(reply, toolNames, { maxSteps: this.maxSteps, firstId, knownIds, query });
+        if (!plan.error) {
+          return { ...plan, source: 'model' };
+        }
+
+        console.warn(`Plan could not be used (attempt ${attempt}/${this.maxAttempts}): ${plan.error}`);
+        previous = reply;
+        problem = plan.error;
+      } catch (error) {
+        console.error('Planner model error:', error);
+        break;
+      }
+    }
+
+    const plan = fallback ? fallback() : heuristicPlan(query, tools, context, { maxSteps: this.maxSteps, firstId });
+    return { ...plan, source: 'heuristic' };
+  }
+}
+
+export default Planner;
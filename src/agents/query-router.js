@@ -0,0 +1,133 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import dotenv from 'dotenv';
+import { getChatModel } from '../config/llm.js';
+import { classifyQuery, parseRouteDecision } from './route-classifier.js';
+
+dotenv.config();
+
+// The prompt lists whichever tools the request may use
+const ROUTER_INSTRUCTIONS = `
+You are a delegating agent that analyzes user queries and decides which tools to use.
+
+Available tools:
+{tools}
+
+Pick every tool the query needs; they run in parallel and their results are combined. Pick no tools if the query is a simple greeting or doesn't need tools.
+
+Use the conversation so far to resolve follow-ups such as "make that a pie chart" or "tell me more".
+
+Conversation so far:
+{history}
+
+User Query: {query}
+
+Respond with JSON only, in this format:
+{{
+  "tools": ["tool names from the list above"],
+  "arguments": {{ "tool name": {{ "input matching the tool's schema" }} }},
+  "confidence": 0.0 to 1.0,
+  "reasoning": "one short sentence",
+  "entities": {{ "chartType": "the chart type asked for, e.g. bar, stackedBar, line, timeSeries, pie, scatter, or null", "dataset": "dataset name or null", "periods": ["time periods mentioned"] }}
+}}
+`;
+
+const routerPrompt = ChatPromptTemplate.fromTemplate(ROUTER_INSTRUCTIONS);
+
+const repairPrompt = ChatPromptTemplate.fromTemplate(`${ROUTER_INSTRUCTIONS}
+Your previous reply could not be used because it was not valid JSON with a "tools" list taken from the available tools:
+{previous}
+
+Reply again with the JSON object only.
+`);
+
+// One line per tool: name, description and input schema properties
+export function describeTools(tools) {
+  if (tools.length === 0) {
+    return '(none - answer directly)';
+  }
+  return tools.map(tool => {
+    const properties = Object.keys(tool.schema?.properties || {});
+    return `- ${tool.name}: ${tool.description}${properties.length ? ` Input: ${JSON.stringify(tool.schema)}` : ''}`;
+  }).join('\n');
+}
+
+// Decides which tools handle a query. The model is asked for a structured
+// decision; malformed replies are retried, and the keyword classifier takes
+// over when the model fails or is less sure than it is.
+class QueryRouter {
+  constructor({
+    minConfidence = parseFloat(process.env.ROUTER_MIN_CONFIDENCE) || 0.5,
+    maxAttempts = parseInt(process.env.ROUTER_MAX_ATTEMPTS) || 2
+  } = {}) {
+    this.minConfidence = minConfidence;
+    this.maxAttempts = maxAttempts;
+  }
+
+  // tools: definitions the request may use
+  // context: { history, hasData, previousChart, dataset }
+  async route(query, tools, context = {}) {
+    const heuristic = classifyQuery(query, tools, context);
+    if (context.dataset) {
+      heuristic.entities.dataset = context.dataset;
+    }
+
+    let decision = null;
+    try {
+      decision = await this.askModel(query, tools, context.history);
+    } catch (error) {
+      console.error('Router model error:', error);
+    }
+
+    if (!decision) {
+      return {
+        ...heuristic,
+        source: 'heuristic',
+        reasoning: `${heuristic.reasoning} (router model unavailable or gave no usable answer)`
+      };
+    }
+
+    if (decision.confidence < this.minConfidence && heuristic.confidence > decision.confidence) {
+      return {
+        ...heuristic,
+        entities: { ...decision.entities, ...heuristic.entities },
+        source: 'heuristic',
+        reasoning: `${heuristic.reasoning} (router model was unsure: ${decision.route} at ${decision.confidence})`
+      };
+    }
+
+    return {
+      ...decision,
+      entities: { ...heuristic.entities, ...decision.entities },
+      source: 'model'
+    };
+  }
+
+  async askModel(query, tools, history) {
+    const model = getChatModel('router');
+    const toolNames = tools.map(tool => tool.name);
+    let previous = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const chain = (previous === null ? routerPrompt : repairPrompt).pipe(model);
+      const response = await chain.invoke({
+        tools: describeTools(tools),
+        query,
+        history: history || '(none)',
+        previous
+      });
+      const reply = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+
+      const decision = parseRouteDecision(reply, toolNames);
+      if (decision) {
+        return decision;
+      }
+
+      console.warn(`Router reply could not be parsed (attempt ${attempt}/${this.maxAttempts}):`, reply);
+      previous = reply;
+    }
+
+    return null;
+  }
+}
+
+export default QueryRouter;
@@ -1,25 +1,31 @@
 import { ChatPromptTemplate } from '@langchain/core/prompts';
-import { chatModel } from '../config/llm.js';
-import client from '../config/database.js';
-
-const CLASS_NAME = 'QuestionAnswer';
-const TENANT_NAME = 'default';
+import { getChatModel, runChain } from '../config/llm.js';
+import { DEFAULT_TENANT } from '../config/database.js';
+import Retriever from '../retrieval/retriever.js';
+import { formatPassages, groundAnswer } from '../retrieval/citations.js';
 
 class RAGAgent {
-  constructor() {
+  constructor({ retriever = new Retriever() } = {}) {
     // Don't setup the complex agent, just use direct methods
+    this.retriever = retriever;
   }
 
-  async query(userQuery) {
+  // grounding: 'flag' | 'drop' overrides GROUNDING_MODE for this query
+  async query(userQuery, { tenantId = DEFAULT_TENANT, history = '', retrieval = {}, grounding, onToken } = {}) {
     try {
-      // First, search the database
-      const searchResults = await this.directSearch(userQuery, 3);
+      // Follow-up questions are rewritten into standalone search queries
+      const searchQuery = history ? await this.condenseQuery(userQuery, history) : userQuery;
+
+      // First, search the database, scoped to the caller's tenant
+      const searchResults = await this.directSearch(searchQuery, 3, { tenantId, retrieval });
       
       if (!searchResults.success || searchResults.results.length === 0) {
         return {
           success: false,
+          ...(searchResults.error && { error: searchResults.error }),
           answer: 'I could not find relevant information in the database.',
-          sources: []
+          sources: [],
+          retrieval: this.describeRetrieval(searchResults)
         };
       }
 
@@ -30,30 +36,41 @@ You are a helpful assistant. Answer the user's question based on the following i
 Retrieved Information:
 {context}
 
+Conversation so far:
+{history}
+
 User Question: {question}
 
-Please provide a comprehensive answer based on the retrieved information. If the information doesn't fully answer the question, say so. Always mention the source file IDs when available.
+Please provide a comprehensive answer based only on the retrieved information. If the information doesn't fully answer the question, say so. End every sentence that uses the retrieved information with the number of the passage that supports it, for example "Neural networks learn weights from data [2]." Cite only passages that contain the statement.
 
 Answer:
 `);
 
-      const context = searchResults.results.map(result => 
-        `File: ${result.fileId}\nQuestion: ${result.question}\nAnswer: ${result.answer}\n`
-      ).join('\n');
-
-      const chain = prompt.pipe(chatModel);
-      const response = await chain.invoke({ 
-        context: context,
+      const chain = prompt.pipe(getChatModel('rag'));
+      const rawAnswer = await runChain(chain, { 
+        context: formatPassages(searchResults.results),
+        history: history || '(none)',
         question: userQuery 
-      });
+      }, { onToken });
+
+      // Link each claim to the passage that supports it and flag (or drop)
+      // the ones no passage supports
+      const grounded = groundAnswer(rawAnswer, searchResults.results, { mode: grounding });
+      const cited = grounded.citations.flatMap(citation => citation.sources.map(source => source.fileId));
 
       return {
         success: true,
-        answer: response.content,
-        sources: searchResults.results.map(r => r.fileId)
+        answer: grounded.answer || 'None of the retrieved information supports an answer to this question.',
+        sources: [...new Set(cited)],
+        citations: grounded.citations,
+        grounding: grounded.grounding,
+        retrieval: this.describeRetrieval(searchResults)
       };
 
     } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
       console.error('RAG Agent error:', error);
       return {
         success: false,
@@ -63,106 +80,70 @@ Answer:
     }
   }
 
-  // Direct search method for when you need more control
-  async directSearch(query, limit = 3) {
+  // How the context was found, without the passage text
+  describeRetrieval(searchResults) {
+    return {
+      strategy: searchResults.strategy || null,
+      reranker: searchResults.reranker || null,
+      ...(searchResults.fallbackReason && { fallbackReason: searchResults.fallbackReason }),
+      results: (searchResults.results || []).map(result => ({
+        fileId: result.fileId,
+        strategy: result.strategy,
+        score: result.score,
+        relevance: result.relevance,
+        ...(result.rerankScore !== undefined && { rerankScore: result.rerankScore })
+      }))
+    };
+  }
+
+  // Turn a follow-up ("tell me more about the second point") into a
+  // standalone question using the conversation history
+  async condenseQuery(userQuery, history) {
     try {
-      let result;
-      try {
-        result = await client.graphql
-          .get()
-          .withClassName(CLASS_NAME)
-          .withTenant(TENANT_NAME)
-          .withFields('fileId question answer _additional { distance }')
-          .withNearText({ concepts: [query] })
-          .withLimit(limit)
-          .do();
-      } catch (error) {
-                  // Fallback to simple text search - use meaningful keywords
-          const keywords = query.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(' ')
-            .filter(word => word.length > 2 && !['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'].includes(word))
-            .slice(0, 3); // Take first 3 meaningful keywords
-          
-          if (keywords.length === 0) {
-            // If no meaningful keywords, just get all data
-            result = await client.data
-              .getter()
-              .withClassName(CLASS_NAME)
-              .withTenant(TENANT_NAME)
-              .withLimit(limit)
-              .do();
-          } else {
-            result = await client.graphql
-              .get()
-              .withClassName(CLASS_NAME)
-              .withTenant(TENANT_NAME)
-              .withFields('fileId question answer')
-              .withWhere({
-                operator: 'Or',
-                operands: [
-                  {
-                    path: ['question'],
-                    operator: 'ContainsAny',
-                    valueText: keywords
-                  },
-                  {
-                    path: ['answer'],
-                    operator: 'ContainsAny',
-                    valueText: keywords
-                  }
-                ]
-              })
-              .withLimit(limit)
-              .do();
-          }
-      }
+      const prompt = ChatPromptTemplate.fromTemplate(`
+Rewrite the follow-up question as a standalone search query, using the conversation for context. Respond with the query only.
 
-      const results = result.data.Get[CLASS_NAME] || [];
-      
+Conversation:
+{history}
+
+Follow-up question: {question}
+
+Standalone query:
+`);
+
+      const chain = prompt.pipe(getChatModel('rewrite'));
+      const response = await chain.invoke({ history, question: userQuery });
+      return response.content.trim() || userQuery;
+
+    } catch (error) {
+      console.error('Query condensing error:', error);
+      return userQuery;
+    }
+  }
+
+  // Retrieval without answer generation. Every read is scoped to one tenant
+  // so results never cross tenant boundaries. `retrieval` takes
+  // { alpha, threshold, filters, rerank }; see Retriever.search.
+  async directSearch(query, limit = 3, { tenantId = DEFAULT_TENANT, retrieval = {} } = {}) {
+    try {
+      const search = await this.retriever.search(query, { ...retrieval, tenantId, limit });
       return {
         success: true,
-        results: results.map(item => ({
-          fileId: item.fileId,
-          question: item.question,
-          answer: item.answer,
-          distance: item._additional?.distance
-        })),
-        count: results.length
+        ...search,
+        count: search.results.length
       };
 
     } catch (error) {
-      console.error('Direct search error:', error);
-      
-      // Fallback to fetchObjects
-      try {
-        const allObjects = await client.data
-          .getter()
-          .withClassName(CLASS_NAME)
-          .withTenant(TENANT_NAME)
-          .withLimit(limit)
-          .do();
-
-        const results = allObjects.data || [];
-        
-        return {
-          success: true,
-          results: results.map(item => ({
-            fileId: item.properties.fileId,
-            question: item.properties.question,
-            answer: item.properties.answer
-          })),
-          count: results.length,
-          note: 'Used fallback fetchObjects API'
-        };
-
-      } catch (fallbackError) {
-        return {
-          success: false,
-          error: fallbackError.message,
-          message: 'Both vector search and fallback failed'
-        };
+      // Bad retrieval options are the caller's to report
+      if (error.statusCode) {
+        throw error;
       }
+      console.error('Direct search error:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Knowledge base search failed'
+      };
     }
   }
 }
@@ -0,0 +1,240 @@
+// Routing decisions and the keyword classifier used when the router model is
+// unavailable or unsure. A decision looks like:
+// {
+//   tools: ['chart', 'rag'],            // registered tools to run; [] answers directly
+//   route: 'chart+rag',                 // the same as one string, or 'direct'
+//   confidence: 0..1,
+//   reasoning: 'Why these tools were picked',
+//   entities: { chartType?, dataset?, periods? },
+//   arguments: { toolName: { ... } }    // tool input the model extracted
+// }
+
+import { CHART_TYPES, findChartType, isChartTypeName } from '../tools/chart-config.js';
+
+export const DIRECT = 'direct';
+
+export { CHART_TYPES };
+
+const CHART_WORDS = /\b(chart|graph|plot|visuali[sz]e|visuali[sz]ation|diagram|histogram|pie|doughnut|scatter ?plot)\b/i;
+const INFO_WORDS = /\b(what|how|why|explain|describe|tell|compare|define|difference|who|when|which|summari[sz]e|more)\b/i;
+const EXPLICIT_INFO_WORDS = /\b(explain|describe|tell|compare|define|summari[sz]e|summary)\b/i;
+const GREETINGS = /^\s*(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening)|bye|goodbye)\b/i;
+// Greetings and pleasantries; a query made only of these is small talk
+const SMALL_TALK = /\b(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening)|bye|goodbye|how are you( doing)?( today)?|how is it going|how's it going|nice to meet you)\b/gi;
+const PERIOD_PATTERN = /\b((19|20)\d{2}|q[1-4]|jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(tember)?|oct(ober)?|nov(ember)?|dec(ember)?)\b/gi;
+
+// A match at or above this wins over matches that rest on generic words
+// (a "what" or a question mark), e.g. a math expression
+const DECISIVE_MATCH = 0.9;
+// Matches that name their tool's intent ("chart", "explain") still run next
+// to a decisive match
+const EXPLICIT_MATCH = 0.8;
+
+// Keyword matchers of the built-in tools
+export function matchChart(query, { hasData = false, previousChart = false } = {}) {
+  const text = String(query || '');
+  return CHART_WORDS.test(text) || hasData || (previousChart && findChartType(text)) ? 0.8 : 0;
+}
+
+// Questions about attached data are answered from the data, not the knowledge base
+export function matchInfo(query, { hasData = false } = {}) {
+  const text = String(query || '');
+  if (hasData) {
+    return 0;
+  }
+  if (EXPLICIT_INFO_WORDS.test(text)) {
+    return EXPLICIT_MATCH;
+  }
+  return INFO_WORDS.test(text) || text.trim().endsWith('?') ? 0.7 : 0;
+}
+
+// "Hello, how are you?" is small talk; "Hello, what is ML?" is not
+export function isSmallTalk(query) {
+  const text = String(query || '');
+  const rest = text.replace(SMALL_TALK, '');
+  return rest !== text && rest.replace(/\b(there|all|everyone)\b|[\s\p{P}]+/giu, '') === '';
+}
+
+export function routeName(tools) {
+  return tools.length > 0 ? tools.join('+') : DIRECT;
+}
+
+// Map a route the model named to tool names. "both" is the name older prompts
+// used for chart + rag; suffixes like "_tool" are graph node names.
+function routeTools(value, toolNames) {
+  const route = String(value || '').toLowerCase().trim().replace(/^["'`]+|["'`.!]+$/g, '');
+  if ([DIRECT, 'none', 'direct_response'].includes(route)) {
+    return [];
+  }
+  if (route === 'both') {
+    return ['chart', 'rag'].filter(name => toolNames.includes(name));
+  }
+  const name = route.replace(/_(tool|agent)$/, '');
+  return toolNames.includes(name) ? [name] : null;
+}
+
+function clampConfidence(value, fallback) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    return fallback;
+  }
+  // Accept percentages as well as fractions
+  const fraction = number > 1 ? number / 100 : number;
+  return Math.min(1, Math.max(0, fraction));
+}
+
+function normalizeEntities(entities) {
+  if (!entities || typeof entities !== 'object' || Array.isArray(entities)) {
+    return {};
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(entities)) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    normalized[key] = value;
+  }
+  if (normalized.chartType) {
+    // Names Chart.js has no chart for ("histogram") are kept; the chart
+    // tool draws the nearest type
+    const chartType = String(normalized.chartType).toLowerCase();
+    if (isChartTypeName(chartType)) {
+      normalized.chartType = chartType;
+    } else {
+      delete normalized.chartType;
+    }
+  }
+  return normalized;
+}
+
+// Pull the first JSON object out of a reply, ignoring code fences and prose
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+function decision(tools, fields) {
+  return { tools, route: routeName(tools), ...fields };
+}
+
+// Validate a router reply against the tools that may be used. Returns null
+// when no decision can be recovered, so the caller can retry. Replies that only
+// name a route (`"rag".`, `Answer: chart`) are repaired as long as they name
+// exactly one.
+export function parseRouteDecision(text, toolNames) {
+  const reply = typeof text === 'string' ? text.trim() : '';
+  if (!reply) {
+    return null;
+  }
+
+  const json = extractJson(reply);
+  if (json && typeof json === 'object') {
+    let tools;
+    if (Array.isArray(json.tools)) {
+      const mapped = json.tools.map(name => routeTools(name, toolNames));
+      if (mapped.some(entry => entry === null)) {
+        return null;
+      }
+      tools = [...new Set(mapped.flat())];
+    } else {
+      tools = routeTools(json.route ?? json.decision ?? json.action, toolNames);
+      if (tools === null) {
+        return null;
+      }
+    }
+
+    const args = json.arguments && typeof json.arguments === 'object' && !Array.isArray(json.arguments)
+      ? json.arguments
+      : {};
+    return decision(toolNames.filter(name => tools.includes(name)), {
+      confidence: clampConfidence(json.confidence, 0.5),
+      reasoning: typeof json.reasoning === 'string' ? json.reasoning.trim() : '',
+      entities: normalizeEntities(json.entities),
+      arguments: Object.fromEntries(Object.entries(args).filter(([name]) => tools.includes(name)))
+    });
+  }
+
+  const named = new Map();
+  for (const word of reply.match(/[a-z_]+/gi) || []) {
+    const tools = routeTools(word, toolNames);
+    if (tools) {
+      named.set(routeName(tools), tools);
+    }
+  }
+  if (named.size !== 1) {
+    return null;
+  }
+  return decision([...named.values()][0], {
+    confidence: 0.6,
+    reasoning: 'Route recovered from an unstructured reply',
+    entities: {},
+    arguments: {}
+  });
+}
+
+export function extractEntities(query) {
+  const entities = {};
+  const chartType = findChartType(query);
+  if (chartType) {
+    entities.chartType = chartType;
+  }
+  const periods = String(query).match(PERIOD_PATTERN);
+  if (periods) {
+    entities.periods = [...new Set(periods.map(period => period.toLowerCase()))];
+  }
+  return entities;
+}
+
+// Keyword classifier over the tools a request may use. Small talk is
+// answered directly. Otherwise each tool scores the query with its `match`;
+// every tool scoring 0.5 or more runs, unless some tool is certain (0.9+), in
+// which case only the certain ones and those named outright (0.8+) do. Other greetings are answered directly,
+// and anything else goes to the fallback tool.
+// `context` carries { hasData, previousChart } for the matchers.
+export function classifyQuery(query, tools, context = {}) {
+  const text = String(query || '');
+  const entities = extractEntities(text);
+  if (isSmallTalk(text) && !context.hasData) {
+    return decision([], { confidence: 0.9, reasoning: 'Greeting or small talk', entities, arguments: {} });
+  }
+
+  const scored = tools
+    .map(tool => ({ name: tool.name, score: tool.match ? tool.match(text, context) || 0 : 0 }))
+    .filter(entry => entry.score >= 0.5);
+
+  const decisive = scored.filter(entry => entry.score >= DECISIVE_MATCH);
+  const selected = decisive.length > 0 ? scored.filter(entry => entry.score >= EXPLICIT_MATCH) : scored;
+
+  if (selected.length > 0) {
+    return decision(selected.map(entry => entry.name), {
+      confidence: Math.min(...selected.map(entry => entry.score)),
+      reasoning: `Keyword match for ${selected.map(entry => entry.name).join(' and ')}`,
+      entities,
+      arguments: {}
+    });
+  }
+
+  if (GREETINGS.test(text)) {
+    return decision([], { confidence: 0.8, reasoning: 'Greeting or small talk', entities, arguments: {} });
+  }
+
+  const fallback = tools.find(tool => tool.fallback);
+  if (fallback) {
+    return decision([fallback.name], {
+      confidence: 0.4,
+      reasoning: `No clear signal; defaulting to ${fallback.name}`,
+      entities,
+      arguments: {}
+    });
+  }
+  return decision([], { confidence: 0.3, reasoning: 'No tool matches the query', entities, arguments: {} });
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import HttpError from '../utils/http-error.js';
+import RateLimiter from './rate-limiter.js';
+
+dotenv.config();
+
+const BEARER = /^Bearer\s+(.+)$/i;
+
+// The key set in ADMIN_API_KEY: every scope, any tenant, no rate limit. It is
+// how the first keys get issued.
+const ADMIN_KEY = { keyId: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], tenantId: null, rateLimit: null, quota: null };
+
+export function authEnabled() {
+  return ['true', 'on', '1'].includes(String(process.env.AUTH_ENABLED || 'false').toLowerCase());
+}
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function presentedKey(req) {
+  const authorization = req.get('authorization');
+  const bearer = authorization ? authorization.match(BEARER) : null;
+  return bearer ? bearer[1].trim() : req.get('x-api-key') || null;
+}
+
+function sameSecret(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// "day" periods are UTC dates, "month" periods UTC months
+function periodOf(quota, now) {
+  return new Date(now).toISOString().slice(0, quota.period === 'month' ? 7 : 10);
+}
+
+function periodEnd(quota, now) {
+  const date = new Date(now);
+  return quota.period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function tooManyRequests(message, retryAt, now) {
+  const error = new HttpError(429, message);
+  error.retryAfter = Math.max(1, Math.ceil((retryAt - now) / 1000));
+  return error;
+}
+
+// Decides whether a request may go ahead: a known, live key (401), with the
+// scope the endpoint needs (403), within its rate limit and quota (429).
+// With AUTH_ENABLED off every request goes ahead without a key.
+class ApiKeyAuth {
+  constructor({
+    store,
+    limiter = new RateLimiter(),
+    enabled = authEnabled(),
+    adminKey = process.env.ADMIN_API_KEY || null,
+    defaultRateLimit = {
+      requests: parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+      windowSeconds: parseInt(process.env.API_KEY_RATE_WINDOW_SECONDS) || 60
+    }
+  }) {
+    this.store = store;
+    this.limiter = limiter;
+    this.enabled = enabled;
+    this.adminKey = adminKey;
+    this.defaultRateLimit = defaultRateLimit;
+  }
+
+  // Returns { key, rate } for the request, both null when auth is off; `rate`
+  // is the rate limit state of the key ({ limit, remaining, resetAt })
+  async authenticate(req, scope) {
+    if (!this.enabled) {
+      return { key: null, rate: null };
+    }
+
+    const presented = presentedKey(req);
+    if (!presented) {
+      throw new HttpError(401, 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key"');
+    }
+    if (this.adminKey && sameSecret(presented, this.adminKey)) {
+      return { key: ADMIN_KEY, rate: null };
+    }
+
+    const key = await this.store.verify(presented);
+    const now = Date.now();
+    if (!key) {
+      throw new HttpError(401, 'Invalid API key');
+    }
+    if (key.revokedAt) {
+      throw new HttpError(401, 'API key has been revoked');
+    }
+    if (key.expiresAt && Date.parse(key.expiresAt) <= now) {
+      throw new HttpError(401, 'API key has expired');
+    }
+    if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+      throw new HttpError(403, `API key lacks the "${scope}" scope`);
+    }
+
+    const rate = this.limiter.take(key.keyId, key.rateLimit || this.defaultRateLimit, now);
+    if (!rate.allowed) {
+      throw Object.assign(tooManyRequests('Rate limit exceeded', rate.resetAt, now), { rate });
+    }
+
+    await this.recordUse(key, now);
+    return { key, rate };
+  }
+
+  // Count the request against the key's quota; usage is stored with the key.
+  // The check and the count are one update of the stored record, so
+  // parallel requests cannot go over the quota.
+  async recordUse(key, now) {
+    const updated = await this.store.update(key.keyId, record => {
+      const usage = { requests: 0, period: null, periodRequests: 0, ...record.usage };
+      if (record.quota) {
+        const period = periodOf(record.quota, now);
+        if (usage.period !== period) {
+          usage.period = period;
+          usage.periodRequests = 0;
+        }
+        if (usage.periodRequests >= record.quota.requests) {
+          throw tooManyRequests(
+            `Quota of ${record.quota.requests} requests per ${record.quota.period} used up`,
+            periodEnd(record.quota, now),
+            now
+          );
+        }
+        usage.periodRequests++;
+      }
+      usage.requests++;
+
+      record.usage = usage;
+      record.lastUsedAt = new Date(now).toISOString();
+    });
+    key.usage = updated.usage;
+    key.lastUsedAt = updated.lastUsedAt;
+  }
+}
+
+export default ApiKeyAuth;
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import tenantManager from '../tenants/tenant-manager.js';
+import HttpError from '../utils/http-error.js';
+import { parseBudget } from '../usage/budgets.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+export const SCOPES = ['query', 'ingest', 'admin'];
+export const QUOTA_PERIODS = ['day', 'month'];
+
+const KEY_ID_PATTERN = /^[0-9a-f]{12}$/;
+const KEY_PATTERN = /^lcp_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// A key record looks like:
+// {
+//   keyId, name, prefix, hash, scopes: ['query' | 'ingest' | 'admin'],
+//   tenantId: 'acme' | null (any tenant),
+//   rateLimit: { requests, windowSeconds } | null (the default limit),
+//   quota: { requests, period: 'day' | 'month' } | null (no quota),
+//   budget: model spend cap, see usage/budgets.js | null (no budget),
+//   usage: { requests, period, periodRequests },
+//   createdAt, expiresAt, revokedAt, lastUsedAt
+// }
+// Only the SHA-256 hash of the secret is stored; the key itself is shown once.
+
+export function validateKeyId(keyId) {
+  if (typeof keyId !== 'string' || !KEY_ID_PATTERN.test(keyId)) {
+    throw new HttpError(400, 'Key ID must be 12 hex characters');
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function positiveInteger(value, field) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new HttpError(400, `${field} must be a positive integer`);
+  }
+  return value;
+}
+
+// Check and normalize the fields of POST /keys
+export function parseKeyOptions({ name, scopes, tenantId, rateLimit, quota, budget, expiresAt } = {}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new HttpError(400, 'Key name must be a string of 1-100 characters');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    throw new HttpError(400, `Scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+  }
+  if (tenantId !== undefined && tenantId !== null) {
+    tenantManager.validateTenantId(tenantId);
+    // An admin key can create tenants and keys, so it cannot be held to one
+    if (scopes.includes('admin')) {
+      throw new HttpError(400, 'Admin keys cannot be bound to a tenant');
+    }
+  }
+  if (rateLimit !== undefined && rateLimit !== null) {
+    rateLimit = {
+      requests: positiveInteger(rateLimit.requests, 'rateLimit.requests'),
+      windowSeconds: positiveInteger(rateLimit.windowSeconds ?? 60, 'rateLimit.windowSeconds')
+    };
+  }
+  if (quota !== undefined && quota !== null) {
+    if (!QUOTA_PERIODS.includes(quota.period ?? 'day')) {
+      throw new HttpError(400, `quota.period must be one of: ${QUOTA_PERIODS.join(', ')}`);
+    }
+    quota = { requests: positiveInteger(quota.requests, 'quota.requests'), period: quota.period ?? 'day' };
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    if (Number.isNaN(Date.parse(expiresAt))) {
+      throw new HttpError(400, 'expiresAt must be an ISO date');
+    }
+    expiresAt = new Date(expiresAt).toISOString();
+  }
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    tenantId: tenantId ?? null,
+    rateLimit: rateLimit ?? null,
+    quota: quota ?? null,
+    budget: parseBudget(budget),
+    expiresAt: expiresAt ?? null
+  };
+}
+
+// Key record without the hash
+export function summarizeKey({ hash, ...key }) {
+  return key;
+}
+
+// Keeps keys in process memory. Other stores extend it and override the
+// read/write/remove/all primitives.
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+    // Per key, the last queued update
+    this.updates = new Map();
+  }
+
+  async read(keyId) {
+    return this.keys.get(keyId) || null;
+  }
+
+  async write(key) {
+    this.keys.set(key.keyId, key);
+  }
+
+  async remove(keyId) {
+    this.keys.delete(keyId);
+  }
+
+  async all() {
+    return [...this.keys.values()];
+  }
+
+  // Read, change and write a key record. Updates of the same key run one
+  // after another on a fresh read, so concurrent requests cannot count
+  // against a stale quota or undo a revocation. A change that throws writes
+  // nothing.
+  update(keyId, change) {
+    const previous = this.updates.get(keyId) || Promise.resolve();
+    const result = previous.then(async () => {
+      const key = await this.read(keyId);
+      if (!key) {
+        throw new HttpError(404, `API key "${keyId}" not found`);
+      }
+      change(key);
+      await this.write(key);
+      return key;
+    });
+    const done = result.catch(() => {});
+    this.updates.set(keyId, done);
+    done.then(() => {
+      if (this.updates.get(keyId) === done) {
+        this.updates.delete(keyId);
+      }
+    });
+    return result;
+  }
+
+  // Issue a key for already validated options (see parseKeyOptions). Returns
+  // the record and the key, which cannot be recovered later.
+  async create(options) {
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = {
+      keyId,
+      ...options,
+      prefix: `lcp_${keyId}`,
+      hash: hashSecret(secret),
+      usage: { requests: 0, period: null, periodRequests: 0 },
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null
+    };
+    await this.write(key);
+    return { key, apiKey: `lcp_${keyId}_${secret}` };
+  }
+
+  // The record of a presented key, or null when it is not one of ours
+  async verify(apiKey) {
+    const match = typeof apiKey === 'string' ? apiKey.match(KEY_PATTERN) : null;
+    if (!match) {
+      return null;
+    }
+    const key = await this.read(match[1]);
+    if (!key) {
+      return null;
+    }
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? key : null;
+  }
+
+  async get(keyId) {
+    return this.read(keyId);
+  }
+
+  // Newest first, optionally only the keys bound to one tenant
+  async list({ tenantId } = {}) {
+    return (await this.all())
+      .filter(key => !tenantId || key.tenantId === tenantId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(summarizeKey);
+  }
+
+  async revoke(keyId) {
+    const key = await this.update(keyId, record => {
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+    });
+    return summarizeKey(key);
+  }
+
+  // Revoke the keys bound to a tenant that is being deleted
+  async revokeTenant(tenantId) {
+    const keys = (await this.all()).filter(key => key.tenantId === tenantId && !key.revokedAt);
+    for (const key of keys) {
+      await this.revoke(key.keyId);
+    }
+    return keys.length;
+  }
+}
+
+// Stores one JSON file per key in a directory
+class FileApiKeyStore extends MemoryApiKeyStore {
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(keyId) {
+    return path.join(this.directory, `${keyId}.json`);
+  }
+
+  async read(keyId) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      return null;
+    }
+    return loadJson(this.filePath(keyId), null);
+  }
+
+  async write(key) {
+    saveJson(this.filePath(key.keyId), key);
+  }
+
+  async remove(keyId) {
+    fs.rmSync(this.filePath(keyId), { force: true });
+  }
+
+  async all() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => loadJson(path.join(this.directory, file), null))
+      .filter(Boolean);
+  }
+}
+
+// Pick the store from API_KEY_STORE (file | memory). Keys default to files so
+// they survive a restart.
+export function createApiKeyStore({
+  type = process.env.API_KEY_STORE || 'file',
+  directory = process.env.API_KEYS_DIR || './data/api-keys'
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryApiKeyStore();
+    case 'file':
+      return new FileApiKeyStore({ directory });
+    default:
+      throw new Error(`Unknown API_KEY_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryApiKeyStore, FileApiKeyStore };
@@ -0,0 +1,39 @@
+// Fixed-window request counter per API key, kept in process memory. Each
+// server process counts on its own.
+class RateLimiter {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  // Count one request of `id` against `requests` per `windowSeconds`. Returns
+  // { allowed, limit, remaining, resetAt } where resetAt is in epoch ms.
+  take(id, { requests, windowSeconds }, now = Date.now()) {
+    const windowMs = windowSeconds * 1000;
+    let window = this.windows.get(id);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(id, window);
+    }
+
+    const allowed = window.count < requests;
+    if (allowed) {
+      window.count++;
+    }
+    this.prune(now);
+    return { allowed, limit: requests, remaining: Math.max(0, requests - window.count), resetAt: window.resetAt };
+  }
+
+  // Drop expired windows now and then so revoked keys do not pile up
+  prune(now) {
+    if (this.windows.size < 1000) {
+      return;
+    }
+    for (const [id, window] of this.windows) {
+      if (now >= window.resetAt) {
+        this.windows.delete(id);
+      }
+    }
+  }
+}
+
+export default RateLimiter;
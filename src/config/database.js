@@ -9,4 +9,13 @@ const client = weaviate.client({
   apiKey: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY || ''),
 });
 
+// Knowledge base class and the tenant used when a request names none
+const CLASS_NAME = 'QuestionAnswer';
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || 'default';
+
+// Tenant activity statuses
+const ACTIVE = 'HOT';
+const INACTIVE = 'COLD';
+
+export { CLASS_NAME, DEFAULT_TENANT, ACTIVE, INACTIVE };
 export default client; 
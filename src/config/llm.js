@@ -1,22 +1,154 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import dotenv from 'dotenv';
+import { createChatModel } from '../llm/provider-registry.js';
+import CircuitBreaker from '../llm/circuit-breaker.js';
+import ResilientChatModel from '../llm/resilient-chat-model.js';
+import TracedChatModel from '../tracing/traced-chat-model.js';
+import { currentMeter } from '../usage/usage-meter.js';
 
 dotenv.config();
 
 // Initialize Google Generative AI
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
 
+// Roles that can be given their own model through LLM_MODEL_<ROLE>, e.g.
+// LLM_MODEL_ROUTER=mock or LLM_MODEL_COMBINE=google:gemini-1.5-pro
+const ROLES = ['router', 'chart', 'rag', 'rewrite', 'direct', 'combine', 'summary', 'rerank', 'planner'];
+
+const defaults = {
+  provider: process.env.LLM_PROVIDER || 'google',
+  model: process.env.LLM_MODEL || undefined,
+  temperature: parseFloat(process.env.TEMPERATURE) || 0.7,
+  maxTokens: parseInt(process.env.MAX_TOKENS) || 1000,
+};
+
+// Time limit, retries and circuit breaker of every model call
+const resilience = {
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+  maxRetries: process.env.LLM_MAX_RETRIES ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+  backoffMs: parseInt(process.env.LLM_RETRY_BASE_MS) || 500,
+  maxBackoffMs: parseInt(process.env.LLM_RETRY_MAX_MS) || 8000,
+};
+
+const breakerSettings = {
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURES) || 5,
+  resetMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS) || 30000,
+};
+
+// "provider:model", "provider:" or a bare model name for the default provider
+function parseModelSpec(spec) {
+  if (!spec) {
+    return {};
+  }
+  const separator = spec.indexOf(':');
+  if (separator < 0) {
+    return { model: spec };
+  }
+  return {
+    provider: spec.slice(0, separator),
+    model: spec.slice(separator + 1) || undefined,
+  };
+}
+
+function settingsOf(override) {
+  const provider = override.provider || defaults.provider;
+  return {
+    ...defaults,
+    provider,
+    // A model name only carries over when the provider is the same
+    model: override.model || (provider === defaults.provider ? defaults.model : undefined),
+  };
+}
+
+function modelSettings(role) {
+  return settingsOf(role ? parseModelSpec(process.env[`LLM_MODEL_${role.toUpperCase()}`]) : {});
+}
+
+// Models tried in order when the role's model fails: LLM_FALLBACKS_<ROLE>,
+// else LLM_FALLBACKS, as a comma-separated list of model specs
+function fallbackSettings(role) {
+  const list = (role && process.env[`LLM_FALLBACKS_${role.toUpperCase()}`]) ?? process.env.LLM_FALLBACKS ?? '';
+  return list.split(',')
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(spec => settingsOf(parseModelSpec(spec)));
+}
+
+const models = new Map();
+const breakers = new Map();
+const tracedModels = new Map();
+const resilientModels = new Map();
+
+const modelName = settings => `${settings.provider}:${settings.model || 'default'}`;
+
+// The traced model and circuit breaker for one set of settings. Breakers are
+// shared by all roles using the model, since they all hit the same provider.
+function candidateFor(settings, role) {
+  const key = JSON.stringify(settings);
+  if (!models.has(key)) {
+    console.log(`Using LLM ${modelName(settings)}${role ? ` for ${role}` : ''}`);
+    models.set(key, createChatModel(settings));
+    breakers.set(key, { name: modelName(settings), breaker: new CircuitBreaker(breakerSettings) });
+  }
+
+  const tracedKey = `${role || ''}|${key}`;
+  if (!tracedModels.has(tracedKey)) {
+    tracedModels.set(tracedKey, new TracedChatModel(models.get(key), {
+      role,
+      provider: settings.provider,
+      modelName: settings.model
+    }));
+  }
+  return { ...breakers.get(key), model: tracedModels.get(tracedKey) };
+}
+
+// Chat model for a role; models with the same settings are shared. Every role
+// gets its own wrapper so traces show which role made the call, and calls go
+// through its fallbacks when the model fails (see ResilientChatModel). A
+// request whose budget is spent may be downgraded: its usage meter then names
+// the model all roles use instead.
+function getChatModel(role) {
+  if (role && !ROLES.includes(role)) {
+    throw new Error(`Unknown LLM role "${role}". Use one of: ${ROLES.join(', ')}`);
+  }
+
+  const downgrade = currentMeter()?.model;
+  const key = `${role || ''}|${downgrade || ''}`;
+  if (!resilientModels.has(key)) {
+    const primary = downgrade ? settingsOf(parseModelSpec(downgrade)) : modelSettings(role);
+    const candidates = [primary, ...fallbackSettings(role)]
+      .filter((settings, index, all) => all.findIndex(other => JSON.stringify(other) === JSON.stringify(settings)) === index)
+      .map(settings => candidateFor(settings, role));
+    resilientModels.set(key, new ResilientChatModel(candidates, { role, ...resilience }));
+  }
+  return resilientModels.get(key);
+}
+
+// Circuit breaker state of every model in use
+function llmStatus() {
+  return [...breakers.values()].map(({ name, breaker }) => ({ model: name, ...breaker.status() }));
+}
 
 // Create LangChain chat model
-const modelName = process.env.LLM_MODEL || 'gemini-1.5-flash';
-console.log('Using LLM model:', modelName);
+const chatModel = getChatModel();
 
-const chatModel = new ChatGoogleGenerativeAI({
-  model: modelName,
-  temperature: parseFloat(process.env.TEMPERATURE) || 0.7,
-  maxOutputTokens: parseInt(process.env.MAX_TOKENS) || 1000,
-  apiKey: process.env.GOOGLE_API_KEY,
-});
+// Run a prompt chain and return the text. When `onToken` is given the model
+// output is streamed and each token is passed to it as it arrives.
+async function runChain(chain, variables, { onToken } = {}) {
+  if (!onToken) {
+    const response = await chain.invoke(variables);
+    return response.content;
+  }
+
+  let content = '';
+  for await (const chunk of await chain.stream(variables)) {
+    const token = typeof chunk.content === 'string' ? chunk.content : '';
+    if (token) {
+      content += token;
+      onToken(token);
+    }
+  }
+  return content;
+}
 
-export { genAI, chatModel }; 
\ No newline at end of file
+export { genAI, chatModel, getChatModel, modelSettings, llmStatus, runChain, ROLES };
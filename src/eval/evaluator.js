@@ -0,0 +1,220 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { DEFAULT_TENANT } from '../config/database.js';
+import {
+  answerOverlap,
+  faithfulness,
+  normalizeRoute,
+  recallAtK,
+  reciprocalRank,
+  round,
+  routeMatches,
+  summarize
+} from './metrics.js';
+
+// Score changes smaller than this are not reported by compareRuns
+const MIN_CHANGE = 0.01;
+
+// One labelled case per line:
+// { id, query, expectedRoute, expectedSources, referenceAnswer, data, mode, tools }
+// expectedRoute is a route name ("rag", "chart+rag", "direct", ...) or a list
+// of acceptable ones; everything but id and query is optional.
+export function parseDataset(text, source = 'dataset') {
+  const cases = [];
+  const ids = new Set();
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('//')) {
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${source}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`${source}:${index + 1}: "query" must be a non-empty string`);
+    }
+    if (entry.expectedSources !== undefined && !Array.isArray(entry.expectedSources)) {
+      throw new Error(`${source}:${index + 1}: "expectedSources" must be a list of fileIds`);
+    }
+    const id = String(entry.id ?? `case_${cases.length + 1}`);
+    if (ids.has(id)) {
+      throw new Error(`${source}:${index + 1}: duplicate case id "${id}"`);
+    }
+    ids.add(id);
+    cases.push({ ...entry, id });
+  });
+
+  if (cases.length === 0) {
+    throw new Error(`${source} has no cases`);
+  }
+  return cases;
+}
+
+export function loadDataset(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return {
+    path: filePath,
+    hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 16),
+    cases: parseDataset(text, filePath)
+  };
+}
+
+// File IDs in the order the knowledge base tool retrieved them, taken from the
+// retrieval spans under its tool spans. Searches elsewhere (such as the chart
+// tool looking for data) do not count.
+export function retrievedSources(trace, toolName = 'rag') {
+  if (!trace) {
+    return [];
+  }
+  const byId = new Map(trace.spans.map(span => [span.spanId, span]));
+  const underTool = span => {
+    for (let parent = byId.get(span.parentId); parent; parent = byId.get(parent.parentId)) {
+      if (parent.kind === 'tool') {
+        return parent.attributes.tool === toolName;
+      }
+    }
+    return false;
+  };
+
+  const sources = [];
+  for (const span of trace.spans) {
+    if (span.kind === 'retrieval' && Array.isArray(span.output) && underTool(span)) {
+      for (const passage of span.output) {
+        if (passage?.fileId && !sources.includes(passage.fileId)) {
+          sources.push(passage.fileId);
+        }
+      }
+    }
+  }
+  return sources;
+}
+
+// Run one case through the agent and score it
+async function evaluateCase(agent, testCase, { k, tenantId, mode }) {
+  const started = Date.now();
+  const result = {
+    id: testCase.id,
+    query: testCase.query,
+    ...(testCase.expectedRoute !== undefined && { expectedRoute: testCase.expectedRoute }),
+    expectedSources: testCase.expectedSources || []
+  };
+
+  try {
+    const response = await agent.processQuery(testCase.query, {
+      tenantId,
+      data: testCase.data,
+      tools: testCase.tools,
+      mode: testCase.mode || mode
+    });
+    result.durationMs = Date.now() - started;
+
+    const trace = response.runId ? await agent.traceStore.get(response.runId, tenantId) : null;
+    const retrieved = retrievedSources(trace);
+    const route = response.decision ?? null;
+
+    Object.assign(result, {
+      runId: response.runId || null,
+      route,
+      routeCorrect: testCase.expectedRoute === undefined ? null : routeMatches(testCase.expectedRoute, route),
+      retrieved,
+      recall: result.expectedSources.length > 0 ? round(recallAtK(result.expectedSources, retrieved, k)) : null,
+      reciprocalRank: result.expectedSources.length > 0 ? round(reciprocalRank(result.expectedSources, retrieved)) : null,
+      faithfulness: round(faithfulness(response.citations)),
+      answerOverlap: round(answerOverlap(response.answer, testCase.referenceAnswer)),
+      answer: response.answer
+    });
+    // The agent answers errors instead of throwing them; its trace says so
+    if (response.decision === null && trace?.status === 'error') {
+      result.error = trace.errors[0]?.message || 'Run failed';
+    }
+  } catch (error) {
+    Object.assign(result, {
+      durationMs: Date.now() - started,
+      route: null,
+      routeCorrect: testCase.expectedRoute === undefined ? null : false,
+      error: error.message
+    });
+  }
+  return result;
+}
+
+// Run every case of a dataset one after another (so latencies are comparable)
+// and return the scored run. onCase(result, index) reports progress.
+export async function runEval({ agent, dataset, k = 3, tenantId = DEFAULT_TENANT, mode, label, config = {}, onCase }) {
+  const startedAt = new Date().toISOString();
+  const cases = [];
+  for (const [index, testCase] of dataset.cases.entries()) {
+    const result = await evaluateCase(agent, testCase, { k, tenantId, mode });
+    cases.push(result);
+    onCase?.(result, index);
+  }
+
+  return {
+    label: label || null,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    config: { ...config, k, tenantId, mode: mode || null, dataset: { path: dataset.path, hash: dataset.hash } },
+    summary: summarize(cases),
+    cases
+  };
+}
+
+const SUMMARY_METRICS = ['routingAccuracy', 'recallAtK', 'mrr', 'faithfulness', 'answerOverlap', 'meanLatencyMs', 'errors'];
+const CASE_METRICS = ['recall', 'reciprocalRank', 'faithfulness', 'answerOverlap'];
+
+// What changed between two saved runs: summary deltas, cases whose routing
+// was fixed or broken, per-case score changes and cases in only one run
+export function compareRuns(baseline, current) {
+  const summary = {};
+  for (const metric of SUMMARY_METRICS) {
+    const before = baseline.summary[metric] ?? null;
+    const after = current.summary[metric] ?? null;
+    summary[metric] = { before, after, delta: before === null || after === null ? null : round(after - before) };
+  }
+
+  const baselineCases = new Map(baseline.cases.map(result => [result.id, result]));
+  const currentIds = new Set(current.cases.map(result => result.id));
+  const regressions = [];
+  const fixes = [];
+  const changes = [];
+
+  for (const after of current.cases) {
+    const before = baselineCases.get(after.id);
+    if (!before) {
+      continue;
+    }
+    if (before.routeCorrect !== after.routeCorrect && after.routeCorrect !== null && before.routeCorrect !== null) {
+      (after.routeCorrect ? fixes : regressions).push({
+        id: after.id,
+        metric: 'route',
+        before: normalizeRoute(before.route),
+        after: normalizeRoute(after.route)
+      });
+    }
+    if (Boolean(before.error) !== Boolean(after.error)) {
+      (after.error ? regressions : fixes).push({ id: after.id, metric: 'error', before: before.error || null, after: after.error || null });
+    }
+    for (const metric of CASE_METRICS) {
+      const from = before[metric] ?? null;
+      const to = after[metric] ?? null;
+      if (from !== null && to !== null && Math.abs(to - from) >= MIN_CHANGE) {
+        changes.push({ id: after.id, metric, before: from, after: to, delta: round(to - from) });
+      }
+    }
+  }
+
+  return {
+    baseline: { label: baseline.label, startedAt: baseline.startedAt, dataset: baseline.config?.dataset },
+    current: { label: current.label, startedAt: current.startedAt, dataset: current.config?.dataset },
+    sameDataset: baseline.config?.dataset?.hash === current.config?.dataset?.hash,
+    summary,
+    regressions,
+    fixes,
+    changes,
+    added: current.cases.filter(result => !baselineCases.has(result.id)).map(result => result.id),
+    removed: baseline.cases.filter(result => !currentIds.has(result.id)).map(result => result.id)
+  };
+}
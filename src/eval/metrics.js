@@ -0,0 +1,120 @@
+import { tokenize } from '../retrieval/lexical.js';
+
+// Routes are compared as sets of tools, so "rag+chart" matches "chart+rag".
+// "both" is the older name of chart+rag.
+export function normalizeRoute(route) {
+  const name = String(route || '').toLowerCase().trim();
+  if (name === 'both') {
+    return 'chart+rag';
+  }
+  return name.split('+').map(part => part.trim()).filter(Boolean).sort().join('+') || 'direct';
+}
+
+// `expected` is a route or a list of acceptable routes
+export function routeMatches(expected, actual) {
+  const accepted = [].concat(expected).map(normalizeRoute);
+  return accepted.includes(normalizeRoute(actual));
+}
+
+// Share of the expected sources among the first k retrieved
+export function recallAtK(expected, retrieved, k) {
+  if (!expected || expected.length === 0) {
+    return null;
+  }
+  const top = new Set(retrieved.slice(0, k));
+  return expected.filter(fileId => top.has(fileId)).length / expected.length;
+}
+
+// 1 / rank of the first expected source retrieved, 0 when none was
+export function reciprocalRank(expected, retrieved) {
+  if (!expected || expected.length === 0) {
+    return null;
+  }
+  const rank = retrieved.findIndex(fileId => expected.includes(fileId));
+  return rank < 0 ? 0 : 1 / (rank + 1);
+}
+
+// Share of the checked claims of an answer that a retrieved passage supports
+// (see retrieval/citations.js). Null when no claim was checked.
+export function faithfulness(citations) {
+  const checked = (citations || []).filter(citation => citation.checked);
+  if (checked.length === 0) {
+    return null;
+  }
+  return checked.filter(citation => citation.grounded).length / checked.length;
+}
+
+// Token F1 between the answer and the reference answer, citation markers
+// ignored
+export function answerOverlap(answer, reference) {
+  if (!reference) {
+    return null;
+  }
+  const answerTokens = tokenize(String(answer || '').replace(/\[\d+\]/g, ''));
+  const referenceTokens = tokenize(reference);
+  if (answerTokens.length === 0 || referenceTokens.length === 0) {
+    return 0;
+  }
+
+  const remaining = new Map();
+  for (const token of referenceTokens) {
+    remaining.set(token, (remaining.get(token) || 0) + 1);
+  }
+  let common = 0;
+  for (const token of answerTokens) {
+    if (remaining.get(token) > 0) {
+      common++;
+      remaining.set(token, remaining.get(token) - 1);
+    }
+  }
+  if (common === 0) {
+    return 0;
+  }
+  const precision = common / answerTokens.length;
+  const recall = common / referenceTokens.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+}
+
+export function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Aggregate scores of a run. Metrics a case does not cover (no expected
+// sources, no reference answer) are left out of that metric's mean.
+export function summarize(cases) {
+  const routed = cases.filter(result => result.expectedRoute !== undefined);
+  const perRoute = {};
+  const confusion = {};
+
+  for (const result of routed) {
+    const expected = [].concat(result.expectedRoute).map(normalizeRoute).join(' | ');
+    perRoute[expected] = perRoute[expected] || { cases: 0, correct: 0 };
+    perRoute[expected].cases++;
+    perRoute[expected].correct += result.routeCorrect ? 1 : 0;
+
+    const actual = normalizeRoute(result.route);
+    confusion[expected] = confusion[expected] || {};
+    confusion[expected][actual] = (confusion[expected][actual] || 0) + 1;
+  }
+  for (const entry of Object.values(perRoute)) {
+    entry.accuracy = round(entry.correct / entry.cases);
+  }
+
+  return {
+    cases: cases.length,
+    errors: cases.filter(result => result.error).length,
+    routingAccuracy: routed.length > 0 ? round(routed.filter(result => result.routeCorrect).length / routed.length) : null,
+    recallAtK: mean(cases.map(result => result.recall)),
+    mrr: mean(cases.map(result => result.reciprocalRank)),
+    faithfulness: mean(cases.map(result => result.faithfulness)),
+    answerOverlap: mean(cases.map(result => result.answerOverlap)),
+    meanLatencyMs: mean(cases.map(result => result.durationMs)),
+    perRoute,
+    confusion
+  };
+}
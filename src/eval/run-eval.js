@@ -0,0 +1,194 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { modelSettings, ROLES } from '../config/llm.js';
+import { DEFAULT_TENANT } from '../config/database.js';
+import DelegatingAgent from '../agents/delegating-agent.js';
+import { createConversationStore } from '../stores/conversation-store.js';
+import { MemoryTraceStore } from '../tracing/trace-store.js';
+import vectorStore from '../stores/vector-store.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+import { compareRuns, loadDataset, runEval } from './evaluator.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run eval -- [--dataset file.jsonl] [--k 3] [--label name] [--mode route|plan]
+                  [--tenant id] [--out dir] [--compare baseline.json]
+  npm run eval -- --diff baseline.json current.json`;
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--diff') {
+      args.diff = true;
+    } else if (arg.startsWith('--')) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+function format(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+function formatDelta(delta) {
+  return delta === null ? '' : delta > 0 ? ` (+${delta})` : delta < 0 ? ` (${delta})` : ' (=)';
+}
+
+function printSummary(run) {
+  const { summary } = run;
+  console.log(`\nCases: ${summary.cases}, errors: ${summary.errors}`);
+  console.log(`Routing accuracy: ${format(summary.routingAccuracy)}`);
+  console.log(`Recall@${run.config.k}: ${format(summary.recallAtK)}`);
+  console.log(`MRR: ${format(summary.mrr)}`);
+  console.log(`Faithfulness: ${format(summary.faithfulness)}`);
+  console.log(`Answer overlap (token F1): ${format(summary.answerOverlap)}`);
+  console.log(`Mean latency: ${format(summary.meanLatencyMs)} ms`);
+  console.log('\nRouting by expected route:');
+  for (const [route, entry] of Object.entries(summary.perRoute)) {
+    const actual = Object.entries(summary.confusion[route])
+      .map(([name, count]) => `${name} x${count}`)
+      .join(', ');
+    console.log(`  ${route}: ${entry.correct}/${entry.cases} (routed to ${actual})`);
+  }
+}
+
+function printComparison(comparison) {
+  console.log(`\nCompared with ${comparison.baseline.label || comparison.baseline.startedAt}:`);
+  if (!comparison.sameDataset) {
+    console.log('  Note: the runs used different datasets');
+  }
+  for (const [metric, { before, after, delta }] of Object.entries(comparison.summary)) {
+    console.log(`  ${metric}: ${format(before)} -> ${format(after)}${formatDelta(delta)}`);
+  }
+  for (const [title, entries] of [['Regressions', comparison.regressions], ['Fixes', comparison.fixes]]) {
+    if (entries.length > 0) {
+      console.log(`\n${title}:`);
+      entries.forEach(entry => console.log(`  ${entry.id} ${entry.metric}: ${format(entry.before)} -> ${format(entry.after)}`));
+    }
+  }
+  if (comparison.changes.length > 0) {
+    console.log('\nScore changes:');
+    comparison.changes.forEach(change =>
+      console.log(`  ${change.id} ${change.metric}: ${change.before} -> ${change.after}${formatDelta(change.delta)}`));
+  }
+  if (comparison.added.length > 0) {
+    console.log(`\nOnly in this run: ${comparison.added.join(', ')}`);
+  }
+  if (comparison.removed.length > 0) {
+    console.log(`\nOnly in the baseline: ${comparison.removed.join(', ')}`);
+  }
+}
+
+// The models each role used, so results of different models can be told apart
+function modelConfig() {
+  return Object.fromEntries(ROLES.map(role => {
+    const { provider, model } = modelSettings(role);
+    return [role, model ? `${provider}:${model}` : provider];
+  }));
+}
+
+// Recall is scored against the configured knowledge base; an empty or
+// missing tenant (e.g. VECTOR_STORE=memory in a fresh process) scores 0
+// without anything having gone wrong, so say so up front
+async function checkKnowledgeBase(tenantId, dataset) {
+  if (!dataset.cases.some(testCase => testCase.expectedSources?.length > 0)) {
+    return;
+  }
+  let count;
+  try {
+    count = await vectorStore.count(tenantId);
+  } catch (error) {
+    console.warn(`Warning: the knowledge base of tenant "${tenantId}" cannot be read (${error.message}); retrieval metrics will be 0`);
+    return;
+  }
+  if (count === 0) {
+    console.warn(`Warning: the knowledge base of tenant "${tenantId}" is empty; retrieval metrics will be 0. Seed a file or weaviate store with npm run setup first`);
+  }
+}
+
+async function evaluate(args) {
+  // Retrieval metrics are read from the run traces
+  process.env.TRACING = 'on';
+
+  const k = parseInt(args.k || process.env.EVAL_K) || 3;
+  const dataset = loadDataset(args.dataset || 'eval/datasets/sample.jsonl');
+  const agent = new DelegatingAgent({
+    conversationStore: createConversationStore({ type: 'memory' }),
+    traceStore: new MemoryTraceStore({ maxRuns: dataset.cases.length }),
+    // Every case has to run the whole pipeline
+    responseCache: null
+  });
+
+  console.log(`Evaluating ${dataset.cases.length} cases from ${dataset.path} (k=${k})`);
+  await checkKnowledgeBase(args.tenant || DEFAULT_TENANT, dataset);
+  const run = await runEval({
+    agent,
+    dataset,
+    k,
+    tenantId: args.tenant,
+    mode: args.mode,
+    label: args.label,
+    config: { models: modelConfig() },
+    onCase: (result, index) => {
+      const status = result.error ? `error: ${result.error}` : result.routeCorrect === false ? `route ${result.route}` : 'ok';
+      console.log(`  [${index + 1}/${dataset.cases.length}] ${result.id}: ${status}`);
+    }
+  });
+  printSummary(run);
+
+  const directory = args.out || process.env.EVAL_RESULTS_DIR || './data/eval';
+  const name = `${run.startedAt.replace(/[:.]/g, '-')}${args.label ? `-${args.label.replace(/[^\w.-]+/g, '_')}` : ''}.json`;
+  const filePath = path.join(directory, name);
+  saveJson(filePath, run);
+  console.log(`\nResults saved to ${filePath}`);
+
+  if (args.compare) {
+    printComparison(compareRuns(readRun(args.compare), run));
+  }
+}
+
+function readRun(filePath) {
+  const run = loadJson(filePath, null);
+  if (!run) {
+    throw new Error(`No eval results at ${filePath}`);
+  }
+  return run;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (args.diff) {
+    if (args.files.length !== 2) {
+      throw new Error(`--diff needs two result files\n${USAGE}`);
+    }
+    printComparison(compareRuns(readRun(args.files[0]), readRun(args.files[1])));
+    return;
+  }
+  await evaluate(args);
+}
+
+// Run the evaluation if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Evaluation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default main;
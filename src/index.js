@@ -3,44 +3,154 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import DelegatingAgent from './agents/delegating-agent.js';
 import setupWeaviate from './setup/weaviate-setup.js';
+import { SAMPLE_DATA } from './setup/sample-data.js';
+import Migrator from './setup/migrator.js';
+import vectorStore from './stores/vector-store.js';
+import datasetStore, { summarize as summarizeDataset } from './stores/dataset-store.js';
+import { aggregate } from './tools/dataset-query.js';
+import ChartRenderer from './tools/chart-renderer.js';
+import ReportBuilder from './reports/report-builder.js';
+import { renderReport, validateReportFormat } from './reports/report-formats.js';
+import KnowledgeBaseManager, { parseListOptions } from './kb/kb-manager.js';
+import { createKbAuditStore } from './stores/kb-audit-store.js';
+import DocumentIngestor from './ingestion/document-ingestor.js';
+import tenantManager from './tenants/tenant-manager.js';
+import { createConversationStore, summarizeSession, validateSessionId } from './stores/conversation-store.js';
+import { parseRetrievalOptions } from './retrieval/retriever.js';
+import { validateGroundingMode } from './retrieval/citations.js';
+import { loadToolPlugins } from './tools/tool-registry.js';
+import { validateAgentMode } from './agents/planner.js';
+import { createTraceStore, validateRunId } from './tracing/trace-store.js';
+import { createResponseCache, validateCacheMode } from './stores/response-cache.js';
+import ApiKeyAuth from './auth/api-key-auth.js';
+import { createApiKeyStore, parseKeyOptions, summarizeKey, validateKeyId } from './auth/api-key-store.js';
+import HttpError from './utils/http-error.js';
+import { llmStatus } from './config/llm.js';
+import { LLM_ERROR_CODES, LlmError } from './llm/llm-error.js';
+import UsageTracker from './usage/usage-tracker.js';
+import { runWithMeter } from './usage/usage-meter.js';
+import { parseBudget } from './usage/budgets.js';
+import { priceTable } from './usage/pricing.js';
+import { parseGroupBy, summarizeUsage, validateDay } from './stores/usage-store.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Middleware. CORS_ORIGINS limits browser access to a comma-separated list
+// of origins; unset, any origin may call the API.
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : true;
+app.use(cors({ origin: corsOrigins }));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.text({ type: ['text/*', 'application/jsonl', 'application/x-ndjson'], limit: '10mb' }));
 
 
 // Initialize the delegating agent
 let delegatingAgent;
 
+const documentIngestor = new DocumentIngestor();
+const conversationStore = createConversationStore();
+const traceStore = createTraceStore();
+const responseCache = createResponseCache();
+const chartRenderer = new ChartRenderer();
+const reportBuilder = new ReportBuilder({ traceStore, conversationStore, chartRenderer });
+const kbManager = new KnowledgeBaseManager({ auditStore: createKbAuditStore() });
+const usageTracker = new UsageTracker();
+
+// Run the model calls of `work` on the meter usageTracker.admit gave the
+// request, then record their usage
+function meteredRun(req, meter, work) {
+  return runWithMeter(meter, work).finally(() => usageTracker.record(req.tenantId, req.apiKey, meter));
+}
+const apiKeyStore = createApiKeyStore();
+const apiKeyAuth = new ApiKeyAuth({ store: apiKeyStore });
+
+// Let the request through only with an API key that has `scope` (when
+// AUTH_ENABLED is on). The key is kept on req.apiKey and its rate limit is
+// reported in X-RateLimit-* headers.
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const { key, rate } = await apiKeyAuth.authenticate(req, scope);
+      req.apiKey = key;
+      if (rate) {
+        res.set({
+          'X-RateLimit-Limit': String(rate.limit),
+          'X-RateLimit-Remaining': String(rate.remaining),
+          'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error.message);
+      if (error.statusCode === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      res.status(error.statusCode || 500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  };
+}
+
+// Bind the request to an active tenant (X-Tenant-ID header, `tenantId` in the
+// body or query string, or the default tenant). A key bound to a tenant
+// defaults to it and may not reach any other.
+async function requireTenant(req, res, next) {
+  try {
+    const boundTenant = req.apiKey?.tenantId;
+    req.tenantId = tenantManager.resolveTenantId(req, boundTenant || undefined);
+    if (boundTenant && req.tenantId !== boundTenant) {
+      throw new HttpError(403, `API key is not allowed to access tenant "${req.tenantId}"`);
+    }
+    await tenantManager.assertActive(req.tenantId);
+    next();
+  } catch (error) {
+    console.error('Tenant resolution error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     services: {
-      weaviate: 'running',
+      vectorStore: vectorStore.type,
       agent: delegatingAgent ? 'initialized' : 'not initialized'
     }
   });
 });
 
-// Setup endpoint to initialize Weaviate
-app.post('/setup', async (req, res) => {
+// Setup endpoint to initialize the vector store
+app.post('/setup', requireScope('admin'), async (req, res) => {
   try {
-    console.log('Setting up Weaviate database...');
-    await setupWeaviate();
+    // Migrations and seeding are idempotent; `"seed": false` skips the sample data
+    const { applied, seeded } = await setupWeaviate({ seed: req.body?.seed !== false });
+    if (seeded?.inserted > 0) {
+      await invalidateCache(seeded.tenantId, { fileIds: SAMPLE_DATA.map(row => row.fileId) });
+    }
     
     // Initialize the delegating agent after setup
-    delegatingAgent = new DelegatingAgent();
+    delegatingAgent = new DelegatingAgent({ conversationStore, traceStore, responseCache });
+    await loadToolPlugins(delegatingAgent.tools);
     
     res.json({ 
       success: true, 
-      message: 'Weaviate database and agent system initialized successfully' 
+      message: `Vector store (${vectorStore.type}) and agent system initialized successfully`,
+      migrations: applied,
+      sampleData: seeded
     });
   } catch (error) {
     console.error('Setup error:', error);
@@ -51,18 +161,124 @@ app.post('/setup', async (req, res) => {
   }
 });
 
+// Server-Sent Events are used when the client asks for them, either through
+// POST /query/stream or an `Accept: text/event-stream` header on /query
+function wantsEventStream(req) {
+  return req.path === '/query/stream' || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Start an SSE response and return a function that sends one event
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let open = true;
+  req.on('close', () => {
+    open = false;
+  });
+
+  return (event, data) => {
+    if (open) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+// The cache mode of a query: the `cache` body option, else the request's
+// Cache-Control header (no-cache re-runs the query, no-store skips the cache)
+function cacheModeOf(req) {
+  if (req.body.cache !== undefined) {
+    return validateCacheMode(req.body.cache);
+  }
+  const cacheControl = (req.get('Cache-Control') || '').toLowerCase();
+  if (cacheControl.includes('no-store')) {
+    return 'off';
+  }
+  return cacheControl.includes('no-cache') ? 'refresh' : 'use';
+}
+
+// Drop cached answers built from changed documents or datasets. The change
+// itself has succeeded, so a cache failure is only logged.
+async function invalidateCache(tenantId, changes) {
+  if (!responseCache) {
+    return 0;
+  }
+  try {
+    return await responseCache.invalidate(tenantId, changes);
+  } catch (error) {
+    console.error('Response cache invalidation error:', error);
+    return 0;
+  }
+}
+
+// A rendered chart in a JSON response, its image base64-encoded
+function imageJson({ data, ...image }) {
+  return { ...image, data: data.toString('base64') };
+}
+
+// The response with its chart rendered when the request asked for an image.
+// The answer stands without it, so a failed render is reported, not thrown.
+async function withChartImage(result, render) {
+  if (!render || !result.chartConfig) {
+    return result;
+  }
+  try {
+    return { ...result, chartImage: imageJson(await chartRenderer.render(result.chartConfig, render)) };
+  } catch (error) {
+    console.error('Chart render error:', error);
+    return { ...result, chartImage: { format: render.format, error: error.message } };
+  }
+}
+
+// Who made a knowledge base change and why, for its audit record
+function changeContext(req) {
+  return {
+    actor: req.apiKey ? { keyId: req.apiKey.keyId, name: req.apiKey.name } : null,
+    note: typeof req.body?.note === 'string' ? req.body.note.slice(0, 500) : null
+  };
+}
+
+// The files whose entries changed, so cached answers built from them go
+function changedFileIds(changes) {
+  const fileIds = changes.flatMap(change => [change.before?.fileId, change.after?.fileId]).filter(Boolean);
+  return [...new Set(fileIds)];
+}
+
+// A query that got no answer because a model call (or anything else) failed:
+// `code` says why, e.g. rate_limited, timeout or provider_down
+function failedQuery(query, req, result, usage) {
+  return {
+    success: false,
+    error: result.error.message,
+    code: result.error.code,
+    query,
+    tenantId: req.tenantId,
+    sessionId: result.sessionId,
+    runId: result.runId,
+    usage,
+    response: result
+  };
+}
+
 // Main query endpoint
-app.post('/query', async (req, res) => {
+async function handleQuery(req, res) {
   try {
-    const { query } = req.body;
+    const { query, data, sessionId, retrieval, grounding, tools, mode } = req.body;
     
-    if (!query) {
+    if (typeof query !== 'string' || !query.trim()) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Query is required' 
+        error: query === undefined ? 'Query is required' : 'Query must be a non-empty string' 
       });
     }
 
+    if (sessionId !== undefined) {
+      validateSessionId(sessionId);
+    }
+
     if (!delegatingAgent) {
       return res.status(503).json({ 
         success: false, 
@@ -72,17 +288,111 @@ app.post('/query', async (req, res) => {
 
     console.log('Processing query:', query);
     
-    const result = await delegatingAgent.processQuery(query);
+    // `data` is an optional CSV string or JSON payload to chart from,
+    // `retrieval` tunes the knowledge base search, `tools` limits the tools
+    // the router may pick and `mode: "plan"` answers with a multi-step plan.
+    // `cache: false` bypasses the response cache, `cache: "refresh"` replaces
+    // the cached answer. `render: "png" | "svg"` adds an image of the chart.
+    const render = chartRenderer.options(req.body.render);
+    const options = {
+      data,
+      tenantId: req.tenantId,
+      sessionId,
+      retrieval: parseRetrievalOptions(retrieval || {}),
+      grounding: validateGroundingMode(grounding),
+      tools,
+      mode: validateAgentMode(mode),
+      cache: cacheModeOf(req)
+    };
+    delegatingAgent.tools.resolve(tools);
+
+    // Spent budgets reject the query or move it to a cheaper model. The
+    // meter counts the tokens and cost of every model call of the run.
+    const meter = await usageTracker.admit(req.tenantId, req.apiKey);
+    const metered = work => meteredRun(req, meter, work);
+
+    if (wantsEventStream(req)) {
+      const send = openEventStream(req, res);
+      const result = await metered(() => delegatingAgent.streamQuery(query, options, send));
+      if (result.error) {
+        send('error', failedQuery(query, req, result, meter.summary()));
+        return res.end();
+      }
+      send('result', {
+        success: true,
+        query,
+        tenantId: req.tenantId,
+        sessionId: result.sessionId,
+        runId: result.runId,
+        decision: result.decision,
+        confidence: result.confidence,
+        usage: meter.summary(),
+        response: await withChartImage(result, render)
+      });
+      return res.end();
+    }
+
+    const result = await metered(() => delegatingAgent.processQuery(query, options));
+    if (result.cache) {
+      res.set('X-Cache', result.cache.hit ? 'HIT' : result.cache.bypassed ? 'BYPASS' : 'MISS');
+    }
+    if (result.error) {
+      return res.status(LLM_ERROR_CODES[result.error.code]?.statusCode || 500).json(failedQuery(query, req, result, meter.summary()));
+    }
     
     res.json({
       success: true,
       query,
-      response: result
+      tenantId: req.tenantId,
+      sessionId: result.sessionId,
+      runId: result.runId,
+      decision: result.decision,
+      confidence: result.confidence,
+      usage: meter.summary(),
+      response: await withChartImage(result, render)
     });
 
   } catch (error) {
     console.error('Query processing error:', error);
-    res.status(500).json({ 
+
+    // Model failures and spent budgets (budget_exceeded) carry a code
+    const code = error instanceof LlmError || error instanceof HttpError ? error.code : undefined;
+    if (res.headersSent) {
+      res.write(`event: error\ndata: ${JSON.stringify({ success: false, error: error.message, code })}\n\n`);
+      return res.end();
+    }
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message,
+      code
+    });
+  }
+}
+
+app.post('/query', requireScope('query'), requireTenant, handleQuery);
+app.post('/query/stream', requireScope('query'), requireTenant, handleQuery);
+
+// Tools the router can delegate to
+app.get('/tools', requireScope('query'), (req, res) => {
+  try {
+    if (!delegatingAgent) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Agent system not initialized. Please run /setup first.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      tools: delegatingAgent.tools.list()
+    });
+  } catch (error) {
+    console.error('Tool listing error:', error);
+    res.status(error.statusCode || 500).json({ 
       success: false, 
       error: error.message 
     });
@@ -90,9 +400,9 @@ app.post('/query', async (req, res) => {
 });
 
 // Test endpoints for individual components
-app.post('/test/chart', async (req, res) => {
+app.post('/test/chart', requireScope('query'), requireTenant, async (req, res) => {
   try {
-    const { chartType, title, data } = req.body;
+    const { chartType, title, data, labels, datasets, payload, dataset, aggregation } = req.body;
     
     if (!delegatingAgent) {
       return res.status(503).json({ 
@@ -104,7 +414,13 @@ app.post('/test/chart', async (req, res) => {
     const chartResult = await delegatingAgent.chartTool.invoke(JSON.stringify({
       chartType: chartType || 'bar',
       title: title || 'Test Chart',
-      data: data || 'Test data'
+      data: data || 'Test data',
+      labels,
+      datasets,
+      payload,
+      dataset,
+      aggregation,
+      tenantId: req.tenantId
     }));
 
     res.json({
@@ -121,14 +437,77 @@ app.post('/test/chart', async (req, res) => {
   }
 });
 
-app.post('/test/rag', async (req, res) => {
+// Render a chart configuration (the `chartConfig` of a query response) to
+// PNG or SVG. The image is returned as is, or base64-encoded in JSON when
+// the client accepts only JSON.
+app.post('/charts/render', requireScope('query'), async (req, res) => {
+  try {
+    const { chartConfig, format, width, height, theme } = req.body;
+
+    if (!chartConfig) {
+      return res.status(400).json({
+        success: false,
+        error: 'chartConfig is required'
+      });
+    }
+
+    const image = await chartRenderer.render(chartConfig, { format, width, height, theme });
+    res.set('X-Render-Cache', image.cached ? 'HIT' : 'MISS');
+    res.set('X-Chart-Key', image.key);
+
+    if (req.accepts(['image/*', 'application/json']) === 'application/json') {
+      return res.json({ success: true, image: imageJson(image) });
+    }
+    res.type(image.contentType).send(image.data);
+
+  } catch (error) {
+    console.error('Chart render error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Export a run, a whole conversation or a posted query response as a
+// Markdown, HTML or PDF report with its charts and source passages
+app.post('/reports', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const { runId, sessionId, response, title } = req.body;
+    const format = validateReportFormat(req.body.format);
+
+    const report = await reportBuilder.build(req.tenantId, { runId, sessionId, response, title });
+    const { contentType, extension, body } = await renderReport(report, format);
+    const name = report.source.id ? `report-${report.source.id}` : 'report';
+
+    res.set('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+    res.type(contentType).send(body);
+
+  } catch (error) {
+    console.error('Report export error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Rendered chart images kept for reuse
+app.get('/charts/render/stats', requireScope('query'), (req, res) => {
+  res.json({
+    success: true,
+    stats: chartRenderer.stats()
+  });
+});
+
+app.post('/test/rag', requireScope('query'), requireTenant, async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, alpha, threshold, filters, rerank, grounding } = req.body;
     
-    if (!query) {
+    if (typeof query !== 'string' || !query.trim()) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Query is required' 
+        error: query === undefined ? 'Query is required' : 'Query must be a non-empty string' 
       });
     }
 
@@ -139,15 +518,183 @@ app.post('/test/rag', async (req, res) => {
       });
     }
 
-    const ragResult = await delegatingAgent.ragAgent.query(query);
+    const retrieval = parseRetrievalOptions({ alpha, threshold, filters, rerank });
+    const groundingMode = validateGroundingMode(grounding);
+
+    // Counted against the caller's budgets like /query
+    const meter = await usageTracker.admit(req.tenantId, req.apiKey);
+    const ragResult = await meteredRun(req, meter, () => delegatingAgent.ragAgent.query(query, {
+      tenantId: req.tenantId,
+      retrieval,
+      grounding: groundingMode
+    }));
 
     res.json({
       success: true,
+      usage: meter.summary(),
       result: ragResult
     });
 
   } catch (error) {
     console.error('RAG test error:', error);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message,
+      code: error instanceof LlmError || error instanceof HttpError ? error.code : undefined
+    });
+  }
+});
+
+// Dataset endpoints: tabular data the chart tool can aggregate and plot
+app.post('/datasets', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    // JSON bodies carry { name, format, data }; CSV bodies pass the name in the query string
+    const upload = typeof req.body === 'string'
+      ? { name: req.query.name, description: req.query.description, format: 'csv', data: req.body }
+      : req.body;
+
+    // Names are unique per tenant: a taken name gets 409, so delete the old
+    // dataset first to replace it. Cached charts that found no dataset may
+    // find the new one and are dropped.
+    const dataset = datasetStore.create({ ...upload, tenantId: req.tenantId });
+    await invalidateCache(req.tenantId, { datasetIds: [dataset.id] });
+
+    res.status(201).json({
+      success: true,
+      dataset: summarizeDataset(dataset)
+    });
+
+  } catch (error) {
+    console.error('Dataset upload error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/datasets', requireScope('query'), requireTenant, (req, res) => {
+  res.json({
+    success: true,
+    datasets: datasetStore.list(req.tenantId)
+  });
+});
+
+app.get('/datasets/:id', requireScope('query'), requireTenant, (req, res) => {
+  const dataset = datasetStore.get(req.params.id, req.tenantId);
+
+  if (!dataset) {
+    return res.status(404).json({ 
+      success: false, 
+      error: `Dataset "${req.params.id}" not found` 
+    });
+  }
+
+  const offset = parseInt(req.query.offset) || 0;
+  const limit = parseInt(req.query.limit) || 100;
+
+  res.json({
+    success: true,
+    dataset: summarizeDataset(dataset),
+    rows: dataset.rows.slice(offset, offset + limit)
+  });
+});
+
+app.delete('/datasets/:id', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const dataset = datasetStore.get(req.params.id, req.tenantId);
+    if (!dataset || !datasetStore.delete(dataset.id, req.tenantId)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Dataset "${req.params.id}" not found` 
+      });
+    }
+
+    await invalidateCache(req.tenantId, { datasetIds: [dataset.id] });
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Dataset delete error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/datasets/:id/aggregate', requireScope('query'), requireTenant, (req, res) => {
+  try {
+    const dataset = datasetStore.get(req.params.id, req.tenantId);
+
+    if (!dataset) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Dataset "${req.params.id}" not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      result: aggregate(dataset, req.body)
+    });
+
+  } catch (error) {
+    console.error('Dataset aggregation error:', error);
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Document endpoints: upload, chunk and index files into the knowledge base
+app.post('/documents', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    // Raw bodies (text, Markdown, HTML, JSONL) pass metadata in the query string
+    const upload = typeof req.body === 'string'
+      ? { ...req.query, content: req.body, contentType: req.get('Content-Type') }
+      : req.body;
+
+    const parseSize = (value) => value === undefined ? undefined : parseInt(value);
+
+    const result = await documentIngestor.ingest({
+      tenantId: req.tenantId,
+      fileId: upload.fileId,
+      fileName: upload.fileName,
+      format: upload.format,
+      contentType: upload.contentType,
+      content: upload.content,
+      chunkSize: parseSize(upload.chunkSize),
+      chunkOverlap: parseSize(upload.chunkOverlap),
+      tags: upload.tags
+    });
+    await invalidateCache(req.tenantId, { fileIds: [result.fileId] });
+
+    res.status(201).json({
+      success: true,
+      document: result
+    });
+
+  } catch (error) {
+    console.error('Document ingestion error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/documents', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      documents: await documentIngestor.listDocuments(req.tenantId)
+    });
+  } catch (error) {
+    console.error('Document listing error:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -155,43 +702,734 @@ app.post('/test/rag', async (req, res) => {
   }
 });
 
-// Get database status
-app.get('/status', async (req, res) => {
+app.get('/documents/:fileId', requireScope('query'), requireTenant, async (req, res) => {
   try {
-    const client = (await import('./config/database.js')).default;
-    
-    // Check if Weaviate is accessible
-    const meta = await client.misc.metaGetter().do();
-    
+    const document = await documentIngestor.getDocument(req.tenantId, req.params.fileId);
+
+    if (!document) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Document "${req.params.fileId}" not found` 
+      });
+    }
+
     res.json({
       success: true,
-      weaviate: {
-        status: 'connected',
-        version: meta.version,
-        modules: meta.modules
-      },
-      agent: delegatingAgent ? 'initialized' : 'not initialized'
+      document
     });
 
   } catch (error) {
-    console.error('Status check error:', error);
+    console.error('Document fetch error:', error);
     res.status(500).json({ 
       success: false, 
-      error: error.message,
-      weaviate: 'disconnected'
+      error: error.message 
     });
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔧 Setup endpoint: http://localhost:${PORT}/setup`);
-  console.log(`❓ Query endpoint: http://localhost:${PORT}/query`);
-  console.log(`📈 Chart test: http://localhost:${PORT}/test/chart`);
-  console.log(`🔍 RAG test: http://localhost:${PORT}/test/rag`);
-  console.log(`📋 Status: http://localhost:${PORT}/status`);
+app.delete('/documents/:fileId', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const deletedChunks = await documentIngestor.deleteDocument(req.tenantId, req.params.fileId);
+
+    if (deletedChunks === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Document "${req.params.fileId}" not found` 
+      });
+    }
+    await invalidateCache(req.tenantId, { fileIds: [req.params.fileId] });
+
+    res.json({
+      success: true,
+      deletedChunks
+    });
+
+  } catch (error) {
+    console.error('Document delete error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Knowledge base entries: the question/answer objects of the tenant. Every
+// write is audited and can be reverted.
+app.get('/kb/entries', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await kbManager.list(req.tenantId, parseListOptions(req.query)))
+    });
+  } catch (error) {
+    console.error('Knowledge base listing error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// All matching entries as JSONL, in the format /kb/entries/import takes
+app.get('/kb/entries/export', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const { filter } = parseListOptions(req.query);
+    const body = await kbManager.export(req.tenantId, filter);
+
+    res.set('Content-Disposition', `attachment; filename="kb-${req.tenantId}.jsonl"`);
+    res.type('application/x-ndjson').send(body);
+  } catch (error) {
+    console.error('Knowledge base export error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// JSONL (application/x-ndjson) or { entries: [...], note }
+app.post('/kb/entries/import', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const body = Array.isArray(req.body?.entries) ? req.body.entries : req.body;
+    const result = await kbManager.import(req.tenantId, body, changeContext(req));
+    await invalidateCache(req.tenantId, { fileIds: changedFileIds(result.changes) });
+
+    res.json({
+      success: true,
+      created: result.created,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      changeIds: result.changes.map(change => change.id)
+    });
+  } catch (error) {
+    console.error('Knowledge base import error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// The audit log of the tenant, newest first
+app.get('/kb/changes', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const { offset, limit } = parseListOptions(req.query);
+    res.json({
+      success: true,
+      ...(await kbManager.changes(req.tenantId, { offset, limit })),
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Knowledge base change listing error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/kb/entries/:entryId', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      entry: await kbManager.get(req.tenantId, req.params.entryId)
+    });
+  } catch (error) {
+    console.error('Knowledge base entry error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/kb/entries', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const { entry, change } = await kbManager.create(req.tenantId, req.body, changeContext(req));
+    await invalidateCache(req.tenantId, { fileIds: changedFileIds([change]) });
+
+    res.status(201).json({
+      success: true,
+      entry,
+      changeId: change.id
+    });
+  } catch (error) {
+    console.error('Knowledge base create error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Fields left out keep their value
+app.put('/kb/entries/:entryId', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const { entry, change } = await kbManager.update(req.tenantId, req.params.entryId, req.body, changeContext(req));
+    if (change) {
+      await invalidateCache(req.tenantId, { fileIds: changedFileIds([change]) });
+    }
+
+    res.json({
+      success: true,
+      entry,
+      changeId: change?.id ?? null
+    });
+  } catch (error) {
+    console.error('Knowledge base update error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/kb/entries/:entryId', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const { change } = await kbManager.delete(req.tenantId, req.params.entryId, changeContext(req));
+    await invalidateCache(req.tenantId, { fileIds: changedFileIds([change]) });
+
+    res.json({
+      success: true,
+      changeId: change.id
+    });
+  } catch (error) {
+    console.error('Knowledge base delete error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/kb/entries/:entryId/history', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const { offset, limit } = parseListOptions(req.query);
+    res.json({
+      success: true,
+      ...(await kbManager.history(req.tenantId, req.params.entryId, { offset, limit })),
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Knowledge base history error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Undo a change: the entry goes back to how it was before `changeId`
+app.post('/kb/entries/:entryId/revert', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    const { entry, change } = await kbManager.revert(req.tenantId, req.params.entryId, req.body.changeId, changeContext(req));
+    await invalidateCache(req.tenantId, { fileIds: changedFileIds([change]) });
+
+    res.json({
+      success: true,
+      entry,
+      changeId: change.id
+    });
+  } catch (error) {
+    console.error('Knowledge base revert error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Conversation session endpoints
+app.get('/sessions', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessions: await conversationStore.list(req.tenantId)
+    });
+  } catch (error) {
+    console.error('Session listing error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/sessions/:sessionId', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const session = await conversationStore.get(req.params.sessionId, req.tenantId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Session "${req.params.sessionId}" not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      session: {
+        ...summarizeSession(session),
+        summary: session.summary,
+        messages: session.messages
+      }
+    });
+
+  } catch (error) {
+    console.error('Session fetch error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/sessions/:sessionId', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    if (!(await conversationStore.delete(req.params.sessionId, req.tenantId))) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Session "${req.params.sessionId}" not found` 
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Session delete error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Execution traces, newest first. Filters: ?sessionId=&status=ok|partial|error&limit=
+app.get('/traces', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    const { sessionId, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    res.json({
+      success: true,
+      traces: await traceStore.list(req.tenantId, { sessionId, status, limit })
+    });
+  } catch (error) {
+    console.error('Trace listing error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/traces/:runId', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    validateRunId(req.params.runId);
+    const trace = await traceStore.get(req.params.runId, req.tenantId);
+
+    if (!trace) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Trace "${req.params.runId}" not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      trace
+    });
+
+  } catch (error) {
+    console.error('Trace fetch error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Response cache of the tenant: hit rate and what the hits saved
+app.get('/cache/stats', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tenantId: req.tenantId,
+      enabled: Boolean(responseCache),
+      stats: responseCache ? await responseCache.stats(req.tenantId) : null
+    });
+  } catch (error) {
+    console.error('Cache stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Drop every cached answer of the tenant
+app.delete('/cache', requireScope('ingest'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cleared: responseCache ? await responseCache.clear(req.tenantId) : 0
+    });
+  } catch (error) {
+    console.error('Cache clear error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Tenant lifecycle endpoints
+app.post('/tenants', requireScope('admin'), async (req, res) => {
+  try {
+    const tenant = await tenantManager.create(req.body.tenantId);
+
+    res.status(201).json({
+      success: true,
+      tenant
+    });
+
+  } catch (error) {
+    console.error('Tenant creation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/tenants', requireScope('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tenants: await tenantManager.list({ refresh: true })
+    });
+  } catch (error) {
+    console.error('Tenant listing error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/tenants/:tenantId/deactivate', requireScope('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tenant: await tenantManager.deactivate(req.params.tenantId)
+    });
+  } catch (error) {
+    console.error('Tenant deactivation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/tenants/:tenantId/activate', requireScope('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tenant: await tenantManager.activate(req.params.tenantId)
+    });
+  } catch (error) {
+    console.error('Tenant activation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/tenants/:tenantId', requireScope('admin'), async (req, res) => {
+  try {
+    await tenantManager.delete(req.params.tenantId);
+    const deletedDatasets = datasetStore.deleteTenant(req.params.tenantId);
+    const deletedSessions = await conversationStore.deleteTenant(req.params.tenantId);
+    const deletedTraces = await traceStore.deleteTenant(req.params.tenantId);
+    const revokedKeys = await apiKeyStore.revokeTenant(req.params.tenantId);
+    await responseCache?.deleteTenant(req.params.tenantId);
+    await kbManager.deleteTenant(req.params.tenantId);
+    await usageTracker.store.deleteTenant(req.params.tenantId);
+
+    res.json({
+      success: true,
+      deletedDatasets,
+      deletedSessions,
+      deletedTraces,
+      revokedKeys
+    });
+
+  } catch (error) {
+    console.error('Tenant deletion error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// API key endpoints. The key itself is only returned when it is issued.
+app.post('/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const options = parseKeyOptions(req.body);
+    if (options.tenantId) {
+      await tenantManager.assertActive(options.tenantId);
+    }
+    const { key, apiKey } = await apiKeyStore.create(options);
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key: summarizeKey(key)
+    });
+
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/keys', requireScope('admin'), async (req, res) => {
+  try {
+    if (req.query.tenantId !== undefined) {
+      tenantManager.validateTenantId(req.query.tenantId);
+    }
+
+    res.json({
+      success: true,
+      keys: await apiKeyStore.list({ tenantId: req.query.tenantId })
+    });
+  } catch (error) {
+    console.error('API key listing error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.get('/keys/:keyId', requireScope('admin'), async (req, res) => {
+  try {
+    validateKeyId(req.params.keyId);
+    const key = await apiKeyStore.get(req.params.keyId);
+    if (!key) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `API key "${req.params.keyId}" not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      key: summarizeKey(key)
+    });
+  } catch (error) {
+    console.error('API key retrieval error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/keys/:keyId/revoke', requireScope('admin'), async (req, res) => {
+  try {
+    validateKeyId(req.params.keyId);
+
+    res.json({
+      success: true,
+      key: await apiKeyStore.revoke(req.params.keyId)
+    });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Model usage and cost, added up by day, tenant and/or API key (groupBy).
+// from/to are UTC days and default to the last 30 days.
+app.get('/usage', requireScope('admin'), async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const to = req.query.to === undefined ? today : validateDay(req.query.to, 'to');
+    const from = req.query.from === undefined
+      ? new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+      : validateDay(req.query.from, 'from');
+    if (req.query.tenantId !== undefined) {
+      tenantManager.validateTenantId(req.query.tenantId);
+    }
+    if (req.query.keyId !== undefined && req.query.keyId !== 'admin') {
+      validateKeyId(req.query.keyId);
+    }
+    const groupBy = parseGroupBy(req.query.groupBy);
+
+    const rows = await usageTracker.store.list({
+      tenantId: req.query.tenantId,
+      keyId: req.query.keyId,
+      from,
+      to
+    });
+    const [totals] = summarizeUsage(rows, []);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      groupBy,
+      usage: summarizeUsage(rows, groupBy),
+      totals: totals || { requests: 0, llmCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, byModel: {} }
+    });
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// The budgets of the caller's tenant and key, with what is spent of them
+app.get('/usage/budget', requireScope('query'), requireTenant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      budgets: await usageTracker.budgets(req.tenantId, req.apiKey)
+    });
+  } catch (error) {
+    console.error('Budget status error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// US dollars per million input and output tokens, by model
+app.get('/usage/prices', requireScope('query'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      prices: priceTable()
+    });
+  } catch (error) {
+    console.error('Price listing error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.put('/tenants/:tenantId/budget', requireScope('admin'), async (req, res) => {
+  try {
+    const budget = parseBudget(req.body);
+    if (!(await tenantManager.get(req.params.tenantId))) {
+      throw new HttpError(404, `Tenant "${req.params.tenantId}" not found`);
+    }
+
+    res.json({
+      success: true,
+      budget: await usageTracker.store.setBudget(req.params.tenantId, budget)
+    });
+  } catch (error) {
+    console.error('Budget update error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/tenants/:tenantId/budget', requireScope('admin'), async (req, res) => {
+  try {
+    if (!(await tenantManager.get(req.params.tenantId))) {
+      throw new HttpError(404, `Tenant "${req.params.tenantId}" not found`);
+    }
+    await usageTracker.store.setBudget(req.params.tenantId, null);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Budget removal error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Get database status
+app.get('/status', requireScope('admin'), async (req, res) => {
+  try {
+    // Check that the vector store is reachable; only Weaviate has a schema
+    const { backend, ...store } = await vectorStore.status();
+    const schema = backend === 'weaviate' ? await new Migrator().status() : null;
+    
+    res.json({
+      success: true,
+      vectorStore: { backend, ...store },
+      ...(backend === 'weaviate' && {
+        weaviate: store,
+        schema: { version: schema.version, latest: schema.latest, pending: schema.pending }
+      }),
+      agent: delegatingAgent ? 'initialized' : 'not initialized',
+      // Circuit breakers of the models called so far
+      llm: llmStatus()
+    });
+
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      vectorStore: 'disconnected'
+    });
+  }
+});
+
+// Start the server
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  console.log(`🔧 Setup endpoint: http://localhost:${PORT}/setup`);
+  console.log(`❓ Query endpoint: http://localhost:${PORT}/query`);
+  console.log(`📡 Streaming query: http://localhost:${PORT}/query/stream`);
+  console.log(`🧰 Tools: http://localhost:${PORT}/tools`);
+  console.log(`📈 Chart test: http://localhost:${PORT}/test/chart`);
+  console.log(`🖼️  Chart rendering: http://localhost:${PORT}/charts/render`);
+  console.log(`📑 Reports: http://localhost:${PORT}/reports`);
+  console.log(`🔍 RAG test: http://localhost:${PORT}/test/rag`);
+  console.log(`🗂️  Datasets: http://localhost:${PORT}/datasets`);
+  console.log(`📄 Documents: http://localhost:${PORT}/documents`);
+  console.log(`📚 Knowledge base: http://localhost:${PORT}/kb/entries`);
+  console.log(`💰 Usage: http://localhost:${PORT}/usage`);
+  console.log(`🏢 Tenants: http://localhost:${PORT}/tenants`);
+  console.log(`💬 Sessions: http://localhost:${PORT}/sessions`);
+  console.log(`🧵 Traces: http://localhost:${PORT}/traces`);
+  console.log(`🔑 API keys: http://localhost:${PORT}/keys`);
+  console.log(`🗃️  Cache stats: http://localhost:${PORT}/cache/stats`);
+  console.log(`📋 Status: http://localhost:${PORT}/status`);
+  if (apiKeyAuth.enabled && !apiKeyAuth.adminKey) {
+    console.warn('⚠️  AUTH_ENABLED is on but ADMIN_API_KEY is not set; only stored admin keys can issue API keys');
+  } else if (!apiKeyAuth.enabled) {
+    console.warn('⚠️  AUTH_ENABLED is off; every endpoint is open');
+  }
 });
 
 export default app; 
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Split text into overlapping chunks, preferring paragraph, sentence and word
+// boundaries. Offsets are character positions in the text that was passed in.
+
+const BOUNDARIES = [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\n/g, /\s/g];
+
+// Index just past the last boundary in the second half of the window, or -1
+function findBoundary(window) {
+  const minimum = Math.floor(window.length / 2);
+  for (const pattern of BOUNDARIES) {
+    let last = -1;
+    for (const match of window.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (end >= minimum) {
+        last = end;
+      }
+    }
+    if (last > 0) {
+      return last;
+    }
+  }
+  return -1;
+}
+
+export function chunkText(text, { chunkSize = 1000, chunkOverlap = 200 } = {}) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 50) {
+    throw new Error('chunkSize must be an integer of at least 50 characters');
+  }
+  if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+    throw new Error('chunkOverlap must be a non-negative integer smaller than chunkSize');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    if (end < text.length) {
+      const boundary = findBoundary(text.slice(start, end));
+      if (boundary > 0) {
+        end = start + boundary;
+      }
+    }
+
+    // Trim surrounding whitespace while keeping offsets exact
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      chunks.push({
+        text: trimmed,
+        start: start + leading,
+        end: start + leading + trimmed.length
+      });
+    }
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the next word start
+    let next = Math.max(end - chunkOverlap, start + 1);
+    if (next < end) {
+      const whitespace = text.slice(next, end).search(/\s/);
+      if (whitespace >= 0) {
+        next += whitespace + 1;
+      }
+    }
+    start = next;
+  }
+
+  return chunks;
+}
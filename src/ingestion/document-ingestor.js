@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { DEFAULT_TENANT } from '../config/database.js';
+import defaultVectorStore from '../stores/vector-store.js';
+import HttpError from '../utils/http-error.js';
+import { chunkText } from './chunker.js';
+import { detectFormat, parseDocument } from './parsers.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 100;
+const FILE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+const TAG_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// Tags come as an array or a comma-separated string (query strings)
+function parseTags(tags) {
+  if (tags === undefined || tags === null || tags === '') {
+    return [];
+  }
+  const list = (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+
+  const invalid = list.find(tag => !TAG_PATTERN.test(tag));
+  if (invalid) {
+    throw new HttpError(400, `Invalid tag "${invalid}": use 1-64 letters, digits, "_", ".", ":" or "-"`);
+  }
+  return [...new Set(list)];
+}
+
+class DocumentIngestor {
+  constructor({ store = defaultVectorStore, chunkSize, chunkOverlap } = {}) {
+    this.store = store;
+    this.chunkSize = chunkSize || parseInt(process.env.CHUNK_SIZE) || 1000;
+    this.chunkOverlap = chunkOverlap ?? (parseInt(process.env.CHUNK_OVERLAP) || 200);
+  }
+
+  // Parse and chunk a document without touching the database
+  buildChunks({ fileId, fileName, format, contentType, content, chunkSize, chunkOverlap }) {
+    const resolvedFormat = detectFormat({ format, fileName, contentType });
+    const parsed = parseDocument(content, resolvedFormat, { fileName: fileName || fileId });
+    const options = {
+      chunkSize: chunkSize ?? this.chunkSize,
+      chunkOverlap: chunkOverlap ?? this.chunkOverlap
+    };
+
+    const chunks = [];
+    for (const section of parsed.sections) {
+      for (const piece of chunkText(section.text, options)) {
+        chunks.push({
+          question: section.heading,
+          answer: piece.text,
+          // JSONL answers are JSON-escaped in the file, so point at the whole record
+          startOffset: section.record ? section.start : section.start + piece.start,
+          endOffset: section.record ? section.end : section.start + piece.end
+        });
+      }
+    }
+
+    return { format: resolvedFormat, title: parsed.title, chunks, options };
+  }
+
+  // Index a document. Chunks from an earlier upload with the same fileId are
+  // removed once the new ones are stored, so re-uploads replace, not duplicate.
+  async ingest({ tenantId = DEFAULT_TENANT, fileId, fileName, format, contentType, content, chunkSize, chunkOverlap, tags }) {
+    if (!fileId || !FILE_ID_PATTERN.test(fileId)) {
+      throw new HttpError(400, 'fileId is required and may only contain letters, digits, "_", ".", ":" or "-"');
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new HttpError(400, 'content must be a non-empty string');
+    }
+
+    const tagList = parseTags(tags);
+
+    let built;
+    try {
+      built = this.buildChunks({ fileId, fileName, format, contentType, content, chunkSize, chunkOverlap });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    if (built.chunks.length === 0) {
+      throw new HttpError(400, 'Document contains no text to index');
+    }
+
+    const previousIds = (await this.fetchChunks(tenantId, fileId)).map(chunk => chunk.id);
+    const ingestionId = crypto.randomUUID();
+    const ingestedAt = new Date().toISOString();
+    const objects = built.chunks.map((chunk, chunkIndex) => ({
+      properties: {
+        fileId,
+        fileName: fileName || built.title || fileId,
+        format: built.format,
+        chunkIndex,
+        tags: tagList,
+        ...chunk,
+        ingestedAt,
+        ingestionId
+      }
+    }));
+
+    try {
+      await this.store.upsert(tenantId, objects);
+    } catch (error) {
+      // Leave the previous version in place and drop the partial upload
+      await this.store.delete(tenantId, { ingestionId });
+      throw error;
+    }
+
+    let replacedChunks = 0;
+    for (let i = 0; i < previousIds.length; i += BATCH_SIZE) {
+      replacedChunks += await this.store.delete(tenantId, { ids: previousIds.slice(i, i + BATCH_SIZE) });
+    }
+
+    return {
+      tenantId,
+      fileId,
+      fileName: objects[0].properties.fileName,
+      format: built.format,
+      tags: tagList,
+      chunkCount: objects.length,
+      chunkSize: built.options.chunkSize,
+      chunkOverlap: built.options.chunkOverlap,
+      replacedChunks,
+      ingestedAt
+    };
+  }
+
+  // Every chunk of a tenant, optionally restricted to one fileId, as
+  // { id, ...properties }
+  async fetchChunks(tenantId, fileId) {
+    const objects = await this.store.find(tenantId, fileId ? { fileIds: [fileId] } : {});
+    return objects.map(({ id, properties }) => ({ id, ...properties }));
+  }
+
+  async listDocuments(tenantId = DEFAULT_TENANT) {
+    const documents = new Map();
+
+    for (const chunk of await this.fetchChunks(tenantId)) {
+      if (!documents.has(chunk.fileId)) {
+        documents.set(chunk.fileId, {
+          fileId: chunk.fileId,
+          fileName: chunk.fileName || null,
+          format: chunk.format || null,
+          tags: chunk.tags || [],
+          ingestedAt: chunk.ingestedAt || null,
+          chunkCount: 0
+        });
+      }
+      documents.get(chunk.fileId).chunkCount++;
+    }
+
+    return [...documents.values()].sort((a, b) => a.fileId.localeCompare(b.fileId));
+  }
+
+  async getDocument(tenantId, fileId) {
+    const chunks = await this.fetchChunks(tenantId, fileId);
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    chunks.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+    return {
+      fileId,
+      fileName: chunks[0].fileName || null,
+      format: chunks[0].format || null,
+      tags: chunks[0].tags || [],
+      ingestedAt: chunks[0].ingestedAt || null,
+      chunkCount: chunks.length,
+      chunks: chunks.map(chunk => ({
+        id: chunk.id,
+        chunkIndex: chunk.chunkIndex ?? null,
+        question: chunk.question,
+        answer: chunk.answer,
+        startOffset: chunk.startOffset ?? null,
+        endOffset: chunk.endOffset ?? null
+      }))
+    };
+  }
+
+  async deleteDocument(tenantId, fileId) {
+    return this.store.delete(tenantId, { fileIds: [fileId] });
+  }
+}
+
+export default DocumentIngestor;
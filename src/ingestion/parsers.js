@@ -0,0 +1,180 @@
+// Turn uploaded files into sections of plain text. Each section has a
+// heading (used as the chunk's `question`) and offsets into `text`, the
+// extracted plain text of the document.
+
+export const FORMATS = ['text', 'markdown', 'html', 'jsonl'];
+
+const EXTENSIONS = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  jsonl: 'jsonl',
+  ndjson: 'jsonl'
+};
+
+const CONTENT_TYPES = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'application/jsonl': 'jsonl',
+  'application/x-ndjson': 'jsonl'
+};
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// Pick a format from an explicit value, the file extension or the content type
+export function detectFormat({ format, fileName, contentType } = {}) {
+  if (format) {
+    const normalized = EXTENSIONS[format.toLowerCase()] || format.toLowerCase();
+    if (!FORMATS.includes(normalized)) {
+      throw new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  const extension = fileName && fileName.includes('.')
+    ? fileName.split('.').pop().toLowerCase()
+    : null;
+  if (extension && EXTENSIONS[extension]) {
+    return EXTENSIONS[extension];
+  }
+
+  const type = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+  return CONTENT_TYPES[type] || 'text';
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Convert HTML into Markdown-like text so headings survive as sections
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  const text = html
+    .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${stripTags(inner)}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|li|tr|section|article|header|footer|blockquote|pre|table|ul|ol)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    title: titleMatch ? stripTags(titleMatch[1]) : null,
+    text
+  };
+}
+
+// Split Markdown into sections at headings
+function markdownSections(text, defaultHeading) {
+  const sections = [];
+  const headingPattern = /^#{1,6}[ \t]+(.+?)[ \t#]*$/gm;
+  let heading = defaultHeading;
+  let bodyStart = 0;
+
+  const pushSection = (end) => {
+    if (text.slice(bodyStart, end).trim()) {
+      sections.push({ heading, text: text.slice(bodyStart, end), start: bodyStart, end });
+    }
+  };
+
+  for (const match of text.matchAll(headingPattern)) {
+    pushSection(match.index);
+    heading = match[1].trim();
+    bodyStart = match.index + match[0].length;
+  }
+  pushSection(text.length);
+
+  return sections;
+}
+
+// One section per JSONL record; offsets span the record's line in the file
+function jsonlSections(content) {
+  const sections = [];
+  let offset = 0;
+
+  content.split('\n').forEach((line, index) => {
+    const start = offset;
+    offset += line.length + 1;
+
+    if (!line.trim()) {
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+
+    const question = record.question ?? record.q ?? record.prompt;
+    const answer = record.answer ?? record.a ?? record.completion ?? record.text;
+    if (typeof question !== 'string' || typeof answer !== 'string') {
+      throw new Error(`Line ${index + 1} must have string "question" and "answer" fields`);
+    }
+
+    sections.push({ heading: question, text: answer, start, end: start + line.replace(/\r$/, '').length, record: true });
+  });
+
+  return sections;
+}
+
+// Parse a document into { format, title, text, sections }
+export function parseDocument(content, format, { fileName } = {}) {
+  const defaultHeading = fileName || 'Document';
+
+  switch (format) {
+    case 'markdown':
+      return { format, title: null, text: content, sections: markdownSections(content, defaultHeading) };
+
+    case 'html': {
+      const { title, text } = htmlToText(content);
+      return { format, title, text, sections: markdownSections(text, title || defaultHeading) };
+    }
+
+    case 'jsonl':
+      return { format, title: null, text: content, sections: jsonlSections(content) };
+
+    case 'text':
+      return {
+        format,
+        title: null,
+        text: content,
+        sections: content.trim() ? [{ heading: defaultHeading, text: content, start: 0, end: content.length }] : []
+      };
+
+    default:
+      throw new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import defaultVectorStore from '../stores/vector-store.js';
+import { createKbAuditStore, newChangeId, validateChangeId } from '../stores/kb-audit-store.js';
+import { parseFilters } from '../retrieval/filters.js';
+import HttpError from '../utils/http-error.js';
+
+const ENTRY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_LIMIT = 500;
+
+export function validateEntryId(entryId) {
+  if (typeof entryId !== 'string' || !ENTRY_ID_PATTERN.test(entryId)) {
+    throw new HttpError(400, 'Entry ID must be a UUID');
+  }
+}
+
+// Listing options from a query string: the retrieval filters (fileId, tag,
+// since, until), `q` for words in the question or answer, offset and limit
+export function parseListOptions(query = {}) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'offset must be a whole number >= 0');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  return {
+    filter: { ...parseFilters(query), ...(text && { text }) },
+    offset,
+    limit
+  };
+}
+
+const toEntry = ({ id, properties }) => ({ id, ...properties });
+
+// Properties in key order, so stored and fetched copies compare equal
+const canonical = value => value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]))
+  : value;
+
+const same = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+// The editable fields of a request, checked. `required` lists the fields
+// that must be present (all of them for new entries).
+function editableFields(input, { required = [], at = '' } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpError(400, `${at}Entry must be an object`);
+  }
+  const fields = {};
+  for (const name of ['fileId', 'question', 'answer']) {
+    if (input[name] === undefined) {
+      if (required.includes(name)) {
+        throw new HttpError(400, `${at}${name} is required`);
+      }
+      continue;
+    }
+    if (typeof input[name] !== 'string' || !input[name].trim()) {
+      throw new HttpError(400, `${at}${name} must be a non-empty string`);
+    }
+    fields[name] = input[name].trim();
+  }
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || !input.tags.every(tag => typeof tag === 'string' && tag.trim())) {
+      throw new HttpError(400, `${at}tags must be a list of non-empty strings`);
+    }
+    fields.tags = [...new Set(input.tags.map(tag => tag.trim()))];
+  }
+  return fields;
+}
+
+// Split a JSONL text (or take a JSON array) into entries with their line numbers
+function importLines(body) {
+  if (Array.isArray(body)) {
+    return body.map((entry, index) => ({ line: index + 1, entry }));
+  }
+  if (typeof body !== 'string') {
+    throw new HttpError(400, 'Send the entries as JSONL text or a JSON array');
+  }
+  return body.split('\n')
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => text)
+    .map(({ line, text }) => {
+      try {
+        return { line, entry: JSON.parse(text) };
+      } catch (error) {
+        throw new HttpError(400, `Line ${line}: invalid JSON (${error.message})`);
+      }
+    });
+}
+
+// Reads and edits the question/answer entries of the knowledge base. Every
+// write is recorded in the audit store with who made it and the entry before
+// and after, so any change can be reverted.
+class KnowledgeBaseManager {
+  constructor({ store = defaultVectorStore, auditStore = createKbAuditStore() } = {}) {
+    this.store = store;
+    this.auditStore = auditStore;
+  }
+
+  async list(tenantId, { filter = {}, offset = 0, limit = 50 } = {}) {
+    const { objects, total } = await this.store.list(tenantId, { filter, offset, limit });
+    return { entries: objects.map(toEntry), total, offset, limit };
+  }
+
+  async find(tenantId, entryId) {
+    validateEntryId(entryId);
+    const [object] = await this.store.find(tenantId, { ids: [entryId] });
+    return object || null;
+  }
+
+  async get(tenantId, entryId) {
+    const object = await this.find(tenantId, entryId);
+    if (!object) {
+      throw new HttpError(404, `Entry "${entryId}" not found`);
+    }
+    return toEntry(object);
+  }
+
+  // context: { actor, note } of the request, recorded with the change
+  async create(tenantId, input, context = {}) {
+    const fields = editableFields(input, { required: ['fileId', 'question', 'answer'] });
+    const properties = { tags: [], ...fields, format: 'kb', ingestedAt: new Date().toISOString() };
+    const id = crypto.randomUUID();
+
+    await this.store.upsert(tenantId, [{ id, properties }]);
+    const [change] = await this.record(tenantId, [{ entryId: id, action: 'create', before: null, after: properties }], context);
+    return { entry: { id, ...properties }, change };
+  }
+
+  // Fields left out keep their value
+  async update(tenantId, entryId, input, context = {}) {
+    const existing = await this.find(tenantId, entryId);
+    if (!existing) {
+      throw new HttpError(404, `Entry "${entryId}" not found`);
+    }
+
+    const properties = { ...existing.properties, ...editableFields(input) };
+    if (same(properties, existing.properties)) {
+      return { entry: toEntry(existing), change: null };
+    }
+
+    await this.store.upsert(tenantId, [{ id: entryId, properties }]);
+    const [change] = await this.record(tenantId, [{ entryId, action: 'update', before: existing.properties, after: properties }], context);
+    return { entry: { id: entryId, ...properties }, change };
+  }
+
+  async delete(tenantId, entryId, context = {}) {
+    const existing = await this.find(tenantId, entryId);
+    if (!existing) {
+      throw new HttpError(404, `Entry "${entryId}" not found`);
+    }
+
+    await this.store.delete(tenantId, { ids: [entryId] });
+    const [change] = await this.record(tenantId, [{ entryId, action: 'delete', before: existing.properties, after: null }], context);
+    return { change };
+  }
+
+  async history(tenantId, entryId, { offset = 0, limit = 50 } = {}) {
+    validateEntryId(entryId);
+    return this.auditStore.list(tenantId, { entryId, offset, limit });
+  }
+
+  async changes(tenantId, options) {
+    return this.auditStore.list(tenantId, options);
+  }
+
+  // Put the entry back the way it was before `changeId`: reverting a create
+  // deletes the entry, reverting a delete restores it under the same ID
+  async revert(tenantId, entryId, changeId, context = {}) {
+    validateEntryId(entryId);
+    validateChangeId(changeId);
+    const target = await this.auditStore.get(tenantId, changeId);
+    if (!target || target.entryId !== entryId) {
+      throw new HttpError(404, `Change "${changeId}" of entry "${entryId}" not found`);
+    }
+
+    const existing = await this.find(tenantId, entryId);
+    const before = existing?.properties || null;
+    if (same(before, target.before)) {
+      throw new HttpError(409, `Entry "${entryId}" is already as it was before change "${changeId}"`);
+    }
+
+    if (target.before) {
+      await this.store.upsert(tenantId, [{ id: entryId, properties: target.before }]);
+    } else {
+      await this.store.delete(tenantId, { ids: [entryId] });
+    }
+    const [change] = await this.record(tenantId, [{ entryId, action: 'revert', before, after: target.before, revertOf: changeId }], context);
+    return { entry: target.before ? { id: entryId, ...target.before } : null, change };
+  }
+
+  // Every entry matching the filter, one JSON object per line
+  async export(tenantId, filter = {}) {
+    const objects = await this.store.find(tenantId, filter);
+    return objects.map(object => JSON.stringify(toEntry(object))).join('\n') + (objects.length > 0 ? '\n' : '');
+  }
+
+  // Import JSONL lines (or a JSON array) of entries, as exported. Lines with
+  // the `id` of an existing entry update it, the others create entries. All
+  // lines are checked before anything is written.
+  async import(tenantId, body, context = {}) {
+    const lines = importLines(body);
+    if (lines.length === 0) {
+      throw new HttpError(400, 'No entries to import');
+    }
+
+    const ids = lines.map(({ line, entry }) => {
+      if (entry?.id !== undefined) {
+        try {
+          validateEntryId(entry.id);
+        } catch (error) {
+          throw new HttpError(400, `Line ${line}: ${error.message}`);
+        }
+      }
+      return entry?.id;
+    });
+    const duplicate = ids.find((id, index) => id && ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new HttpError(400, `Entry "${duplicate}" appears more than once`);
+    }
+
+    const given = ids.filter(Boolean);
+    const existing = new Map(given.length > 0
+      ? (await this.store.find(tenantId, { ids: given })).map(object => [object.id, object.properties])
+      : []);
+    const now = new Date().toISOString();
+
+    const writes = lines.map(({ line, entry }) => {
+      const before = existing.get(entry?.id) || null;
+      const fields = editableFields(entry, { required: before ? [] : ['fileId', 'question', 'answer'], at: `Line ${line}: ` });
+      const properties = before
+        ? { ...before, ...fields }
+        : { tags: [], ...fields, format: 'kb', ingestedAt: now };
+      return { id: entry.id || crypto.randomUUID(), before, properties };
+    });
+
+    const changed = writes.filter(write => !same(write.before, write.properties));
+    if (changed.length > 0) {
+      await this.store.upsert(tenantId, changed.map(({ id, properties }) => ({ id, properties })));
+    }
+    const changes = await this.record(tenantId, changed.map(({ id, before, properties }) => ({
+      entryId: id,
+      action: 'import',
+      before,
+      after: properties
+    })), context);
+
+    return {
+      created: changed.filter(write => !write.before).length,
+      updated: changed.filter(write => write.before).length,
+      unchanged: writes.length - changed.length,
+      changes
+    };
+  }
+
+  async record(tenantId, changes, { actor = null, note = null } = {}) {
+    if (changes.length === 0) {
+      return [];
+    }
+    const at = new Date().toISOString();
+    return this.auditStore.record(tenantId, changes.map(change => ({
+      id: newChangeId(),
+      tenantId,
+      ...change,
+      at,
+      actor,
+      note
+    })));
+  }
+
+  async deleteTenant(tenantId) {
+    await this.auditStore.deleteTenant(tenantId);
+  }
+}
+
+export default KnowledgeBaseManager;
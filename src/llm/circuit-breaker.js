@@ -0,0 +1,52 @@
+// Stops calling a model after `failureThreshold` failures in a row. While
+// open, calls are refused; after `resetMs` one trial call is let through
+// (half open), and its outcome closes the breaker again or reopens it.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // Whether a call may be made now. Moving to half open hands out the one
+  // trial call, so only the first caller after `resetMs` gets true.
+  allow(now = Date.now()) {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open' && now - this.openedAt >= this.resetMs) {
+      this.state = 'half_open';
+      return true;
+    }
+    return false;
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failure(now = Date.now()) {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  status(now = Date.now()) {
+    return {
+      state: this.state,
+      failures: this.failures,
+      ...(this.state === 'open' && {
+        openedAt: new Date(this.openedAt).toISOString(),
+        retryInMs: Math.max(0, this.resetMs - (now - this.openedAt))
+      })
+    };
+  }
+}
+
+export default CircuitBreaker;
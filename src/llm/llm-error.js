@@ -0,0 +1,98 @@
+import { TimeoutError } from '../utils/timeout.js';
+
+// What can go wrong with a model call, as reported to clients: the HTTP
+// status a failed request answers with, whether the call is worth retrying
+// and the answer shown instead of the model's
+export const LLM_ERROR_CODES = {
+  rate_limited: {
+    statusCode: 429,
+    retryable: true,
+    answer: 'The language model is receiving too many requests right now. Please try again in a moment.'
+  },
+  timeout: {
+    statusCode: 504,
+    retryable: true,
+    answer: 'The language model took too long to answer. Please try again.'
+  },
+  provider_down: {
+    statusCode: 503,
+    retryable: true,
+    answer: 'The language model is unavailable right now. Please try again later.'
+  },
+  invalid_request: {
+    statusCode: 502,
+    retryable: false,
+    answer: 'The language model rejected the request.'
+  }
+};
+
+// A failed model call. `model` is the "provider:model" that failed last and
+// `attempts` the number of calls made across all models.
+export class LlmError extends Error {
+  constructor(code, message, { model = null, attempts = 1, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LlmError';
+    this.code = code;
+    this.statusCode = LLM_ERROR_CODES[code].statusCode;
+    this.retryable = LLM_ERROR_CODES[code].retryable;
+    this.model = model;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const RATE_LIMITED = /rate.?limit|too many requests|resource.?exhausted|quota/i;
+const TIMED_OUT = /timed? ?out|timeout|ETIMEDOUT|deadline/i;
+
+function statusOf(error) {
+  const status = error.status ?? error.statusCode ?? error.response?.status ?? error.cause?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+// Seconds from a Retry-After header or Gemini's retryDelay ("7s")
+function retryAfterOf(error) {
+  const header = error.headers?.['retry-after'] ?? error.headers?.get?.('retry-after');
+  const delay = error.errorDetails?.find?.(detail => detail.retryDelay)?.retryDelay;
+  const seconds = parseFloat(header ?? delay);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// Sort any error thrown by a provider SDK into one of LLM_ERROR_CODES, by
+// HTTP status where the SDK reports one and by message otherwise
+export function toLlmError(error, model = null) {
+  if (error instanceof LlmError) {
+    return error;
+  }
+
+  const status = statusOf(error);
+  const text = `${error.name || ''} ${error.message || ''} ${error.code || ''}`;
+  let code;
+  if (status === 429 || RATE_LIMITED.test(text)) {
+    code = 'rate_limited';
+  } else if (error instanceof TimeoutError || status === 408 || status === 504 || TIMED_OUT.test(text)) {
+    code = 'timeout';
+  } else if (status !== null && status >= 400 && status < 500) {
+    code = 'invalid_request';
+  } else {
+    // 5xx, connection failures and anything unrecognised
+    code = 'provider_down';
+  }
+
+  return new LlmError(code, `${model ? `${model}: ` : ''}${error.message || code}`, {
+    model,
+    retryAfterMs: retryAfterOf(error),
+    cause: error
+  });
+}
+
+// The `error` of a response: { code, message } for model failures, and
+// internal_error for anything else
+export function describeError(error) {
+  const code = error instanceof LlmError ? error.code : 'internal_error';
+  return {
+    code,
+    message: error.message,
+    ...(error.model && { model: error.model }),
+    ...(error instanceof LlmError && { attempts: error.attempts })
+  };
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { classifyQuery, matchChart, matchInfo } from '../agents/route-classifier.js';
+import { calculatorTool } from '../tools/calculator.js';
+import { findChartType } from '../tools/chart-config.js';
+import { heuristicPlan } from '../agents/planner.js';
+import { overlapScore } from '../retrieval/lexical.js';
+
+// Offline, deterministic chat model. The same prompt always produces the same
+// output, so the whole graph can run in tests without network access.
+//
+// Replies come from, in order:
+//   1. scripted rules ({ match: 'regex', response: 'text' }) passed in or read
+//      from the JSON file named by MOCK_LLM_SCRIPT; `$1`.. refer to groups
+//   2. built-in handlers that recognise the prompts used by the agents
+//   3. a generic "Mock response to: ..." echo
+
+function field(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}:\\s*([^\\n]*)`));
+  return match ? match[1].trim() : '';
+}
+
+// Keyword matchers for the tools listed in a router prompt. Tools the mock
+// does not know are picked when the query names them.
+const TOOL_MATCHERS = {
+  chart: matchChart,
+  rag: matchInfo,
+  calculator: calculatorTool.match
+};
+
+function listedTools(prompt) {
+  return [...prompt.slice(prompt.indexOf('Available tools:')).split('\n\n')[0].matchAll(/^- ([a-z0-9_]+):/gm)]
+    .map(([, name]) => ({
+      name,
+      match: TOOL_MATCHERS[name] || (query => (new RegExp(`\\b${name}\\b`, 'i').test(query) ? 0.8 : 0)),
+      fallback: name === 'rag'
+    }));
+}
+
+function section(prompt, label, nextLabel) {
+  const start = prompt.indexOf(`${label}:`);
+  if (start < 0) {
+    return '';
+  }
+  const from = start + label.length + 1;
+  const end = nextLabel ? prompt.indexOf(`${nextLabel}:`, from) : -1;
+  return prompt.slice(from, end < 0 ? undefined : end).trim();
+}
+
+export const BUILT_IN_HANDLERS = [
+  {
+    name: 'router',
+    test: prompt => prompt.includes('decides which tools to use'),
+    respond: prompt => JSON.stringify(classifyQuery(field(prompt, 'User Query'), listedTools(prompt)))
+  },
+  {
+    name: 'planner',
+    test: prompt => prompt.includes('You are a planning agent'),
+    respond: prompt => {
+      const tools = listedTools(prompt);
+      const failed = prompt.match(/^Failed step: (.*)$/m);
+      if (!failed) {
+        return JSON.stringify(heuristicPlan(field(prompt, 'User Query'), tools));
+      }
+      // Replan: the failed task with the other tools
+      const step = JSON.parse(failed[1]);
+      const firstId = Math.max(...[...prompt.matchAll(/^- step (\d+)/gm)].map(([, id]) => Number(id))) + 1;
+      return JSON.stringify(heuristicPlan(step.query, tools.filter(tool => tool.name !== step.tool), {}, { firstId }));
+    }
+  },
+  {
+    name: 'chart_parameters',
+    test: prompt => prompt.includes('extract chart parameters'),
+    respond: prompt => {
+      const query = field(prompt, 'User Query');
+      const chartType = findChartType(query) || 'bar';
+      return JSON.stringify({
+        chartType,
+        title: query.replace(/[.?!]+$/, '').slice(0, 60) || 'Chart',
+        data: query
+      });
+    }
+  },
+  {
+    name: 'query_rewrite',
+    test: prompt => prompt.includes('Standalone query:'),
+    respond: prompt => {
+      const lastUser = (section(prompt, 'Conversation', 'Follow-up question').match(/User: ([^\n]*)/g) || []).pop();
+      const followUp = field(prompt, 'Follow-up question');
+      return [lastUser ? lastUser.slice('User: '.length) : '', followUp].filter(Boolean).join(' ');
+    }
+  },
+  {
+    name: 'rerank',
+    test: prompt => prompt.includes('Rate how relevant each passage is'),
+    respond: prompt => {
+      const query = field(prompt, 'Query');
+      const passages = section(prompt, 'Passages').split('\nRespond with a JSON array')[0].split(/^\[\d+\] /m).slice(1);
+      return JSON.stringify(passages.map(passage => Math.round(overlapScore(query, passage) * 10)));
+    }
+  },
+  {
+    name: 'summary',
+    test: prompt => prompt.includes('Summarise the following conversation'),
+    respond: prompt => section(prompt, 'Conversation', 'Summary')
+      .split(/\s+/)
+      .slice(0, 120)
+      .join(' ')
+  },
+  {
+    name: 'combine',
+    test: prompt => prompt.includes('Tool Results:'),
+    respond: prompt => [...section(prompt, 'Tool Results', 'Create a response that').matchAll(/^Tool "[a-z0-9_]+" answered: ([^\n]*)/gm)]
+      .map(([, answer]) => answer.trim())
+      .join(' ')
+  },
+  {
+    name: 'rag_answer',
+    test: prompt => prompt.includes('Retrieved Information:'),
+    respond: prompt => {
+      const context = section(prompt, 'Retrieved Information', 'Conversation so far');
+      const answer = (context.match(/Answer: ([^\n]*)/) || [])[1];
+      if (!answer) {
+        return 'The retrieved information does not answer the question.';
+      }
+      // Cite the first passage the way the prompt asks for
+      return `${answer.trim().replace(/[.!?]*$/, '')} [1].`;
+    }
+  },
+  {
+    name: 'direct',
+    test: prompt => prompt.includes('Provide a direct response'),
+    respond: prompt => `Hello! This is a mock response to: ${field(prompt, 'User Query')}`
+  }
+];
+
+function loadScript(scriptPath) {
+  if (!scriptPath) {
+    return [];
+  }
+  const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`MOCK_LLM_SCRIPT ${scriptPath} must contain a JSON array of { match, response } rules`);
+  }
+  return rules;
+}
+
+class MockChatModel extends SimpleChatModel {
+  constructor({ model = 'mock', responses = [], scriptPath = process.env.MOCK_LLM_SCRIPT, ...fields } = {}) {
+    super(fields);
+    this.model = model;
+    this.rules = [...responses, ...loadScript(scriptPath)].map(rule => ({
+      pattern: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i'),
+      response: rule.response
+    }));
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  // Text the model sees: all message contents joined
+  promptText(messages) {
+    return messages
+      .map(message => typeof message.content === 'string' ? message.content : JSON.stringify(message.content))
+      .join('\n');
+  }
+
+  respond(prompt) {
+    for (const rule of this.rules) {
+      const match = prompt.match(rule.pattern);
+      if (match) {
+        return rule.response.replace(/\$(\d)/g, (placeholder, group) => match[Number(group)] ?? '');
+      }
+    }
+
+    const handler = BUILT_IN_HANDLERS.find(candidate => candidate.test(prompt));
+    if (handler) {
+      return handler.respond(prompt);
+    }
+
+    return `Mock response to: ${prompt.trim().slice(-200)}`;
+  }
+
+  async _call(messages) {
+    return this.respond(this.promptText(messages));
+  }
+
+  // Stream word by word so streaming code paths are exercised too
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = this.respond(this.promptText(messages));
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      yield new ChatGenerationChunk({ message: new AIMessageChunk({ content: token }), text: token });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+export default MockChatModel;
@@ -0,0 +1,59 @@
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ChatOpenAI } from '@langchain/openai';
+import MockChatModel from './mock-chat-model.js';
+
+// Chat model providers by name. A factory receives
+// { model, temperature, maxTokens } and returns a LangChain chat model.
+// Retries are left to ResilientChatModel, so the SDKs' own are turned off.
+const providers = new Map();
+
+export function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+export function createChatModel({ provider, ...options }) {
+  const factory = providers.get(provider);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Available: ${listProviders().join(', ')}`);
+  }
+  return factory(options);
+}
+
+registerProvider('google', ({ model, temperature, maxTokens }) => new ChatGoogleGenerativeAI({
+  model: model || 'gemini-1.5-flash',
+  temperature,
+  maxOutputTokens: maxTokens,
+  maxRetries: 0,
+  apiKey: process.env.GOOGLE_API_KEY,
+}));
+
+// Any server that speaks the OpenAI chat completions API (OpenAI, vLLM,
+// LM Studio, llama.cpp server, ...)
+registerProvider('openai', ({ model, temperature, maxTokens }) => new ChatOpenAI({
+  model: model || 'gpt-4o-mini',
+  temperature,
+  maxTokens,
+  maxRetries: 0,
+  apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+  configuration: {
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+  },
+}));
+
+// Ollama through its OpenAI-compatible endpoint
+registerProvider('ollama', ({ model, temperature, maxTokens }) => new ChatOpenAI({
+  model: model || 'llama3.1',
+  temperature,
+  maxTokens,
+  maxRetries: 0,
+  apiKey: 'ollama',
+  configuration: {
+    baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+  },
+}));
+
+registerProvider('mock', ({ model }) => new MockChatModel({ model: model || 'mock' }));
@@ -0,0 +1,136 @@
+import { Runnable } from '@langchain/core/runnables';
+import { withTimeout } from '../utils/timeout.js';
+import { LlmError, toLlmError } from './llm-error.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls a list of models in order until one answers. Each call has a time
+// limit, retryable failures are retried with exponential backoff, and every
+// model has a circuit breaker so a provider that keeps failing is skipped
+// until it has had time to recover. When all models fail, the last error is
+// thrown as an LlmError.
+//
+// candidates: [{ name: 'provider:model', model, breaker }], the first is the
+// primary model and the others its fallbacks in order.
+class ResilientChatModel extends Runnable {
+  lc_namespace = ['langchainpro', 'llm'];
+
+  constructor(candidates, { role, timeoutMs = 30000, maxRetries = 2, backoffMs = 500, maxBackoffMs = 8000 } = {}) {
+    super();
+    this.candidates = candidates;
+    this.role = role || 'default';
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+  }
+
+  // Full jitter: a random wait up to the exponential bound. A provider that
+  // asks for a longer wait than maxBackoffMs is left for the next model.
+  backoff(attempt, error) {
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= this.maxBackoffMs ? error.retryAfterMs : null;
+    }
+    return Math.random() * Math.min(this.maxBackoffMs, this.backoffMs * 2 ** attempt);
+  }
+
+  // Run `work(candidate, signal)` against the models in turn. The signal
+  // fires when the call runs out of time.
+  async call(work) {
+    let lastError = null;
+    let attempts = 0;
+
+    for (const candidate of this.candidates) {
+      if (!candidate.breaker.allow()) {
+        lastError = new LlmError('provider_down', `${candidate.name}: circuit open after repeated failures`, { model: candidate.name });
+        continue;
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        attempts++;
+        try {
+          const result = await withTimeout(
+            signal => work(candidate, signal),
+            this.timeoutMs,
+            `no answer within ${this.timeoutMs}ms`
+          );
+          candidate.breaker.success();
+          return result;
+        } catch (error) {
+          lastError = toLlmError(error, candidate.name);
+          // A rejected request still means the provider is up
+          if (lastError.retryable) {
+            candidate.breaker.failure();
+          } else {
+            candidate.breaker.success();
+          }
+
+          const delay = lastError.retryable && attempt < this.maxRetries && candidate.breaker.state === 'closed'
+            ? this.backoff(attempt, lastError)
+            : null;
+          if (delay === null) {
+            break;
+          }
+          console.warn(`LLM ${this.role} call failed (${lastError.code}), retrying ${candidate.name} in ${Math.round(delay)}ms:`, lastError.message);
+          await sleep(delay);
+        }
+      }
+
+      if (candidate !== this.candidates[this.candidates.length - 1]) {
+        console.warn(`LLM ${this.role} call failed on ${candidate.name} (${lastError.code}), trying the next model`);
+      }
+    }
+
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+
+  async invoke(input, options) {
+    return this.call((candidate, signal) => candidate.model.invoke(input, withSignal(options, signal)));
+  }
+
+  // Retries and fallbacks only happen until the first chunk arrives; once
+  // tokens have been passed on, a failure ends the stream. Every chunk has to
+  // arrive within timeoutMs of the one before.
+  async *_streamIterator(input, options) {
+    const { candidate, iterator, controller, first } = await this.call(async (candidate, signal) => {
+      const controller = new AbortController();
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+      const stream = await candidate.model.stream(input, withSignal(options, controller.signal));
+      const iterator = stream[Symbol.asyncIterator]();
+      return { candidate, iterator, controller, first: await iterator.next() };
+    });
+
+    let next = first;
+    try {
+      while (!next.done) {
+        yield next.value;
+        next = await withTimeout(
+          () => iterator.next(),
+          this.timeoutMs,
+          `stream stalled for ${this.timeoutMs}ms`
+        );
+      }
+    } catch (error) {
+      const llmError = toLlmError(error, candidate.name);
+      if (llmError.retryable) {
+        candidate.breaker.failure();
+      }
+      throw llmError;
+    } finally {
+      // Stop the provider's stream when it failed or the reader stopped early
+      if (!next.done) {
+        controller.abort();
+      }
+    }
+  }
+}
+
+function withSignal(options, signal) {
+  return {
+    ...options,
+    signal: options?.signal ? AbortSignal.any([options.signal, signal]) : signal
+  };
+}
+
+export default ResilientChatModel;
@@ -0,0 +1,49 @@
+import { DEFAULT_TENANT } from '../config/database.js';
+
+// The knowledge base class as first released, and its default tenant. Both
+// steps are skipped when they were done by the old one-shot setup.
+export default {
+  name: 'Create the QuestionAnswer class and the default tenant',
+
+  async up({ client, className, log }) {
+    if (!(await client.schema.exists(className))) {
+      await client.schema
+        .classCreator()
+        .withClass({
+          class: className,
+          description: 'Question and answer pairs with multi-tenancy support',
+          multiTenancyConfig: {
+            enabled: true,
+          },
+          properties: [
+            {
+              name: 'fileId',
+              dataType: ['text'],
+              description: 'The identifier for each file',
+              indexInverted: true,
+            },
+            {
+              name: 'question',
+              dataType: ['text'],
+              description: 'The question being asked',
+              indexInverted: true,
+            },
+            {
+              name: 'answer',
+              dataType: ['text'],
+              description: 'The answer to the question',
+              indexInverted: true,
+            },
+          ],
+        })
+        .do();
+      log(`Created class ${className}.`);
+    }
+
+    const tenants = await client.schema.tenantsGetter(className).do();
+    if (!tenants.some(tenant => tenant.name === DEFAULT_TENANT)) {
+      await client.schema.tenantsCreator(className, [{ name: DEFAULT_TENANT }]).do();
+      log(`Created tenant ${DEFAULT_TENANT}.`);
+    }
+  },
+};
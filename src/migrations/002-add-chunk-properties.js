@@ -0,0 +1,65 @@
+// Properties written by the document ingestion pipeline
+const CHUNK_PROPERTIES = [
+  {
+    name: 'chunkIndex',
+    dataType: ['int'],
+    description: 'Position of the chunk within its document',
+  },
+  {
+    name: 'startOffset',
+    dataType: ['int'],
+    description: 'Start character offset of the chunk in the extracted document text',
+  },
+  {
+    name: 'endOffset',
+    dataType: ['int'],
+    description: 'End character offset of the chunk in the extracted document text',
+  },
+  {
+    name: 'fileName',
+    dataType: ['text'],
+    description: 'Original name of the uploaded file',
+    indexInverted: false,
+  },
+  {
+    name: 'format',
+    dataType: ['text'],
+    description: 'Source format of the document (text, markdown, html, jsonl)',
+  },
+  {
+    name: 'ingestedAt',
+    dataType: ['date'],
+    description: 'When the document was ingested',
+  },
+  {
+    name: 'tags',
+    dataType: ['text[]'],
+    description: 'Labels that retrieval can filter on',
+  },
+  {
+    name: 'ingestionId',
+    dataType: ['text'],
+    description: 'Identifier of the upload that produced the chunk',
+  },
+];
+
+// Adding properties is backward compatible, so existing objects stay in place
+export default {
+  name: 'Add the document chunk properties',
+
+  async up({ client, className, log }) {
+    const schema = await client.schema.classGetter().withClassName(className).do();
+    const existing = new Set((schema.properties || []).map(property => property.name));
+
+    for (const property of CHUNK_PROPERTIES) {
+      if (!existing.has(property.name)) {
+        await client.schema
+          .propertyCreator()
+          .withClassName(className)
+          .withProperty(property)
+          .do();
+        log(`Added property ${property.name}.`);
+      }
+    }
+  },
+};
@@ -0,0 +1,42 @@
+import { DEFAULT_TENANT } from '../config/database.js';
+
+// Sample rows as inserted by the old setup, which added all five again on
+// every /setup call
+const SAMPLE_FILE_IDS = ['file_001', 'file_002', 'file_003', 'file_004', 'file_005'];
+
+// Keep one copy of each repeated sample row in the default tenant. Rows from
+// document uploads carry an ingestionId and are never touched.
+export default {
+  name: 'Remove duplicate sample rows left by repeated setup calls',
+
+  async up({ client, className, log, forEachPage }) {
+    const tenants = await client.schema.tenantsGetter(className).do();
+    if (!tenants.some(tenant => tenant.name === DEFAULT_TENANT)) {
+      return;
+    }
+
+    const seen = new Set();
+    const duplicates = [];
+    await forEachPage(className, DEFAULT_TENANT, { vectors: false }, objects => {
+      for (const object of objects) {
+        const { fileId, question, answer, ingestionId } = object.properties;
+        if (ingestionId || !SAMPLE_FILE_IDS.includes(fileId)) {
+          continue;
+        }
+        const key = JSON.stringify([fileId, question, answer]);
+        if (seen.has(key)) {
+          duplicates.push(object.id);
+        } else {
+          seen.add(key);
+        }
+      }
+    });
+
+    for (const id of duplicates) {
+      await client.data.deleter().withClassName(className).withTenant(DEFAULT_TENANT).withId(id).do();
+    }
+    if (duplicates.length > 0) {
+      log(`Removed ${duplicates.length} duplicate sample rows.`);
+    }
+  },
+};
@@ -0,0 +1,218 @@
+import defaultVectorStore from '../stores/vector-store.js';
+import { validateSessionId } from '../stores/conversation-store.js';
+import { validateRunId } from '../tracing/trace-store.js';
+import HttpError from '../utils/http-error.js';
+
+// Passages listed per source file when none of them was cited
+const MAX_PASSAGES = 20;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Citations as /query returns them: [{ ..., sources: [{ marker, fileId, chunkId, question }] }]
+function validCitations(citations) {
+  return Array.isArray(citations) && citations.every(citation => isObject(citation)
+    && Array.isArray(citation.sources)
+    && citation.sources.every(source => isObject(source) && (source.fileId === undefined || typeof source.fileId === 'string')));
+}
+
+// A report is the material of an export, whatever its format:
+// {
+//   title, tenantId, generatedAt,
+//   source: { type: 'run' | 'session' | 'response', id },
+//   summary,                        // summary of compacted session history
+//   sections: [{ query, answer, timestamp, fileIds, citations, chartConfig,
+//                chart: { image, error } }],
+//   references: [{ fileId, passages: [{ id, question, answer, cited }], more }]
+// }
+class ReportBuilder {
+  constructor({ traceStore, conversationStore, chartRenderer, store = defaultVectorStore }) {
+    this.traceStore = traceStore;
+    this.conversationStore = conversationStore;
+    this.chartRenderer = chartRenderer;
+    this.store = store;
+  }
+
+  // source: { runId } | { sessionId } | { response: { query, answer, citations,
+  // fileIds, chartConfig } }
+  async build(tenantId, { runId, sessionId, response, title } = {}) {
+    const given = [runId, sessionId, response].filter(value => value !== undefined);
+    if (given.length !== 1) {
+      throw new HttpError(400, 'Give exactly one of runId, sessionId or response');
+    }
+
+    let report;
+    if (runId !== undefined) {
+      report = await this.fromRun(tenantId, runId);
+    } else if (sessionId !== undefined) {
+      report = await this.fromSession(tenantId, sessionId);
+    } else {
+      report = this.fromResponse(response);
+    }
+
+    const sections = await Promise.all(report.sections.map(section => this.withChart(section)));
+    return {
+      title: title || report.title,
+      tenantId,
+      generatedAt: new Date().toISOString(),
+      source: report.source,
+      ...(report.summary && { summary: report.summary }),
+      sections,
+      references: await this.references(tenantId, sections)
+    };
+  }
+
+  // The answer of a run comes from its session, where it is kept whole; the
+  // trace only has a shortened copy, used once the session is gone
+  async fromRun(tenantId, runId) {
+    validateRunId(runId);
+    const trace = await this.traceStore.get(runId, tenantId);
+    if (!trace) {
+      throw new HttpError(404, `Run "${runId}" not found`);
+    }
+
+    const session = trace.sessionId ? await this.conversationStore.get(trace.sessionId, tenantId) : null;
+    const messages = session?.messages || [];
+    const index = messages.findIndex(message => message.role === 'assistant' && message.metadata?.runId === runId);
+
+    let section;
+    if (index >= 0) {
+      section = this.section(messages[index - 1], messages[index]);
+    } else {
+      const output = trace.spans.find(span => span.name === 'agent.run')?.output || {};
+      section = {
+        query: trace.query,
+        answer: output.answer || '',
+        timestamp: trace.startedAt,
+        fileIds: output.fileIds || [],
+        citations: [],
+        chartConfig: null
+      };
+    }
+
+    return {
+      title: `Report: ${truncate(section.query, 80)}`,
+      source: { type: 'run', id: runId },
+      sections: [section]
+    };
+  }
+
+  async fromSession(tenantId, sessionId) {
+    validateSessionId(sessionId);
+    const session = await this.conversationStore.get(sessionId, tenantId);
+    if (!session) {
+      throw new HttpError(404, `Session "${sessionId}" not found`);
+    }
+
+    const sections = [];
+    session.messages.forEach((message, index) => {
+      if (message.role === 'assistant') {
+        const previous = session.messages[index - 1];
+        sections.push(this.section(previous?.role === 'user' ? previous : null, message));
+      }
+    });
+    const firstQuestion = session.messages.find(message => message.role === 'user');
+
+    return {
+      title: `Conversation report${firstQuestion ? `: ${truncate(firstQuestion.content, 80)}` : ''}`,
+      source: { type: 'session', id: sessionId },
+      summary: session.summary || null,
+      sections
+    };
+  }
+
+  // A response posted by the client, e.g. the `response` of a /query call
+  fromResponse(response) {
+    if (!response || typeof response !== 'object' || typeof response.answer !== 'string') {
+      throw new HttpError(400, 'response must be an object with an answer');
+    }
+    if (response.citations != null && !validCitations(response.citations)) {
+      throw new HttpError(400, 'response.citations must be a list of citations, each with a list of sources');
+    }
+    const query = typeof response.query === 'string' ? response.query : null;
+    return {
+      title: query ? `Report: ${truncate(query, 80)}` : 'Report',
+      source: { type: 'response', id: null },
+      sections: [{
+        query,
+        answer: response.answer,
+        timestamp: null,
+        fileIds: Array.isArray(response.fileIds) ? response.fileIds.map(String) : [],
+        citations: response.citations || [],
+        chartConfig: response.chartConfig && typeof response.chartConfig === 'object' ? response.chartConfig : null
+      }]
+    };
+  }
+
+  section(question, answer) {
+    const metadata = answer.metadata || {};
+    return {
+      query: question?.content ?? null,
+      answer: answer.content,
+      timestamp: answer.timestamp,
+      fileIds: metadata.fileIds || [],
+      citations: metadata.citations || [],
+      chartConfig: metadata.chartConfig || null
+    };
+  }
+
+  // Charts go into every format as PNG. A chart that cannot be drawn leaves
+  // a note in the report instead of failing the export.
+  async withChart(section) {
+    if (!section.chartConfig) {
+      return { ...section, chart: null };
+    }
+    try {
+      const image = await this.chartRenderer.render(section.chartConfig, { format: 'png' });
+      return { ...section, chart: { image } };
+    } catch (error) {
+      console.error('Report chart error:', error.message);
+      return { ...section, chart: { error: error.message } };
+    }
+  }
+
+  // The question/answer passages of every source file. Cited passages are
+  // listed for files that were cited, all of them (up to MAX_PASSAGES)
+  // for the others.
+  async references(tenantId, sections) {
+    const cited = new Set();
+    const fileIds = [];
+    const add = fileId => {
+      if (fileId && !fileIds.includes(fileId)) {
+        fileIds.push(fileId);
+      }
+    };
+
+    for (const section of sections) {
+      section.fileIds.forEach(add);
+      for (const citation of section.citations) {
+        for (const source of citation.sources || []) {
+          add(source.fileId);
+          if (source.chunkId) {
+            cited.add(source.chunkId);
+          }
+        }
+      }
+    }
+
+    return Promise.all(fileIds.map(async fileId => {
+      const objects = await this.store.find(tenantId, { fileIds: [fileId] });
+      const passages = objects.map(object => ({
+        id: object.id,
+        question: object.properties.question,
+        answer: object.properties.answer,
+        cited: cited.has(object.id)
+      }));
+      const shown = passages.some(passage => passage.cited)
+        ? passages.filter(passage => passage.cited)
+        : passages.slice(0, MAX_PASSAGES);
+      return { fileId, passages: shown, more: passages.length - shown.length };
+    }));
+  }
+}
+
+function truncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+export default ReportBuilder;
@@ -0,0 +1,268 @@
+import PDFDocument from 'pdfkit';
+import HttpError from '../utils/http-error.js';
+
+export const REPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+export function validateReportFormat(format = 'markdown') {
+  const name = format === 'md' ? 'markdown' : format;
+  if (!(name in REPORT_FORMATS)) {
+    throw new HttpError(400, `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  return name;
+}
+
+// Write a report (see ReportBuilder) as a self-contained document: charts
+// are embedded, not linked. Returns { contentType, extension, body }.
+export async function renderReport(report, format) {
+  const name = validateReportFormat(format);
+  const writers = { markdown: toMarkdown, html: toHtml, pdf: toPdf };
+  return { ...REPORT_FORMATS[name], body: await writers[name](report) };
+}
+
+// The sources a section cites, one per marker: [{ marker, fileId, question }].
+// Sections without citations list their fileIds.
+function sourcesOf(section) {
+  const byMarker = new Map();
+  for (const citation of section.citations) {
+    for (const source of citation.sources || []) {
+      if (!byMarker.has(source.marker)) {
+        byMarker.set(source.marker, { marker: source.marker, fileId: source.fileId, question: source.question });
+      }
+    }
+  }
+  if (byMarker.size > 0) {
+    return [...byMarker.values()].sort((a, b) => a.marker - b.marker);
+  }
+  return section.fileIds.map(fileId => ({ marker: null, fileId, question: null }));
+}
+
+function describeSource({ marker, fileId, question }) {
+  return `${marker ? `[${marker}] ` : ''}${fileId}${question ? ` - ${question}` : ''}`;
+}
+
+function metaLine(report) {
+  const source = report.source.id ? `${report.source.type} ${report.source.id}` : report.source.type;
+  return `Tenant: ${report.tenantId} | Source: ${source} | Generated: ${report.generatedAt}`;
+}
+
+function chartTitle(section) {
+  return section.chartConfig?.options?.plugins?.title?.text || 'Chart';
+}
+
+function dataUri(image) {
+  return `data:${image.contentType};base64,${image.data.toString('base64')}`;
+}
+
+export function toMarkdown(report) {
+  const lines = [`# ${report.title}`, '', `_${metaLine(report)}_`, ''];
+
+  if (report.summary) {
+    lines.push('## Earlier conversation', '', report.summary, '');
+  }
+
+  report.sections.forEach((section, index) => {
+    lines.push(`## ${index + 1}. ${section.query || 'Answer'}`, '');
+    if (section.timestamp) {
+      lines.push(`_${section.timestamp}_`, '');
+    }
+    lines.push(section.answer, '');
+
+    if (section.chart?.image) {
+      lines.push(`![${chartTitle(section)}](${dataUri(section.chart.image)})`, '');
+    } else if (section.chart?.error) {
+      lines.push(`> Chart "${chartTitle(section)}" could not be rendered: ${section.chart.error}`, '');
+    }
+
+    const sources = sourcesOf(section);
+    if (sources.length > 0) {
+      lines.push('**Sources:**', '', ...sources.map(source => `- ${describeSource(source)}`), '');
+    }
+  });
+
+  if (report.references.length > 0) {
+    lines.push('## References', '');
+    for (const reference of report.references) {
+      lines.push(`### ${reference.fileId}`, '');
+      if (reference.passages.length === 0) {
+        lines.push('_No longer in the knowledge base._', '');
+      }
+      for (const passage of reference.passages) {
+        lines.push(`**Q:** ${passage.question}`, '', `**A:** ${passage.answer}`, '');
+      }
+      if (reference.more > 0) {
+        lines.push(`_${reference.more} more passage${reference.more === 1 ? '' : 's'} not shown._`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Blank lines separate paragraphs; single line breaks are kept
+const paragraphs = text => String(text ?? '')
+  .split(/\n\s*\n/)
+  .filter(part => part.trim())
+  .map(part => `<p>${escapeHtml(part.trim()).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+const HTML_STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 860px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { font-size: 26px; margin-bottom: 4px; }
+  h2 { font-size: 19px; margin-top: 36px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin-top: 20px; font-family: monospace; }
+  .meta, .time, .note { color: #777; font-size: 13px; }
+  figure { margin: 20px 0; text-align: center; }
+  figure img { max-width: 100%; }
+  .sources { font-size: 14px; }
+  .passage { margin: 10px 0; padding: 8px 12px; background: #f6f7f9; border-left: 3px solid #bbb; }
+  .passage.cited { border-left-color: #4a7bd1; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } figure { page-break-inside: avoid; } }
+`;
+
+export function toHtml(report) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p class="meta">${escapeHtml(metaLine(report))}</p>`
+  ];
+
+  if (report.summary) {
+    parts.push('<h2>Earlier conversation</h2>', paragraphs(report.summary));
+  }
+
+  report.sections.forEach((section, index) => {
+    parts.push(`<h2>${index + 1}. ${escapeHtml(section.query || 'Answer')}</h2>`);
+    if (section.timestamp) {
+      parts.push(`<p class="time">${escapeHtml(section.timestamp)}</p>`);
+    }
+    parts.push(paragraphs(section.answer));
+
+    if (section.chart?.image) {
+      parts.push(`<figure><img src="${dataUri(section.chart.image)}" alt="${escapeHtml(chartTitle(section))}"></figure>`);
+    } else if (section.chart?.error) {
+      parts.push(`<p class="note">Chart "${escapeHtml(chartTitle(section))}" could not be rendered: ${escapeHtml(section.chart.error)}</p>`);
+    }
+
+    const sources = sourcesOf(section);
+    if (sources.length > 0) {
+      parts.push(`<div class="sources"><strong>Sources:</strong><ul>${sources.map(source => `<li>${escapeHtml(describeSource(source))}</li>`).join('')}</ul></div>`);
+    }
+  });
+
+  if (report.references.length > 0) {
+    parts.push('<h2>References</h2>');
+    for (const reference of report.references) {
+      parts.push(`<h3>${escapeHtml(reference.fileId)}</h3>`);
+      if (reference.passages.length === 0) {
+        parts.push('<p class="note">No longer in the knowledge base.</p>');
+      }
+      for (const passage of reference.passages) {
+        parts.push(`<div class="passage${passage.cited ? ' cited' : ''}"><p><strong>Q:</strong> ${escapeHtml(passage.question)}</p><p><strong>A:</strong> ${escapeHtml(passage.answer)}</p></div>`);
+      }
+      if (reference.more > 0) {
+        parts.push(`<p class="note">${reference.more} more passage${reference.more === 1 ? '' : 's'} not shown.</p>`);
+      }
+    }
+  }
+
+  parts.push('</body>', '</html>', '');
+  return parts.join('\n');
+}
+
+// PDFs use the built-in Helvetica, which covers Latin text only
+export function toPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: report.title, CreationDate: new Date(report.generatedAt) }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const heading = (text, size) => doc.moveDown(0.8).font('Helvetica-Bold').fontSize(size).fillColor('#222222').text(text);
+    const body = text => doc.font('Helvetica').fontSize(11).fillColor('#222222').text(text, { paragraphGap: 4 });
+    const note = text => doc.font('Helvetica-Oblique').fontSize(9).fillColor('#777777').text(text);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(report.title);
+    note(metaLine(report));
+
+    if (report.summary) {
+      heading('Earlier conversation', 14);
+      body(report.summary);
+    }
+
+    report.sections.forEach((section, index) => {
+      heading(`${index + 1}. ${section.query || 'Answer'}`, 14);
+      if (section.timestamp) {
+        note(section.timestamp);
+      }
+      doc.moveDown(0.4);
+      body(section.answer);
+
+      if (section.chart?.image) {
+        const { width: imageWidth, height: imageHeight } = section.chart.image;
+        const scale = Math.min(width / imageWidth, 320 / imageHeight, 1);
+        if (doc.y + imageHeight * scale > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+        doc.moveDown(0.5);
+        doc.image(section.chart.image.data, doc.page.margins.left + (width - imageWidth * scale) / 2, doc.y, {
+          width: imageWidth * scale,
+          height: imageHeight * scale
+        });
+        doc.y += imageHeight * scale;
+        doc.x = doc.page.margins.left;
+      } else if (section.chart?.error) {
+        doc.moveDown(0.4);
+        note(`Chart "${chartTitle(section)}" could not be rendered: ${section.chart.error}`);
+      }
+
+      const sources = sourcesOf(section);
+      if (sources.length > 0) {
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(10).fillColor('#222222').text('Sources:');
+        doc.font('Helvetica').fontSize(10).list(sources.map(describeSource), { bulletRadius: 1.5 });
+      }
+    });
+
+    if (report.references.length > 0) {
+      heading('References', 16);
+      for (const reference of report.references) {
+        doc.moveDown(0.6).font('Courier-Bold').fontSize(11).fillColor('#222222').text(reference.fileId);
+        if (reference.passages.length === 0) {
+          note('No longer in the knowledge base.');
+        }
+        for (const passage of reference.passages) {
+          doc.moveDown(0.3).font('Helvetica-Bold').fontSize(10).fillColor('#222222').text('Q: ', { continued: true })
+            .font('Helvetica').text(passage.question || '');
+          doc.font('Helvetica-Bold').text('A: ', { continued: true }).font('Helvetica').text(passage.answer || '');
+        }
+        if (reference.more > 0) {
+          note(`${reference.more} more passage${reference.more === 1 ? '' : 's'} not shown.`);
+        }
+      }
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,168 @@
+import dotenv from 'dotenv';
+import HttpError from '../utils/http-error.js';
+import { overlapScore, tokenize } from './lexical.js';
+
+dotenv.config();
+
+const MARKER_PATTERN = /\[(\d+)\]/g;
+
+// Sentences with fewer content words than this ("Hope this helps!") are
+// connective text and are not checked against the passages
+const MIN_CLAIM_TERMS = 3;
+
+export const GROUNDING_MODES = ['flag', 'drop'];
+
+export function validateGroundingMode(mode) {
+  if (mode !== undefined && !GROUNDING_MODES.includes(mode)) {
+    throw new HttpError(400, `grounding must be one of: ${GROUNDING_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Retrieved passages as numbered context, so the model can cite them as [n]
+export function formatPassages(results) {
+  return results.map((result, index) =>
+    `[${index + 1}] File: ${result.fileId}\nQuestion: ${result.question}\nAnswer: ${result.answer}\n`
+  ).join('\n');
+}
+
+// Split text into sentences, keeping track of where each one starts. A stop
+// ends a sentence only before a line break, the end of the text or whitespace
+// followed by a capital, digit, quote or bracket, so "3.5" and "e.g. this"
+// stay whole.
+function sentences(text) {
+  const parts = [];
+  const push = (from, to) => {
+    const raw = text.slice(from, to);
+    const trimmed = raw.trim();
+    if (trimmed) {
+      const start = from + raw.indexOf(trimmed);
+      parts.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  };
+
+  let from = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      push(from, i);
+      from = i + 1;
+    } else if ('.!?'.includes(text[i]) && !'.!?'.includes(text[i + 1] || '') &&
+        /^(\s*$|[ \t]+[A-Z0-9"'(\[]|[ \t]*\n)/.test(text.slice(i + 1, i + 3))) {
+      push(from, i + 1);
+      from = i + 1;
+    }
+  }
+  push(from, text.length);
+  return parts;
+}
+
+// "data. [1][2] Next" -> "data [1][2]. Next", so markers stay with their sentence
+function attachMarkers(answer) {
+  return answer.replace(/([.!?])[ \t]*(\[\d+\](?:[ \t]*\[\d+\])*)/g, (all, stop, markers) => ` ${markers.replace(/[ \t]+/g, '')}${stop}`).trim();
+}
+
+// The sentence of a passage that best supports a claim, with its offsets in
+// the passage's answer text
+function bestSpan(claim, passage) {
+  const candidates = sentences(passage);
+  let best = null;
+  for (const candidate of candidates) {
+    const score = overlapScore(claim, candidate.text);
+    if (!best || score > best.score) {
+      best = { ...candidate, score };
+    }
+  }
+  return best ? { start: best.start, end: best.end, text: best.text } : null;
+}
+
+function source(result, marker, claim, support) {
+  return {
+    marker,
+    fileId: result.fileId,
+    chunkId: result.id || null,
+    question: result.question,
+    span: bestSpan(claim, result.answer),
+    support: Math.round(support * 100) / 100
+  };
+}
+
+// Check every claim of an answer against the passages it cites. A claim is
+// grounded when a cited passage contains at least `minSupport` of its content
+// words; uncited claims may be grounded by any passage. Ungrounded claims are
+// flagged, or removed from the answer in "drop" mode.
+export function groundAnswer(answer, results, {
+  mode = process.env.GROUNDING_MODE || 'flag',
+  minSupport = parseFloat(process.env.GROUNDING_MIN_SUPPORT) || 0.5
+} = {}) {
+  const normalized = attachMarkers(answer || '');
+  const claims = sentences(normalized).map(sentence => {
+    const markers = [...new Set([...sentence.text.matchAll(MARKER_PATTERN)].map(match => parseInt(match[1])))]
+      .filter(marker => marker >= 1 && marker <= results.length);
+    const text = sentence.text.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim();
+
+    if (tokenize(text).length < MIN_CLAIM_TERMS) {
+      return { ...sentence, claim: text, checked: false, grounded: true, sources: [] };
+    }
+
+    const supportFrom = marker => ({ marker, support: overlapScore(text, results[marker - 1].answer) });
+    let supported = markers.map(supportFrom).filter(entry => entry.support >= minSupport);
+    let inferred = false;
+
+    if (supported.length === 0) {
+      // The model left the citation out or cited the wrong passage
+      const best = results
+        .map((result, index) => supportFrom(index + 1))
+        .sort((a, b) => b.support - a.support)[0];
+      if (best && best.support >= minSupport) {
+        supported = [best];
+        inferred = true;
+      }
+    }
+
+    return {
+      ...sentence,
+      claim: text,
+      checked: true,
+      grounded: supported.length > 0,
+      ...(inferred && { inferred: true }),
+      sources: supported.map(entry => source(results[entry.marker - 1], entry.marker, text, entry.support))
+    };
+  });
+
+  const kept = mode === 'drop' ? claims.filter(claim => claim.grounded) : claims;
+
+  // Dropping claims rebuilds the answer from the kept sentences; either way
+  // each citation points at its sentence in the returned answer
+  let text = normalized;
+  let offsets = kept.map(claim => ({ start: claim.start, end: claim.end }));
+  if (kept.length < claims.length) {
+    text = kept.map(claim => claim.text).join(' ');
+    let position = 0;
+    offsets = kept.map(claim => {
+      const start = position;
+      position += claim.text.length + 1;
+      return { start, end: start + claim.text.length };
+    });
+  }
+
+  const citations = kept.map((claim, index) => ({
+    claim: claim.claim,
+    ...offsets[index],
+    checked: claim.checked,
+    grounded: claim.grounded,
+    ...(claim.inferred && { inferred: true }),
+    sources: claim.sources
+  }));
+
+  return {
+    answer: text,
+    citations,
+    grounding: {
+      mode,
+      minSupport,
+      claims: claims.filter(claim => claim.checked).length,
+      ungrounded: claims.filter(claim => !claim.grounded).map(claim => claim.claim),
+      dropped: claims.length - kept.length
+    }
+  };
+}
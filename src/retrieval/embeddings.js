@@ -0,0 +1,45 @@
+import { tokenize } from './lexical.js';
+
+// Stems shorter than this are not added as a separate feature
+const STEM_LENGTH = 5;
+
+// 32-bit FNV-1a
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+// Embedding that needs no model: terms and their first letters ("learning",
+// "learned" -> "learn") are hashed into a fixed number of dimensions and the
+// vector is scaled to unit length, so the dot product of two embeddings is
+// their cosine similarity. It captures shared vocabulary, not meaning.
+export function hashEmbedding(text, dimensions = 256) {
+  const vector = new Array(dimensions).fill(0);
+  for (const token of tokenize(text)) {
+    const features = token.length > STEM_LENGTH ? [[token, 1], [`~${token.slice(0, STEM_LENGTH)}`, 0.5]] : [[token, 1]];
+    for (const [feature, weight] of features) {
+      const bucket = hash(feature);
+      // A second hash bit picks the sign so collisions tend to cancel out
+      vector[bucket % dimensions] += (bucket & 0x80000000 ? -1 : 1) * weight;
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => Math.round((value / norm) * 1e5) / 1e5) : vector;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
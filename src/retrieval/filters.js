@@ -0,0 +1,108 @@
+import HttpError from '../utils/http-error.js';
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toDate(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Filter "${name}" must be a date, got "${value}"`);
+  }
+  return date.toISOString();
+}
+
+// Normalise retrieval filters from a request body or query string:
+// { fileIds, tags, since, until }. Lists may be arrays or comma-separated.
+export function parseFilters(input = {}) {
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpError(400, 'filters must be an object');
+  }
+  return {
+    fileIds: toList(input.fileIds ?? input.fileId),
+    tags: toList(input.tags ?? input.tag),
+    since: toDate(input.since, 'since'),
+    until: toDate(input.until, 'until')
+  };
+}
+
+// The words of a `text` filter; each must appear in the question or answer
+function textTerms(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Weaviate where filter for parsed filters, or null when nothing is filtered.
+// Chunks match when they come from one of the files, carry one of the tags
+// and were ingested inside the date range. Internal callers may also filter
+// on object `ids`, on the `ingestionId` of an upload and on `text` in the
+// question or answer.
+export function buildWhere(filters = {}) {
+  const operands = [];
+
+  if (filters.ids?.length) {
+    operands.push({ path: ['id'], operator: 'ContainsAny', valueTextArray: filters.ids });
+  }
+  if (filters.ingestionId) {
+    operands.push({ path: ['ingestionId'], operator: 'Equal', valueText: filters.ingestionId });
+  }
+  if (filters.fileIds?.length) {
+    operands.push({ path: ['fileId'], operator: 'ContainsAny', valueTextArray: filters.fileIds });
+  }
+  if (filters.tags?.length) {
+    operands.push({ path: ['tags'], operator: 'ContainsAny', valueTextArray: filters.tags });
+  }
+  if (filters.since) {
+    operands.push({ path: ['ingestedAt'], operator: 'GreaterThanEqual', valueDate: filters.since });
+  }
+  if (filters.until) {
+    operands.push({ path: ['ingestedAt'], operator: 'LessThanEqual', valueDate: filters.until });
+  }
+  for (const term of textTerms(filters.text)) {
+    operands.push({
+      operator: 'Or',
+      operands: ['question', 'answer'].map(name => ({ path: [name], operator: 'Like', valueText: `*${term}*` }))
+    });
+  }
+
+  if (operands.length === 0) {
+    return null;
+  }
+  return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
+// The same filter as buildWhere, applied to an object in process memory
+export function matchesFilter({ id, properties }, filters = {}) {
+  if (filters.ids?.length && !filters.ids.includes(id)) {
+    return false;
+  }
+  if (filters.ingestionId && properties.ingestionId !== filters.ingestionId) {
+    return false;
+  }
+  if (filters.fileIds?.length && !filters.fileIds.includes(properties.fileId)) {
+    return false;
+  }
+  if (filters.tags?.length && !(properties.tags || []).some(tag => filters.tags.includes(tag))) {
+    return false;
+  }
+  // Objects without an ingestion date never match a date range, as in Weaviate
+  if (filters.since && !(properties.ingestedAt && properties.ingestedAt >= filters.since)) {
+    return false;
+  }
+  if (filters.until && !(properties.ingestedAt && properties.ingestedAt <= filters.until)) {
+    return false;
+  }
+  if (filters.text) {
+    const haystack = `${properties.question || ''}\n${properties.answer || ''}`.toLowerCase();
+    if (!textTerms(filters.text).every(term => haystack.includes(term))) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,37 @@
+// Plain term matching, used by the local reranker and the mock model
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'of', 'on', 'or', 'the', 'this', 'that', 'to', 'was', 'what', 'when',
+  'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+// BM25 score at which keyword relevance reaches 0.5
+const BM25_HALF_RELEVANCE = 2;
+
+// BM25 scores are unbounded; this maps them to 0..1 on a fixed scale, so a
+// weak best hit stays weak instead of being scaled up to 1
+export function keywordRelevance(score) {
+  return score > 0 ? score / (score + BM25_HALF_RELEVANCE) : 0;
+}
+
+// Share of the query terms found in the passage, 0..1. Prefix matches count
+// so "learning" in the query still matches "learn" or "learned".
+export function overlapScore(query, passage) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return 0;
+  }
+
+  const words = new Set(tokenize(passage));
+  const matches = terms.filter(term => words.has(term) ||
+    [...words].some(word => word.length > 3 && term.length > 3 && (word.startsWith(term) || term.startsWith(word))));
+  return matches.length / terms.length;
+}
@@ -0,0 +1,66 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { getChatModel } from '../config/llm.js';
+import HttpError from '../utils/http-error.js';
+import { overlapScore } from './lexical.js';
+
+// A reranker scores retrieved passages against the query. score() returns one
+// relevance value between 0 and 1 per result, in the same order.
+
+// Local and model-free: the share of query terms each passage contains
+const overlapReranker = {
+  name: 'overlap',
+  async score(query, results) {
+    return results.map(result => overlapScore(query, `${result.question} ${result.answer}`));
+  }
+};
+
+const rerankPrompt = ChatPromptTemplate.fromTemplate(`
+Rate how relevant each passage is to the query on a scale from 0 (unrelated) to 10 (answers it fully).
+
+Query: {query}
+
+Passages:
+{passages}
+
+Respond with a JSON array of numbers only, one per passage, in the same order.
+`);
+
+// Asks the "rerank" model (LLM_MODEL_RERANK, e.g. a small local model) to
+// grade all passages in one call
+const llmReranker = {
+  name: 'llm',
+  async score(query, results) {
+    const passages = results
+      .map((result, index) => `[${index + 1}] ${result.question}\n${result.answer}`.slice(0, 1500))
+      .join('\n\n');
+
+    const chain = rerankPrompt.pipe(getChatModel('rerank'));
+    const response = await chain.invoke({ query, passages });
+    const match = String(response.content).match(/\[[\s\S]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+
+    if (!Array.isArray(scores) || scores.length !== results.length || scores.some(score => typeof score !== 'number')) {
+      throw new Error(`Reranker returned ${match ? match[0] : 'no scores'} for ${results.length} passages`);
+    }
+    return scores.map(score => Math.min(1, Math.max(0, score / 10)));
+  }
+};
+
+const RERANKERS = {
+  overlap: overlapReranker,
+  llm: llmReranker
+};
+
+export const RERANKER_NAMES = ['none', ...Object.keys(RERANKERS)];
+
+// null for "none" (or nothing), so callers can skip the stage
+export function getReranker(name) {
+  if (!name || name === 'none') {
+    return null;
+  }
+  const reranker = RERANKERS[name];
+  if (!reranker) {
+    throw new HttpError(400, `Unknown reranker "${name}". Use one of: ${RERANKER_NAMES.join(', ')}`);
+  }
+  return reranker;
+}
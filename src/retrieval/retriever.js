@@ -0,0 +1,171 @@
+import dotenv from 'dotenv';
+import { DEFAULT_TENANT } from '../config/database.js';
+import defaultVectorStore from '../stores/vector-store.js';
+import HttpError from '../utils/http-error.js';
+import { parseFilters } from './filters.js';
+import { keywordRelevance } from './lexical.js';
+import { getReranker } from './rerankers.js';
+import { withSpan } from '../tracing/tracer.js';
+
+dotenv.config();
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// The strategy a hybrid query amounts to at a given alpha
+function hybridStrategy(alpha) {
+  if (alpha >= 1) {
+    return 'vector';
+  }
+  return alpha <= 0 ? 'bm25' : 'hybrid';
+}
+
+function optionalNumber(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0 || number > 1) {
+    throw new HttpError(400, `${name} must be a number between 0 and 1`);
+  }
+  return number;
+}
+
+// Validate per-request retrieval options ({ alpha, threshold, filters, rerank })
+// from a request body. Unset options fall back to the retriever's defaults.
+export function parseRetrievalOptions(options = {}) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new HttpError(400, 'retrieval must be an object');
+  }
+
+  const rerank = options.rerank === undefined || options.rerank === null ? undefined : String(options.rerank);
+  if (rerank !== undefined) {
+    getReranker(rerank);
+  }
+
+  return {
+    alpha: optionalNumber(options.alpha, 'alpha'),
+    threshold: optionalNumber(options.threshold, 'threshold'),
+    filters: parseFilters(options.filters || {}),
+    rerank
+  };
+}
+
+// Knowledge base retrieval: hybrid BM25 + vector search over question and
+// answer text, then an optional reranking stage. Every result carries the
+// strategy that produced it and a relevance between 0 and 1 that the
+// threshold is applied to. Relevance comes from the raw scores (or the
+// reranker), never from scores scaled by the query's best hit, so a query
+// with nothing relevant finds nothing above the threshold.
+class Retriever {
+  constructor({
+    store = defaultVectorStore,
+    alpha = envNumber('RETRIEVAL_ALPHA', 0.5),
+    threshold = envNumber('RETRIEVAL_MIN_SCORE', 0.1),
+    reranker = process.env.RERANKER || 'none'
+  } = {}) {
+    this.store = store;
+    this.alpha = alpha;
+    this.threshold = threshold;
+    this.reranker = reranker;
+  }
+
+  // options: { tenantId, limit, alpha, threshold, filters, rerank }. The
+  // search and the passages it found are recorded in the run's trace.
+  async search(query, options = {}) {
+    return withSpan('retrieval.search', {
+      kind: 'retrieval',
+      input: { query, ...options },
+      describe: search => ({
+        output: search.results.map(({ id, fileId, fileName, question, answer, score, relevance, rerankScore }) =>
+          ({ id, fileId, fileName, question, answer, score, relevance, rerankScore })),
+        attributes: {
+          strategy: search.strategy,
+          reranker: search.reranker,
+          candidates: search.candidates,
+          returned: search.results.length,
+          ...(search.fallbackReason && { fallbackReason: search.fallbackReason }),
+          ...(search.rerankError && { rerankError: search.rerankError })
+        }
+      })
+    }, () => this.find(query, options));
+  }
+
+  async find(query, options) {
+    const { tenantId = DEFAULT_TENANT, limit = 3 } = options;
+    const { alpha = this.alpha, threshold = this.threshold, filters, rerank = this.reranker } = parseRetrievalOptions(options);
+
+    const reranker = getReranker(rerank);
+    // Give the reranker a wider pool than the caller asked for
+    const candidates = reranker ? Math.max(limit * 3, 10) : limit;
+
+    let { results, fallbackReason } = await this.retrieve(query, { tenantId, alpha, filters, limit: candidates });
+
+    let rerankError;
+    if (reranker && results.length > 0) {
+      try {
+        const scores = await reranker.score(query, results);
+        results = results
+          .map((result, index) => ({ ...result, rerankScore: scores[index], relevance: scores[index], reranker: reranker.name }))
+          .sort((a, b) => b.relevance - a.relevance);
+      } catch (error) {
+        // Keep the retrieval order rather than failing the search
+        console.error('Reranking error:', error);
+        rerankError = error.message;
+      }
+    }
+
+    const relevant = results.filter(result => result.relevance >= threshold).slice(0, limit);
+
+    return {
+      results: relevant,
+      strategy: results[0]?.strategy || hybridStrategy(alpha),
+      reranker: reranker && !rerankError ? reranker.name : null,
+      alpha,
+      threshold,
+      candidates: results.length,
+      ...(fallbackReason && { fallbackReason }),
+      ...(rerankError && { rerankError })
+    };
+  }
+
+  // Hybrid search, or BM25 alone when the hybrid query fails (for example
+  // because the Weaviate class has no vectorizer)
+  async retrieve(query, { tenantId, alpha, filters, limit }) {
+    try {
+      const objects = await this.store.hybridSearch(tenantId, query, { alpha, filter: filters, limit });
+      return { results: this.toResults(objects, hybridStrategy(alpha)) };
+    } catch (error) {
+      if (alpha === 0) {
+        throw error;
+      }
+      console.error('Hybrid search error, falling back to BM25:', error.message);
+      const objects = await this.store.keywordSearch(tenantId, query, { filter: filters, limit });
+      return { results: this.toResults(objects, 'bm25'), fallbackReason: error.message };
+    }
+  }
+
+  // BM25 scores are unbounded, so they are mapped to 0..1 on a fixed scale.
+  // Hybrid hits bring their relevance; a store without one falls back to
+  // the fused score.
+  toResults(objects, strategy) {
+    const scores = objects.map(object => object.score || 0);
+
+    return objects.map(({ id, properties, relevance }, index) => ({
+      id,
+      fileId: properties.fileId,
+      question: properties.question,
+      answer: properties.answer,
+      fileName: properties.fileName || null,
+      tags: properties.tags || [],
+      ingestedAt: properties.ingestedAt || null,
+      score: scores[index],
+      relevance: strategy === 'bm25' ? keywordRelevance(scores[index]) : relevance ?? scores[index],
+      strategy
+    }));
+  }
+}
+
+export default Retriever;
@@ -0,0 +1,160 @@
+import { ACTIVE, INACTIVE } from '../config/database.js';
+
+const PAGE_SIZE = 100;
+
+// Call `handle(objects)` with every object of a tenant, one page at a time,
+// in ID order (no tenant for classes without multi-tenancy). `vectors`
+// includes the stored vectors.
+export async function forEachPage(client, className, tenant, { vectors = true, pageSize = PAGE_SIZE } = {}, handle) {
+  let after;
+  let count = 0;
+
+  for (;;) {
+    let getter = client.data.getter().withClassName(className).withLimit(pageSize);
+    if (tenant) {
+      getter = getter.withTenant(tenant);
+    }
+    if (vectors) {
+      getter = getter.withVector();
+    }
+    if (after) {
+      getter = getter.withAfter(after);
+    }
+
+    const page = (await getter.do()).objects || [];
+    if (page.length > 0) {
+      await handle(page);
+      count += page.length;
+    }
+    if (page.length < pageSize) {
+      return count;
+    }
+    after = page[page.length - 1].id;
+  }
+}
+
+export async function countObjects(client, className, tenant) {
+  const result = await client.graphql
+    .aggregate()
+    .withClassName(className)
+    .withTenant(tenant)
+    .withFields('meta { count }')
+    .do();
+  return result.data.Aggregate[className]?.[0]?.meta.count ?? 0;
+}
+
+// Copy the objects of every tenant from one class to another, keeping their
+// IDs. `transform(properties, object)` may rewrite the properties; vectors are
+// copied unless `revectorize` lets the target's vectorizer compute new ones.
+export async function copyObjects(client, { from, to, tenants, transform = properties => properties, revectorize = false, log = () => {} }) {
+  const copied = {};
+
+  for (const tenant of tenants) {
+    copied[tenant] = await forEachPage(client, from, tenant, { vectors: !revectorize }, async objects => {
+      const results = await client.batch
+        .objectsBatcher()
+        .withObjects(...objects.map(object => ({
+          class: to,
+          tenant,
+          id: object.id,
+          properties: transform({ ...object.properties }, object),
+          ...(!revectorize && object.vector && { vector: object.vector })
+        })))
+        .do();
+
+      const failed = results.filter(result => result.result?.errors);
+      if (failed.length > 0) {
+        const message = failed[0].result.errors.error?.[0]?.message || 'unknown error';
+        throw new Error(`Failed to copy ${failed.length} object(s) of tenant "${tenant}" to ${to}: ${message}`);
+      }
+    });
+
+    const stored = await countObjects(client, to, tenant);
+    if (stored !== copied[tenant]) {
+      throw new Error(`Copied ${copied[tenant]} object(s) of tenant "${tenant}" to ${to}, but it holds ${stored}`);
+    }
+    log(`Copied ${copied[tenant]} object(s) of tenant "${tenant}" from ${from} to ${to}.`);
+  }
+  return copied;
+}
+
+async function createClass(client, definition, tenants) {
+  await client.schema.classCreator().withClass(definition).do();
+  if (tenants.length > 0) {
+    await client.schema.tenantsCreator(definition.class, tenants.map(name => ({ name }))).do();
+  }
+}
+
+// Schema of a class as Weaviate reports it, reusable to create a class
+function definitionOf(schema, className) {
+  const { class: _name, ...rest } = schema;
+  return { class: className, ...rest };
+}
+
+// Change a class in a way Weaviate cannot do in place (a new vectorizer,
+// a changed property type, ...): copy every object into a backup class, drop
+// and recreate the class from `definition`, then copy the objects back
+// through `transform`. Deactivated tenants are activated for the copy and
+// deactivated again afterwards.
+//
+// When the copy back fails, the class is recreated from the backup as it was
+// before. The backup class is kept (unless `keepBackup` is false) so it can
+// be checked and deleted by hand.
+export async function rebuildClass(client, {
+  className,
+  definition,
+  backupName,
+  transform,
+  revectorize = false,
+  keepBackup = true,
+  log = () => {}
+}) {
+  if (await client.schema.exists(backupName)) {
+    throw new Error(`Backup class ${backupName} exists from an earlier run. Check it, restore from it or delete it, then retry`);
+  }
+
+  const schema = await client.schema.classGetter().withClassName(className).do();
+  const tenantList = await client.schema.tenantsGetter(className).do();
+  const tenants = tenantList.map(tenant => tenant.name);
+  const inactive = tenantList.filter(tenant => tenant.activityStatus === INACTIVE).map(tenant => tenant.name);
+
+  const setActivity = (name, names, activityStatus) => names.length > 0
+    ? client.schema.tenantsUpdater(name, names.map(tenant => ({ name: tenant, activityStatus }))).do()
+    : null;
+
+  await setActivity(className, inactive, ACTIVE);
+  try {
+    await createClass(client, definitionOf(schema, backupName), tenants);
+    await copyObjects(client, { from: className, to: backupName, tenants, log });
+  } catch (error) {
+    // The class is untouched so far; only the partial backup goes
+    if (await client.schema.exists(backupName)) {
+      await client.schema.classDeleter().withClassName(backupName).do();
+    }
+    await setActivity(className, inactive, INACTIVE);
+    throw error;
+  }
+
+  await client.schema.classDeleter().withClassName(className).do();
+  try {
+    await createClass(client, { ...definition, class: className }, tenants);
+    await copyObjects(client, { from: backupName, to: className, tenants, transform, revectorize, log });
+  } catch (error) {
+    log(`Rebuilding ${className} failed (${error.message}); restoring it from ${backupName}.`);
+    if (await client.schema.exists(className)) {
+      await client.schema.classDeleter().withClassName(className).do();
+    }
+    await createClass(client, definitionOf(schema, className), tenants);
+    await copyObjects(client, { from: backupName, to: className, tenants, log });
+    await setActivity(className, inactive, INACTIVE);
+    throw error;
+  }
+
+  await setActivity(className, inactive, INACTIVE);
+  if (keepBackup) {
+    await setActivity(backupName, tenants, INACTIVE);
+  } else {
+    await client.schema.classDeleter().withClassName(backupName).do();
+  }
+  return { className, backupName: keepBackup ? backupName : null, tenants: tenants.length };
+}
@@ -0,0 +1,87 @@
+import vectorStore from '../stores/vector-store.js';
+import Migrator from './migrator.js';
+import { seedSampleData } from './sample-data.js';
+
+const USAGE = `Usage:
+  npm run migrate -- up [--to <version>]   Apply pending migrations
+  npm run migrate -- status                Show applied and pending migrations
+  npm run migrate -- unlock                Release the lock of a run that died
+  npm run seed [-- --tenant <id>]          Add the sample data (skips rows already there)`;
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index < 0) {
+    return undefined;
+  }
+  if (args[index + 1] === undefined) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return args[index + 1];
+}
+
+async function printStatus(migrator) {
+  const status = await migrator.status();
+  console.log(`Schema version: ${status.version} (latest: ${status.latest})`);
+  for (const record of status.applied) {
+    console.log(`  [x] ${record.version} ${record.name} (${record.appliedAt})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  [ ] ${migration.version} ${migration.name}`);
+  }
+  if (status.unknown.length > 0) {
+    console.log(`Applied but unknown to this code: ${status.unknown.join(', ')}. The database is newer than the code.`);
+  }
+  if (status.locked) {
+    console.log('A migration run holds the lock.');
+  }
+}
+
+async function main([command, ...args]) {
+  const migrator = new Migrator();
+
+  if (['up', 'status', 'unlock'].includes(command) && vectorStore.type !== 'weaviate') {
+    console.log(`Migrations only apply to the Weaviate backend; VECTOR_STORE is "${vectorStore.type}", which has no schema.`);
+    return;
+  }
+
+  switch (command) {
+    case 'up': {
+      const to = option(args, 'to');
+      if (to !== undefined && !/^\d+$/.test(to)) {
+        throw new Error('--to must be a migration version');
+      }
+      const applied = await migrator.up({ to: to === undefined ? Infinity : parseInt(to, 10) });
+      console.log(`Applied ${applied.length} migration(s).`);
+      break;
+    }
+    case 'status':
+      await printStatus(migrator);
+      break;
+    case 'unlock':
+      await migrator.unlock();
+      console.log('Migration lock released.');
+      break;
+    case 'seed': {
+      const result = await seedSampleData({ tenantId: option(args, 'tenant') });
+      console.log(`Sample data for tenant "${result.tenantId}": ${result.inserted} inserted, ${result.skipped} already present.`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      if (command && command !== 'help') {
+        throw new Error(`Unknown command "${command}"`);
+      }
+  }
+}
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default main;
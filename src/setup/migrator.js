@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import defaultClient, { CLASS_NAME } from '../config/database.js';
+import { stableUuid } from '../utils/stable-id.js';
+import { countObjects, forEachPage, rebuildClass } from './class-rebuild.js';
+
+// Applied migrations are recorded as objects of this class, next to the data
+// they describe
+export const MIGRATIONS_CLASS = 'SchemaMigration';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+const MIGRATION_FILE = /^(\d+)-[a-z0-9-]+\.js$/;
+const LOCK_ID = stableUuid('migration-lock');
+
+// Migrations are the files of src/migrations named <version>-<slug>.js, each
+// exporting { name, up(context) }. They run in version order, once, and must
+// be safe to run against a database the old one-shot setup created.
+export async function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(directory).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      continue;
+    }
+    const { default: migration } = await import(pathToFileURL(path.join(directory, file)).href);
+    if (typeof migration?.up !== 'function' || !migration.name) {
+      throw new Error(`Migration ${file} must export { name, up }`);
+    }
+    migrations.push({ ...migration, version: parseInt(match[1], 10), file });
+  }
+
+  const versions = migrations.map(migration => migration.version);
+  const repeated = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (repeated !== undefined) {
+    throw new Error(`Two migrations have version ${repeated}`);
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+class Migrator {
+  constructor({ client = defaultClient, migrations, log = message => console.log(message) } = {}) {
+    this.client = client;
+    this.migrations = migrations;
+    this.log = log;
+  }
+
+  async loaded() {
+    if (!this.migrations) {
+      this.migrations = await loadMigrations();
+    }
+    return this.migrations;
+  }
+
+  async ensureMigrationsClass() {
+    if (await this.client.schema.exists(MIGRATIONS_CLASS)) {
+      return;
+    }
+    await this.client.schema
+      .classCreator()
+      .withClass({
+        class: MIGRATIONS_CLASS,
+        description: 'Schema migrations applied to this database',
+        vectorizer: 'none',
+        properties: [
+          { name: 'version', dataType: ['int'] },
+          { name: 'name', dataType: ['text'] },
+          { name: 'appliedAt', dataType: ['date'] },
+          { name: 'durationMs', dataType: ['int'] },
+        ],
+      })
+      .do();
+  }
+
+  // Applied migrations in version order (none before the first migrate)
+  async applied() {
+    if (!(await this.client.schema.exists(MIGRATIONS_CLASS))) {
+      return [];
+    }
+    const records = [];
+    await forEachPage(this.client, MIGRATIONS_CLASS, undefined, { vectors: false }, objects => {
+      records.push(...objects.filter(object => object.id !== LOCK_ID).map(object => object.properties));
+    });
+    return records.sort((a, b) => a.version - b.version);
+  }
+
+  // { version, latest, applied, pending, unknown, locked }; `unknown` are
+  // applied versions this code has no migration for, i.e. the database is newer
+  async status() {
+    const migrations = await this.loaded();
+    const applied = await this.applied();
+    const appliedVersions = new Set(applied.map(record => record.version));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+      version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: applied.filter(record => !known.has(record.version)).map(record => record.version),
+      locked: (await this.lockHolder()) !== null
+    };
+  }
+
+  // Apply the pending migrations up to version `to` (all by default), one at
+  // a time, recording each as soon as it succeeds
+  async up({ to = Infinity } = {}) {
+    const migrations = await this.loaded();
+    await this.ensureMigrationsClass();
+    await this.lock();
+
+    try {
+      const appliedVersions = new Set((await this.applied()).map(record => record.version));
+      const pending = migrations.filter(migration => !appliedVersions.has(migration.version) && migration.version <= to);
+      if (pending.length === 0) {
+        this.log('Schema is up to date.');
+      }
+
+      for (const migration of pending) {
+        this.log(`Applying migration ${migration.version}: ${migration.name}`);
+        const started = Date.now();
+        try {
+          await migration.up(this.context(migration));
+        } catch (error) {
+          throw new Error(`Migration ${migration.version} (${migration.file}) failed: ${error.message}`);
+        }
+        await this.record(migration, Date.now() - started);
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    } finally {
+      await this.unlock();
+    }
+  }
+
+  // What a migration's up() gets to work with
+  context(migration) {
+    const { client, log } = this;
+    return {
+      client,
+      className: CLASS_NAME,
+      log: message => log(`  ${message}`),
+      forEachPage: (className, tenant, options, handle) => forEachPage(client, className, tenant, options, handle),
+      countObjects: (className, tenant) => countObjects(client, className, tenant),
+      // For changes that cannot be made in place; see class-rebuild.js
+      rebuildClass: options => rebuildClass(client, {
+        className: CLASS_NAME,
+        backupName: `${CLASS_NAME}Backup${migration.version}`,
+        log: message => log(`  ${message}`),
+        ...options
+      })
+    };
+  }
+
+  async record(migration, durationMs) {
+    await this.client.data
+      .creator()
+      .withClassName(MIGRATIONS_CLASS)
+      .withId(stableUuid('migration', migration.version))
+      .withProperties({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date().toISOString(),
+        durationMs
+      })
+      .do();
+  }
+
+  async lockHolder() {
+    try {
+      const lock = await this.client.data.getterById().withClassName(MIGRATIONS_CLASS).withId(LOCK_ID).do();
+      return lock.properties;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Creating an object with a fixed ID fails while another run holds it, so
+  // two processes never migrate at the same time
+  async lock() {
+    try {
+      await this.client.data
+        .creator()
+        .withClassName(MIGRATIONS_CLASS)
+        .withId(LOCK_ID)
+        .withProperties({ version: -1, name: `lock held by process ${process.pid}`, appliedAt: new Date().toISOString() })
+        .do();
+    } catch (error) {
+      const holder = await this.lockHolder();
+      if (holder) {
+        throw new Error(`Migrations are locked (${holder.name} since ${holder.appliedAt}). If that run died, release the lock with "npm run migrate -- unlock"`);
+      }
+      throw error;
+    }
+  }
+
+  async unlock() {
+    try {
+      await this.client.data.deleter().withClassName(MIGRATIONS_CLASS).withId(LOCK_ID).do();
+    } catch (error) {
+      if (!String(error.message).includes('404')) {
+        throw error;
+      }
+    }
+  }
+}
+
+export default Migrator;
@@ -0,0 +1,50 @@
+import { DEFAULT_TENANT } from '../config/database.js';
+import defaultVectorStore from '../stores/vector-store.js';
+import { stableUuid } from '../utils/stable-id.js';
+
+export const SAMPLE_DATA = [
+  {
+    fileId: 'file_001',
+    question: 'What is machine learning?',
+    answer: 'Machine learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed. It uses algorithms to identify patterns in data and make predictions or decisions.',
+  },
+  {
+    fileId: 'file_002',
+    question: 'How does a neural network work?',
+    answer: 'A neural network is a computational model inspired by biological neural networks. It consists of interconnected nodes (neurons) organized in layers. Information flows through the network, with each connection having a weight that gets adjusted during training to minimize prediction errors.',
+  },
+  {
+    fileId: 'file_003',
+    question: 'What is the difference between supervised and unsupervised learning?',
+    answer: 'Supervised learning uses labeled training data to learn the relationship between inputs and outputs, while unsupervised learning finds hidden patterns in unlabeled data. Supervised learning is used for classification and regression tasks, while unsupervised learning is used for clustering and dimensionality reduction.',
+  },
+  {
+    fileId: 'file_004',
+    question: 'What are the main types of machine learning algorithms?',
+    answer: 'The main types include: 1) Supervised Learning (Linear Regression, Logistic Regression, Decision Trees, Random Forest, SVM), 2) Unsupervised Learning (K-means Clustering, Hierarchical Clustering, PCA), 3) Reinforcement Learning (Q-Learning, Deep Q-Networks), and 4) Deep Learning (CNNs, RNNs, Transformers).',
+  },
+  {
+    fileId: 'file_005',
+    question: 'How do you evaluate machine learning models?',
+    answer: 'Model evaluation involves metrics like accuracy, precision, recall, F1-score for classification; MSE, MAE, R-squared for regression; and cross-validation techniques to ensure robust performance. The choice of metrics depends on the specific problem and business requirements.',
+  },
+];
+
+// Insert the sample rows that are not in the tenant yet. Rows get IDs derived
+// from the tenant and fileId, and rows inserted by the old setup (random IDs)
+// are recognized by their fileId, so seeding twice never duplicates them.
+export async function seedSampleData({ tenantId = DEFAULT_TENANT, store = defaultVectorStore } = {}) {
+  let inserted = 0;
+  let skipped = 0;
+
+  for (const data of SAMPLE_DATA) {
+    if ((await store.find(tenantId, { fileIds: [data.fileId] })).length > 0) {
+      skipped++;
+      continue;
+    }
+    await store.upsert(tenantId, [{ id: stableUuid('sample', tenantId, data.fileId), properties: data }]);
+    inserted++;
+  }
+
+  return { tenantId, inserted, skipped };
+}
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { DEFAULT_TENANT } from '../config/database.js';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// A session looks like:
+// {
+//   id, tenantId, createdAt, updatedAt,
+//   summary: 'Condensed older turns' | null,
+//   messages: [{ role: 'user' | 'assistant', content, timestamp, metadata? }]
+// }
+
+export function newSessionId() {
+  return `sess_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function validateSessionId(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw new HttpError(400, 'Session ID must be 1-128 letters, digits, "_" or "-"');
+  }
+}
+
+// Session metadata without the message bodies
+export function summarizeSession(session) {
+  const firstQuestion = session.messages.find(message => message.role === 'user');
+  return {
+    id: session.id,
+    tenantId: session.tenantId,
+    title: firstQuestion ? firstQuestion.content.slice(0, 80) : null,
+    messageCount: session.messages.length,
+    summarized: Boolean(session.summary),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+// Keeps sessions in process memory. Other stores extend it and override the
+// read/write/remove/all primitives.
+class MemoryConversationStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async read(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async write(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  async remove(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async all() {
+    return [...this.sessions.values()];
+  }
+
+  async create({ tenantId = DEFAULT_TENANT, sessionId } = {}) {
+    const id = sessionId || newSessionId();
+    validateSessionId(id);
+
+    const existing = await this.read(id);
+    // Sessions of other tenants are reported as missing, as in get()
+    if (existing && existing.tenantId !== tenantId) {
+      throw new HttpError(404, `Session "${id}" not found`);
+    }
+    if (existing) {
+      throw new HttpError(409, `Session "${id}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const session = { id, tenantId, createdAt: now, updatedAt: now, summary: null, messages: [] };
+    await this.write(session);
+    return session;
+  }
+
+  // Sessions of other tenants are reported as missing
+  async get(sessionId, tenantId = DEFAULT_TENANT) {
+    const session = await this.read(sessionId);
+    return session && session.tenantId === tenantId ? session : null;
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    await this.write(session);
+    return session;
+  }
+
+  async list(tenantId = DEFAULT_TENANT) {
+    return (await this.all())
+      .filter(session => session.tenantId === tenantId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(summarizeSession);
+  }
+
+  async delete(sessionId, tenantId = DEFAULT_TENANT) {
+    if (!(await this.get(sessionId, tenantId))) {
+      return false;
+    }
+    await this.remove(sessionId);
+    return true;
+  }
+
+  async deleteTenant(tenantId) {
+    const sessions = (await this.all()).filter(session => session.tenantId === tenantId);
+    for (const session of sessions) {
+      await this.remove(session.id);
+    }
+    return sessions.length;
+  }
+}
+
+// Stores one JSON file per session in a directory
+class FileConversationStore extends MemoryConversationStore {
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(sessionId) {
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async read(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+    return loadJson(this.filePath(sessionId), null);
+  }
+
+  async write(session) {
+    saveJson(this.filePath(session.id), session);
+  }
+
+  async remove(sessionId) {
+    fs.rmSync(this.filePath(sessionId), { force: true });
+  }
+
+  async all() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => loadJson(path.join(this.directory, file), null))
+      .filter(Boolean);
+  }
+}
+
+// Pick the store from CONVERSATION_STORE (memory | file)
+export function createConversationStore({
+  type = process.env.CONVERSATION_STORE || 'memory',
+  directory = process.env.CONVERSATIONS_DIR || './data/sessions'
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'file':
+      return new FileConversationStore({ directory });
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryConversationStore, FileConversationStore };
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { DEFAULT_TENANT } from '../config/database.js';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+import { parseCsv } from '../tools/chart-data.js';
+
+dotenv.config();
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function detectType(values) {
+  const present = values.filter(value => !isEmpty(value));
+  if (present.length === 0) {
+    return 'string';
+  }
+  if (present.every(value => typeof value === 'number' ||
+    (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim().replace(/,/g, ''))))) {
+    return 'number';
+  }
+  if (present.every(value => typeof value === 'boolean' || /^(true|false)$/i.test(String(value)))) {
+    return 'boolean';
+  }
+  if (present.every(value => DATE_PATTERN.test(String(value)) && !Number.isNaN(Date.parse(value)))) {
+    return 'date';
+  }
+  return 'string';
+}
+
+function castValue(value, type) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    case 'boolean':
+      return typeof value === 'boolean' ? value : String(value).toLowerCase() === 'true';
+    default:
+      return String(value);
+  }
+}
+
+// Normalise an upload into { format, rows }
+function parseUpload(data, format) {
+  if (typeof data === 'string') {
+    const trimmed = data.trim();
+    if (format === 'json' || (!format && (trimmed.startsWith('[') || trimmed.startsWith('{')))) {
+      try {
+        return parseUpload(JSON.parse(trimmed), 'json');
+      } catch (error) {
+        throw new HttpError(400, `Invalid JSON data: ${error.message}`);
+      }
+    }
+    return { format: 'csv', rows: parseCsv(trimmed).rows };
+  }
+
+  if (Array.isArray(data)) {
+    return { format: 'json', rows: data };
+  }
+
+  if (data && Array.isArray(data.rows)) {
+    return { format: 'json', rows: data.rows };
+  }
+
+  throw new HttpError(400, 'Data must be CSV text, a JSON array of rows or { rows: [...] }');
+}
+
+class DatasetStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath;
+    this.datasets = new Map();
+
+    if (this.filePath) {
+      for (const dataset of loadJson(this.filePath, [])) {
+        this.datasets.set(dataset.id, dataset);
+      }
+    }
+  }
+
+  persist() {
+    if (this.filePath) {
+      saveJson(this.filePath, [...this.datasets.values()]);
+    }
+  }
+
+  create({ tenantId = DEFAULT_TENANT, name, description = '', format, data }) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new HttpError(400, 'Dataset name must start with a letter and contain only letters, digits, "_" or "-"');
+    }
+    if (this.findByName(name, tenantId)) {
+      throw new HttpError(409, `Dataset "${name}" already exists`);
+    }
+
+    const parsed = parseUpload(data, format);
+    const rawRows = parsed.rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    if (rawRows.length === 0) {
+      throw new HttpError(400, 'Dataset must contain at least one row');
+    }
+
+    const columnNames = [...new Set(rawRows.flatMap(row => Object.keys(row)))];
+    const schema = columnNames.map(column => {
+      const values = rawRows.map(row => row[column]);
+      return {
+        name: column,
+        type: detectType(values),
+        nullable: values.some(isEmpty)
+      };
+    });
+
+    const rows = rawRows.map(row => {
+      const typed = {};
+      for (const column of schema) {
+        typed[column.name] = castValue(row[column.name], column.type);
+      }
+      return typed;
+    });
+
+    const dataset = {
+      id: `ds_${crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`,
+      tenantId,
+      name,
+      description,
+      format: parsed.format,
+      schema,
+      rowCount: rows.length,
+      createdAt: new Date().toISOString(),
+      rows
+    };
+
+    this.datasets.set(dataset.id, dataset);
+    this.persist();
+    return dataset;
+  }
+
+  // Datasets belonging to one tenant; other tenants' datasets are never visible
+  forTenant(tenantId) {
+    return [...this.datasets.values()].filter(dataset => (dataset.tenantId || DEFAULT_TENANT) === tenantId);
+  }
+
+  list(tenantId = DEFAULT_TENANT) {
+    return this.forTenant(tenantId).map(summarize);
+  }
+
+  findByName(name, tenantId = DEFAULT_TENANT) {
+    const lower = String(name).toLowerCase();
+    return this.forTenant(tenantId).find(dataset => dataset.name.toLowerCase() === lower) || null;
+  }
+
+  // Look a dataset up by id or by name within a tenant
+  get(idOrName, tenantId = DEFAULT_TENANT) {
+    const byId = this.datasets.get(idOrName);
+    if (byId && (byId.tenantId || DEFAULT_TENANT) === tenantId) {
+      return byId;
+    }
+    return this.findByName(idOrName, tenantId);
+  }
+
+  delete(idOrName, tenantId = DEFAULT_TENANT) {
+    const dataset = this.get(idOrName, tenantId);
+    if (!dataset) {
+      return false;
+    }
+    this.datasets.delete(dataset.id);
+    this.persist();
+    return true;
+  }
+
+  deleteTenant(tenantId) {
+    const datasets = this.forTenant(tenantId);
+    datasets.forEach(dataset => this.datasets.delete(dataset.id));
+    this.persist();
+    return datasets.length;
+  }
+
+  // Return the dataset whose name appears in free text, preferring the longest
+  // name so "sales_2024_eu" wins over "sales_2024"
+  findMentioned(text, tenantId = DEFAULT_TENANT) {
+    const lower = String(text || '').toLowerCase();
+    const mentioned = this.forTenant(tenantId)
+      .filter(dataset => new RegExp(`(^|[^\\w-])${dataset.name.toLowerCase()}($|[^\\w-])`).test(lower))
+      .sort((a, b) => b.name.length - a.name.length);
+    return mentioned[0] || null;
+  }
+}
+
+// Dataset metadata without the rows
+export function summarize(dataset) {
+  const { rows, ...metadata } = dataset;
+  return metadata;
+}
+
+const datasetStore = new DatasetStore({ filePath: process.env.DATASETS_FILE });
+
+export { DatasetStore };
+export default datasetStore;
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+const TENANT_FILE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CHANGE_ID_PATTERN = /^chg_[0-9a-f]{24}$/;
+
+export const KB_ACTIONS = ['create', 'update', 'delete', 'import', 'revert'];
+
+// A change to a knowledge base entry looks like:
+// {
+//   id, tenantId, entryId, action: one of KB_ACTIONS, at,
+//   actor: { keyId, name } | null,     // null when AUTH_ENABLED is off
+//   note: 'Why it was changed' | null,
+//   before: properties | null,         // null for a new entry
+//   after: properties | null,          // null for a deleted entry
+//   revertOf: changeId                 // for reverts
+// }
+
+export function newChangeId() {
+  return `chg_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+export function validateChangeId(changeId) {
+  if (typeof changeId !== 'string' || !CHANGE_ID_PATTERN.test(changeId)) {
+    throw new HttpError(400, 'Change ID must look like "chg_" followed by 24 hex digits');
+  }
+}
+
+// Keeps the change log of each tenant in process memory, oldest first. Other
+// stores extend it and override the read/write/remove primitives.
+class MemoryKbAuditStore {
+  constructor() {
+    this.tenants = new Map();
+  }
+
+  async read(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  async write(tenantId, changes) {
+    this.tenants.set(tenantId, changes);
+  }
+
+  async remove(tenantId) {
+    this.tenants.delete(tenantId);
+  }
+
+  async record(tenantId, changes) {
+    const log = (await this.read(tenantId)) || [];
+    await this.write(tenantId, [...log, ...changes]);
+    return changes;
+  }
+
+  async get(tenantId, changeId) {
+    const log = (await this.read(tenantId)) || [];
+    return log.find(change => change.id === changeId) || null;
+  }
+
+  // Newest first
+  async list(tenantId, { entryId, offset = 0, limit = 50 } = {}) {
+    const log = ((await this.read(tenantId)) || [])
+      .filter(change => !entryId || change.entryId === entryId)
+      .reverse();
+    return { changes: log.slice(offset, offset + limit), total: log.length };
+  }
+
+  async deleteTenant(tenantId) {
+    await this.remove(tenantId);
+  }
+}
+
+// Stores the change log of each tenant in its own JSON file
+class FileKbAuditStore extends MemoryKbAuditStore {
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(tenantId) {
+    return path.join(this.directory, `${tenantId}.json`);
+  }
+
+  async read(tenantId) {
+    if (!TENANT_FILE_PATTERN.test(tenantId)) {
+      return null;
+    }
+    return loadJson(this.filePath(tenantId), null);
+  }
+
+  async write(tenantId, changes) {
+    saveJson(this.filePath(tenantId), changes);
+  }
+
+  async remove(tenantId) {
+    fs.rmSync(this.filePath(tenantId), { force: true });
+  }
+}
+
+// Pick the store from KB_AUDIT_STORE (memory | file)
+export function createKbAuditStore({
+  type = process.env.KB_AUDIT_STORE || 'memory',
+  directory = process.env.KB_AUDIT_DIR || './data/kb-audit'
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryKbAuditStore();
+    case 'file':
+      return new FileKbAuditStore({ directory });
+    default:
+      throw new Error(`Unknown KB_AUDIT_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryKbAuditStore, FileKbAuditStore };
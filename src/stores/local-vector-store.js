@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ACTIVE } from '../config/database.js';
+import { keywordRelevance, tokenize } from '../retrieval/lexical.js';
+import { cosineSimilarity, hashEmbedding } from '../retrieval/embeddings.js';
+import { matchesFilter } from '../retrieval/filters.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+// BM25 parameters, the defaults Weaviate uses
+const K1 = 1.2;
+const B = 0.75;
+
+// How many of the best matches of each search are fused, as Weaviate's
+// hybrid search does before applying the limit
+const FUSION_CANDIDATES = 100;
+
+// Scale scores to 0..1 by the lowest and highest of the set; a set of equal
+// scores all become 1
+function normalize(scored) {
+  const scores = scored.map(entry => entry.score);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return new Map(scored.map(entry => [entry.object.id, max > min ? (entry.score - min) / (max - min) : 1]));
+}
+
+function copy({ id, properties }) {
+  return { id, properties: { ...properties } };
+}
+
+// Knowledge base kept in this process: BM25 keyword search, cosine similarity
+// over embeddings from `embed`, and hybrid search that fuses both by relative
+// score like Weaviate's relativeScoreFusion. Hybrid results also carry a
+// `relevance` from the raw scores before fusion, which thresholds compare. Tenants behave as in Weaviate:
+// they have to be created, and a deactivated tenant cannot be read or written.
+//
+// Other stores extend it and override the readTenant/writeTenant/removeTenant/
+// tenantNames primitives.
+class MemoryVectorStore {
+  constructor({ embed = text => hashEmbedding(text), searchProperties = ['question', 'answer'] } = {}) {
+    this.type = 'memory';
+    this.embed = embed;
+    this.searchProperties = searchProperties;
+    this.tenants = new Map();
+  }
+
+  async readTenant(name) {
+    return this.tenants.get(name) || null;
+  }
+
+  async writeTenant(name, tenant) {
+    this.tenants.set(name, tenant);
+  }
+
+  async removeTenant(name) {
+    this.tenants.delete(name);
+  }
+
+  async tenantNames() {
+    return [...this.tenants.keys()];
+  }
+
+  // A tenant that exists and is active, else the error Weaviate would give
+  async activeTenant(name) {
+    const tenant = await this.readTenant(name);
+    if (!tenant) {
+      throw new Error(`Tenant "${name}" not found`);
+    }
+    if (tenant.activityStatus !== ACTIVE) {
+      throw new Error(`Tenant "${name}" is not active`);
+    }
+    return tenant;
+  }
+
+  searchText(properties) {
+    return this.searchProperties.map(name => properties[name] || '').join('\n');
+  }
+
+  async listTenants() {
+    const tenants = [];
+    for (const name of await this.tenantNames()) {
+      const tenant = await this.readTenant(name);
+      if (tenant) {
+        tenants.push({ name, activityStatus: tenant.activityStatus });
+      }
+    }
+    return tenants;
+  }
+
+  async createTenant(name) {
+    if (await this.readTenant(name)) {
+      throw new Error(`Tenant "${name}" already exists`);
+    }
+    await this.writeTenant(name, { activityStatus: ACTIVE, objects: [] });
+  }
+
+  async setTenantActivity(name, activityStatus) {
+    const tenant = await this.readTenant(name);
+    if (!tenant) {
+      throw new Error(`Tenant "${name}" not found`);
+    }
+    await this.writeTenant(name, { ...tenant, activityStatus });
+  }
+
+  async deleteTenant(name) {
+    await this.removeTenant(name);
+  }
+
+  // Insert or replace objects ({ id?, properties, vector? }); objects without
+  // a vector are embedded from their search properties
+  async upsert(tenantId, objects) {
+    const tenant = await this.activeTenant(tenantId);
+    const byId = new Map(tenant.objects.map(object => [object.id, object]));
+    const ids = [];
+
+    for (const object of objects) {
+      const id = object.id || crypto.randomUUID();
+      byId.set(id, {
+        id,
+        properties: { ...object.properties },
+        vector: object.vector || this.embed(this.searchText(object.properties))
+      });
+      ids.push(id);
+    }
+
+    await this.writeTenant(tenantId, { ...tenant, objects: [...byId.values()] });
+    return ids;
+  }
+
+  async delete(tenantId, filter) {
+    const tenant = await this.activeTenant(tenantId);
+    const kept = tenant.objects.filter(object => !matchesFilter(object, filter));
+    await this.writeTenant(tenantId, { ...tenant, objects: kept });
+    return tenant.objects.length - kept.length;
+  }
+
+  // Every object matching the filter, in ID order
+  async find(tenantId, filter = {}) {
+    const tenant = await this.activeTenant(tenantId);
+    return tenant.objects
+      .filter(object => matchesFilter(object, filter))
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map(copy);
+  }
+
+  async list(tenantId, { filter = {}, offset = 0, limit = 50 } = {}) {
+    const objects = await this.find(tenantId, filter);
+    return { objects: objects.slice(offset, offset + limit), total: objects.length };
+  }
+
+  async count(tenantId) {
+    return (await this.activeTenant(tenantId)).objects.length;
+  }
+
+  async candidates(tenantId, filter) {
+    const tenant = await this.activeTenant(tenantId);
+    return tenant.objects.filter(object => matchesFilter(object, filter));
+  }
+
+  bm25(query, objects) {
+    const terms = [...new Set(tokenize(query))];
+    const documents = objects.map(object => tokenize(this.searchText(object.properties)));
+    const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+
+    const frequency = new Map(terms.map(term => [term, documents.filter(tokens => tokens.includes(term)).length]));
+    return objects
+      .map((object, index) => {
+        const tokens = documents[index];
+        let score = 0;
+        for (const term of terms) {
+          const count = tokens.filter(token => token === term).length;
+          if (count > 0) {
+            const df = frequency.get(term);
+            const idf = Math.log(1 + (objects.length - df + 0.5) / (df + 0.5));
+            score += idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * tokens.length / (averageLength || 1)));
+          }
+        }
+        return { object, score };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  similarity(query, objects) {
+    const vector = this.embed(query);
+    return objects
+      .map(object => ({ object, score: cosineSimilarity(vector, object.vector) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // BM25 over the search properties; scores are unbounded
+  async keywordSearch(tenantId, query, { filter, limit = 10 } = {}) {
+    return this.bm25(query, await this.candidates(tenantId, filter))
+      .slice(0, limit)
+      .map(({ object, score }) => ({ ...copy(object), score }));
+  }
+
+  // Cosine similarity of the embeddings, -1..1
+  async similaritySearch(tenantId, query, { filter, limit = 10 } = {}) {
+    return this.similarity(query, await this.candidates(tenantId, filter))
+      .slice(0, limit)
+      .map(({ object, score }) => ({ ...copy(object), score }));
+  }
+
+  // alpha 1 is pure similarity, 0 pure keyword search; scores are 0..1 and
+  // relative to the other hits. relevance weighs the cosine similarity and
+  // the BM25 score (see keywordRelevance) the same way, without normalizing.
+  async hybridSearch(tenantId, query, { alpha = 0.5, filter, limit = 10 } = {}) {
+    const objects = await this.candidates(tenantId, filter);
+    const sets = [
+      [alpha, alpha > 0 ? this.similarity(query, objects).slice(0, FUSION_CANDIDATES) : [], score => Math.max(0, score)],
+      [1 - alpha, alpha < 1 ? this.bm25(query, objects).slice(0, FUSION_CANDIDATES) : [], keywordRelevance]
+    ].filter(([, scored]) => scored.length > 0);
+
+    const fused = new Map();
+    for (const [weight, scored, absolute] of sets) {
+      const normalized = normalize(scored);
+      for (const { object, score } of scored) {
+        const entry = fused.get(object.id) || { object, score: 0, relevance: 0 };
+        entry.score += weight * normalized.get(object.id);
+        entry.relevance += weight * absolute(score);
+        fused.set(object.id, entry);
+      }
+    }
+
+    return [...fused.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ object, score, relevance }) => ({ ...copy(object), score, relevance }));
+  }
+
+  async status() {
+    const tenants = await this.listTenants();
+    let objects = 0;
+    for (const { name } of tenants) {
+      objects += (await this.readTenant(name)).objects.length;
+    }
+    return { backend: this.type, status: 'ready', tenants: tenants.length, objects };
+  }
+}
+
+// Keeps each tenant in a JSON file of a directory, so the knowledge base
+// survives restarts. Tenants are cached after the first read.
+class FileVectorStore extends MemoryVectorStore {
+  constructor({ directory, ...options }) {
+    super(options);
+    this.type = 'file';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async readTenant(name) {
+    if (!this.tenants.has(name)) {
+      const tenant = loadJson(this.filePath(name), null);
+      if (!tenant) {
+        return null;
+      }
+      this.tenants.set(name, tenant);
+    }
+    return this.tenants.get(name);
+  }
+
+  async writeTenant(name, tenant) {
+    saveJson(this.filePath(name), tenant);
+    this.tenants.set(name, tenant);
+  }
+
+  async removeTenant(name) {
+    fs.rmSync(this.filePath(name), { force: true });
+    this.tenants.delete(name);
+  }
+
+  async tenantNames() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+export { MemoryVectorStore, FileVectorStore };
@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { tokenize } from '../retrieval/lexical.js';
+import { cosineSimilarity, hashEmbedding } from '../retrieval/embeddings.js';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+// use: answer from the cache when possible; refresh: skip the lookup but
+// store the new answer; off: neither
+export const CACHE_MODES = ['use', 'refresh', 'off'];
+
+const TENANT_FILE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DIMENSIONS = 512;
+const SIGNATURE_PATTERN = /\d+(?:[.,]\d+)*|[-+*/×÷^%=<>()]/g;
+
+// Answers of these tools depend on every number and word of the query, so
+// they are only reused for the same query
+const EXACT_ONLY_TOOLS = ['calculator', 'chart'];
+
+const CONTRACTIONS = [
+  [/\b(what|where|who|how|that|it|there)'s\b/g, '$1 is'],
+  [/n't\b/g, ' not'],
+  [/'re\b/g, ' are'],
+  [/'ll\b/g, ' will'],
+  [/'ve\b/g, ' have'],
+  [/'m\b/g, ' am'],
+  [/'d\b/g, ' would']
+];
+
+// The `cache` option of a query request: true, false or one of CACHE_MODES
+export function validateCacheMode(value) {
+  if (value === undefined || value === null || value === true) {
+    return 'use';
+  }
+  if (value === false) {
+    return 'off';
+  }
+  if (!CACHE_MODES.includes(value)) {
+    throw new HttpError(400, `cache must be true, false or one of: ${CACHE_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+// Lowercase, contractions spelled out, punctuation and extra spaces gone.
+// Queries that normalize to the same text are exact matches.
+export function normalizeQuery(query) {
+  let text = String(query || '').toLowerCase().replace(/[‘’]/g, "'");
+  for (const [pattern, replacement] of CONTRACTIONS) {
+    text = text.replace(pattern, replacement);
+  }
+  return text.replace(/[^\p{L}\p{N}\s]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// The numbers and operators of a query in order: "calculate 4 + 5" -> "4 + 5".
+// Queries only match, exactly or by similarity, when these are the same.
+export function querySignature(query) {
+  return (String(query || '').match(SIGNATURE_PATTERN) || []).join(' ');
+}
+
+// "networks" -> "network", "queries" -> "query"; enough for comparing queries
+function singular(token) {
+  if (token.length > 4 && token.endsWith('ies')) {
+    return `${token.slice(0, -3)}y`;
+  }
+  return token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token) ? token.slice(0, -1) : token;
+}
+
+// Replace tokens of `tokens` that are the initials of consecutive tokens of
+// `other` ("ml" -> "machine learning")
+function expandAcronyms(tokens, other) {
+  return tokens.flatMap(token => {
+    if (!/^[a-z]{2,5}$/.test(token) || other.includes(token)) {
+      return [token];
+    }
+    for (let i = 0; i + token.length <= other.length; i++) {
+      const words = other.slice(i, i + token.length);
+      if (words.map(word => word[0]).join('') === token) {
+        return words;
+      }
+    }
+    return [token];
+  });
+}
+
+// The words two token lists share, in the order they first appear in `tokens`
+function sharedOrder(tokens, other) {
+  return [...new Set(tokens.filter(token => other.includes(token)))];
+}
+
+// Similarity of two normalized queries, 0..1: the cosine of their local
+// embeddings once plurals are folded and acronyms expanded. Queries with
+// different numbers ("sales in 2023" and "sales in 2024") or whose shared
+// words come in another order ("USD to EUR" and "EUR to USD") score 0.
+export function querySimilarity(a, b) {
+  const numbers = text => String(text || '').match(/\d+/g)?.join(' ') || '';
+  if (numbers(a) !== numbers(b)) {
+    return 0;
+  }
+
+  const tokensA = tokenize(a).map(singular);
+  const tokensB = tokenize(b).map(singular);
+  const expandedA = expandAcronyms(tokensA, tokensB);
+  const expandedB = expandAcronyms(tokensB, expandedA);
+  if (sharedOrder(expandedA, expandedB).join(' ') !== sharedOrder(expandedB, expandedA).join(' ')) {
+    return 0;
+  }
+  return Math.max(0, cosineSimilarity(
+    hashEmbedding(expandedA.join(' '), DIMENSIONS),
+    hashEmbedding(expandedB.join(' '), DIMENSIONS)
+  ));
+}
+
+// The request options that change an answer; only answers given under the
+// same options are reused
+export function cacheVariant({ retrieval, grounding, tools, mode } = {}) {
+  return JSON.stringify({ retrieval: retrieval || {}, grounding: grounding || null, tools: tools || null, mode: mode || 'route' });
+}
+
+// What an answer was built from, so it can be dropped when that changes
+function dependenciesOf(response) {
+  const chartSources = response.references?.chartSources || [];
+  const ragRefs = chartSources.filter(source => source.type === 'rag').flatMap(source => [].concat(source.ref || []));
+  return {
+    fileIds: [...new Set([...(response.fileIds || []), ...ragRefs])],
+    datasetIds: [...new Set(chartSources.map(source => source.datasetId).filter(Boolean))],
+    knowledgeBase: response.references?.ragSources !== undefined || ragRefs.length > 0,
+    charts: response.references?.chartSources !== undefined
+  };
+}
+
+function emptyStats() {
+  return {
+    lookups: 0,
+    hits: 0,
+    exactHits: 0,
+    semanticHits: 0,
+    misses: 0,
+    bypassed: 0,
+    stored: 0,
+    invalidated: 0,
+    saved: { llmCalls: 0, totalTokens: 0, latencyMs: 0 }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Answers of earlier queries, per tenant, found again by exact or similar
+// query text. Entries expire after `ttlSeconds`, the least recently used go
+// once a tenant has `maxEntries`, and invalidate() drops the answers built
+// from documents or datasets that changed.
+//
+// Other caches extend it and override the read/write/remove primitives.
+class MemoryResponseCache {
+  constructor({ threshold = 0.9, ttlSeconds = 86400, maxEntries = 500 } = {}) {
+    this.threshold = threshold;
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.tenants = new Map();
+  }
+
+  async read(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  async write(tenantId, data) {
+    this.tenants.set(tenantId, data);
+  }
+
+  async remove(tenantId) {
+    this.tenants.delete(tenantId);
+  }
+
+  async load(tenantId) {
+    const data = (await this.read(tenantId)) || { entries: [], stats: emptyStats() };
+    const now = Date.now();
+    return { ...data, entries: data.entries.filter(entry => Date.parse(entry.expiresAt) > now) };
+  }
+
+  // The best entry for the query under the same options, or null. A hit is
+  // returned as { entry, match: 'exact' | 'semantic', similarity }. Answers
+  // of calculator and chart routes are only reused by exact matches.
+  async lookup(tenantId, query, options = {}) {
+    const data = await this.load(tenantId);
+    const normalized = normalizeQuery(query);
+    const signature = querySignature(query);
+    const variant = cacheVariant(options);
+    const candidates = data.entries.filter(entry =>
+      entry.variant === variant && (entry.signature ?? querySignature(entry.query)) === signature);
+
+    let best = null;
+    const exact = candidates.find(entry => entry.normalized === normalized);
+    if (exact) {
+      best = { entry: exact, match: 'exact', similarity: 1 };
+    } else {
+      const fuzzy = candidates.filter(entry =>
+        !(entry.routing?.tools || []).some(tool => EXACT_ONLY_TOOLS.includes(tool)));
+      for (const entry of fuzzy) {
+        const similarity = querySimilarity(normalized, entry.normalized);
+        if (similarity >= this.threshold && similarity > (best?.similarity ?? 0)) {
+          best = { entry, match: 'semantic', similarity: round(similarity) };
+        }
+      }
+    }
+
+    data.stats.lookups++;
+    if (best) {
+      data.stats.hits++;
+      data.stats[best.match === 'exact' ? 'exactHits' : 'semanticHits']++;
+      data.stats.saved.llmCalls += best.entry.cost.llmCalls;
+      data.stats.saved.totalTokens += best.entry.cost.totalTokens;
+      data.stats.saved.latencyMs += best.entry.cost.latencyMs;
+      best.entry.hits++;
+      best.entry.lastHitAt = new Date().toISOString();
+    } else {
+      data.stats.misses++;
+    }
+    await this.write(tenantId, data);
+    return best;
+  }
+
+  // Keep an answer. cost: { llmCalls, totalTokens, latencyMs } of producing
+  // it, counted as saved on every hit.
+  async store(tenantId, query, options, { response, routing }, cost = {}) {
+    const data = await this.load(tenantId);
+    const normalized = normalizeQuery(query);
+    const variant = cacheVariant(options);
+    const now = new Date();
+
+    const entry = {
+      id: crypto.randomUUID(),
+      query,
+      normalized,
+      signature: querySignature(query),
+      variant,
+      response,
+      routing: routing || null,
+      dependsOn: dependenciesOf(response),
+      cost: {
+        llmCalls: cost.llmCalls || 0,
+        totalTokens: cost.totalTokens || 0,
+        latencyMs: Math.round(cost.latencyMs || 0)
+      },
+      hits: 0,
+      createdAt: now.toISOString(),
+      lastHitAt: null,
+      expiresAt: new Date(now.getTime() + this.ttlSeconds * 1000).toISOString()
+    };
+
+    const entries = data.entries.filter(existing => !(existing.variant === variant &&
+      existing.normalized === normalized && existing.signature === entry.signature));
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.sort((a, b) => (a.lastHitAt || a.createdAt).localeCompare(b.lastHitAt || b.createdAt));
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    data.stats.stored++;
+    await this.write(tenantId, { ...data, entries });
+    return entry;
+  }
+
+  async recordBypass(tenantId) {
+    const data = await this.load(tenantId);
+    data.stats.bypassed++;
+    await this.write(tenantId, data);
+  }
+
+  // Drop the answers built from any of the documents or datasets. Answers
+  // that found nothing in the knowledge base (or no dataset to chart) go on
+  // any change of that kind, since the new content may answer them.
+  async invalidate(tenantId, { fileIds = [], datasetIds = [] } = {}) {
+    const data = await this.load(tenantId);
+    const stale = entry => {
+      const { dependsOn } = entry;
+      return dependsOn.fileIds.some(fileId => fileIds.includes(fileId)) ||
+        dependsOn.datasetIds.some(datasetId => datasetIds.includes(datasetId)) ||
+        (fileIds.length > 0 && dependsOn.knowledgeBase && dependsOn.fileIds.length === 0) ||
+        (datasetIds.length > 0 && dependsOn.charts && dependsOn.datasetIds.length === 0);
+    };
+
+    const kept = data.entries.filter(entry => !stale(entry));
+    const removed = data.entries.length - kept.length;
+    data.stats.invalidated += removed;
+    await this.write(tenantId, { ...data, entries: kept });
+    return removed;
+  }
+
+  // Drop every answer of the tenant; the stats are kept
+  async clear(tenantId) {
+    const data = await this.load(tenantId);
+    data.stats.invalidated += data.entries.length;
+    await this.write(tenantId, { ...data, entries: [] });
+    return data.entries.length;
+  }
+
+  async deleteTenant(tenantId) {
+    await this.remove(tenantId);
+  }
+
+  async stats(tenantId) {
+    const { entries, stats } = await this.load(tenantId);
+    return {
+      entries: entries.length,
+      ...stats,
+      hitRate: stats.lookups > 0 ? round(stats.hits / stats.lookups) : 0,
+      threshold: this.threshold,
+      ttlSeconds: this.ttlSeconds
+    };
+  }
+}
+
+// Stores each tenant's cache in a JSON file of a directory
+class FileResponseCache extends MemoryResponseCache {
+  constructor({ directory, ...options }) {
+    super(options);
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(tenantId) {
+    return path.join(this.directory, `${tenantId}.json`);
+  }
+
+  async read(tenantId) {
+    if (!TENANT_FILE_PATTERN.test(tenantId)) {
+      return null;
+    }
+    return loadJson(this.filePath(tenantId), null);
+  }
+
+  async write(tenantId, data) {
+    saveJson(this.filePath(tenantId), data);
+  }
+
+  async remove(tenantId) {
+    fs.rmSync(this.filePath(tenantId), { force: true });
+  }
+}
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Pick the cache from RESPONSE_CACHE_STORE (memory | file); null when
+// RESPONSE_CACHE=off
+export function createResponseCache({
+  enabled = process.env.RESPONSE_CACHE !== 'off',
+  type = process.env.RESPONSE_CACHE_STORE || 'memory',
+  directory = process.env.RESPONSE_CACHE_DIR || './data/response-cache',
+  threshold = envNumber('RESPONSE_CACHE_THRESHOLD', 0.9),
+  ttlSeconds = envNumber('RESPONSE_CACHE_TTL_SECONDS', 86400),
+  maxEntries = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500
+} = {}) {
+  if (!enabled) {
+    return null;
+  }
+  switch (type) {
+    case 'memory':
+      return new MemoryResponseCache({ threshold, ttlSeconds, maxEntries });
+    case 'file':
+      return new FileResponseCache({ directory, threshold, ttlSeconds, maxEntries });
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryResponseCache, FileResponseCache };
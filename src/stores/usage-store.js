@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+const TENANT_FILE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const USAGE_GROUPS = ['day', 'tenant', 'key'];
+
+// The usage of a tenant is one row per UTC day and API key:
+// {
+//   rows: [{ day: '2024-05-01', keyId: 'a1b2c3d4e5f6' | null (auth off),
+//            requests, llmCalls, inputTokens, outputTokens, totalTokens, costUsd,
+//            byModel: { 'google:gemini-1.5-flash': { calls, inputTokens, outputTokens, totalTokens, costUsd } } }],
+//   budget: see usage/budgets.js | null
+// }
+
+const COUNTERS = ['requests', 'llmCalls', 'inputTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+const MODEL_COUNTERS = ['calls', 'inputTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+
+const round = cost => Math.round(cost * 1e6) / 1e6;
+
+function addCounters(target, source, counters) {
+  for (const counter of counters) {
+    target[counter] = (target[counter] || 0) + (source[counter] || 0);
+  }
+  target.costUsd = round(target.costUsd);
+  return target;
+}
+
+function addModels(target, byModel = {}) {
+  for (const [model, counts] of Object.entries(byModel)) {
+    target[model] = addCounters(target[model] || {}, counts, MODEL_COUNTERS);
+  }
+  return target;
+}
+
+export function validateDay(day, field) {
+  if (typeof day !== 'string' || !DAY_PATTERN.test(day) || Number.isNaN(Date.parse(day))) {
+    throw new HttpError(400, `${field} must be a date as YYYY-MM-DD`);
+  }
+  return day;
+}
+
+// The groupBy option of GET /usage: a comma-separated list of USAGE_GROUPS
+export function parseGroupBy(value = 'day') {
+  const groups = [...new Set(String(value).split(',').map(group => group.trim()).filter(Boolean))];
+  if (groups.length === 0 || groups.some(group => !USAGE_GROUPS.includes(group))) {
+    throw new HttpError(400, `groupBy must be a comma-separated list of: ${USAGE_GROUPS.join(', ')}`);
+  }
+  return groups;
+}
+
+// Add up rows ({ tenantId, day, keyId, ...counters }) by the given groups,
+// e.g. ['day'] for one row per day or ['tenant', 'key'] for one row per key
+// of each tenant
+export function summarizeUsage(rows, groupBy) {
+  const fields = { day: 'day', tenant: 'tenantId', key: 'keyId' };
+  const groups = new Map();
+  for (const row of rows) {
+    const identity = Object.fromEntries(groupBy.map(group => [fields[group], row[fields[group]]]));
+    const groupKey = JSON.stringify(identity);
+    const group = groups.get(groupKey) || { ...identity, byModel: {} };
+    addCounters(group, row, COUNTERS);
+    addModels(group.byModel, row.byModel);
+    groups.set(groupKey, group);
+  }
+  return [...groups.values()].sort((a, b) => groupBy
+    .map(group => String(a[fields[group]] ?? '').localeCompare(String(b[fields[group]] ?? '')))
+    .find(order => order !== 0) || 0);
+}
+
+// Keeps the usage of each tenant in process memory. Other stores extend it
+// and override the read/write/remove/tenants primitives.
+class MemoryUsageStore {
+  constructor() {
+    this.documents = new Map();
+    // Per tenant, the last queued update
+    this.updates = new Map();
+  }
+
+  async read(tenantId) {
+    return this.documents.get(tenantId) || null;
+  }
+
+  async write(tenantId, document) {
+    this.documents.set(tenantId, document);
+  }
+
+  async remove(tenantId) {
+    this.documents.delete(tenantId);
+  }
+
+  async tenants() {
+    return [...this.documents.keys()];
+  }
+
+  async document(tenantId) {
+    return (await this.read(tenantId)) || { rows: [], budget: null };
+  }
+
+  // Read, change and write a tenant's document. Updates of the same tenant
+  // run one after another, so concurrent requests do not overwrite each
+  // other's rows.
+  update(tenantId, change) {
+    const previous = this.updates.get(tenantId) || Promise.resolve();
+    const result = previous.then(async () => {
+      const document = await this.document(tenantId);
+      const value = change(document);
+      await this.write(tenantId, document);
+      return value;
+    });
+    const done = result.catch(() => {});
+    this.updates.set(tenantId, done);
+    done.then(() => {
+      if (this.updates.get(tenantId) === done) {
+        this.updates.delete(tenantId);
+      }
+    });
+    return result;
+  }
+
+  // Count one request and its model usage (a UsageMeter summary)
+  async record(tenantId, keyId, usage, now = Date.now()) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    await this.update(tenantId, document => {
+      let row = document.rows.find(candidate => candidate.day === day && candidate.keyId === keyId);
+      if (!row) {
+        row = { day, keyId, byModel: {} };
+        document.rows.push(row);
+      }
+      addCounters(row, { ...usage, requests: 1 }, COUNTERS);
+      addModels(row.byModel, usage.byModel);
+    });
+  }
+
+  // Rows of one tenant or all, optionally of one key, from `from` to `to`
+  // (days, both included)
+  async list({ tenantId, keyId, from, to } = {}) {
+    const tenantIds = tenantId ? [tenantId] : await this.tenants();
+    const rows = [];
+    for (const id of tenantIds) {
+      const document = await this.read(id);
+      for (const row of document?.rows || []) {
+        if ((keyId === undefined || row.keyId === keyId) && (!from || row.day >= from) && (!to || row.day <= to)) {
+          rows.push({ tenantId: id, ...row });
+        }
+      }
+    }
+    return rows;
+  }
+
+  // Cost and tokens since a day, for budget checks
+  async spent({ tenantId, keyId, since }) {
+    const rows = await this.list({ tenantId, keyId, from: since });
+    return rows.reduce((spent, row) => ({
+      costUsd: spent.costUsd + row.costUsd,
+      tokens: spent.tokens + row.totalTokens
+    }), { costUsd: 0, tokens: 0 });
+  }
+
+  async getBudget(tenantId) {
+    return (await this.document(tenantId)).budget;
+  }
+
+  async setBudget(tenantId, budget) {
+    await this.update(tenantId, document => {
+      document.budget = budget;
+    });
+    return budget;
+  }
+
+  async deleteTenant(tenantId) {
+    await this.remove(tenantId);
+  }
+}
+
+// Stores the usage of each tenant in its own JSON file
+class FileUsageStore extends MemoryUsageStore {
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(tenantId) {
+    return path.join(this.directory, `${tenantId}.json`);
+  }
+
+  async read(tenantId) {
+    if (!TENANT_FILE_PATTERN.test(tenantId)) {
+      return null;
+    }
+    return loadJson(this.filePath(tenantId), null);
+  }
+
+  async write(tenantId, document) {
+    saveJson(this.filePath(tenantId), document);
+  }
+
+  async remove(tenantId) {
+    fs.rmSync(this.filePath(tenantId), { force: true });
+  }
+
+  async tenants() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+// Pick the store from USAGE_STORE (memory | file)
+export function createUsageStore({
+  type = process.env.USAGE_STORE || 'memory',
+  directory = process.env.USAGE_DIR || './data/usage'
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryUsageStore();
+    case 'file':
+      return new FileUsageStore({ directory });
+    default:
+      throw new Error(`Unknown USAGE_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryUsageStore, FileUsageStore };
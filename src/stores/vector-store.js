@@ -0,0 +1,50 @@
+import dotenv from 'dotenv';
+import WeaviateVectorStore from './weaviate-vector-store.js';
+import { MemoryVectorStore, FileVectorStore } from './local-vector-store.js';
+import { hashEmbedding } from '../retrieval/embeddings.js';
+
+dotenv.config();
+
+// Every backend implements the same interface. All object methods are scoped
+// to one tenant, take filters as parsed by retrieval/filters.js ({ fileIds,
+// tags, since, until, ids, ingestionId }) and return objects as
+// { id, properties, score?, relevance? }:
+//
+//   upsert(tenantId, [{ id?, properties, vector? }]) -> ids
+//   delete(tenantId, filter) -> number deleted
+//   find(tenantId, filter) -> every matching object
+//   list(tenantId, { filter, offset, limit }) -> one page of the matching
+//     objects, in a stable order, and how many match: { objects, total }
+//   count(tenantId) -> number of objects
+//   keywordSearch(tenantId, query, { filter, limit }) -> BM25 scores
+//   similaritySearch(tenantId, query, { filter, limit }) -> vector similarity
+//   hybridSearch(tenantId, query, { alpha, filter, limit }) -> fused 0..1 scores,
+//     relative to the other hits, and a relevance from the raw keyword and
+//     vector scores weighed by alpha, comparable across queries
+//   listTenants() -> [{ name, activityStatus }]
+//   createTenant(name), setTenantActivity(name, status), deleteTenant(name)
+//   status() -> { backend, status, ... }
+
+// Pick the backend from VECTOR_STORE (weaviate | memory | file)
+export function createVectorStore({
+  type = process.env.VECTOR_STORE || 'weaviate',
+  directory = process.env.VECTOR_STORE_DIR || './data/vectors',
+  dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 256
+} = {}) {
+  const embed = text => hashEmbedding(text, dimensions);
+  switch (type) {
+    case 'weaviate':
+      return new WeaviateVectorStore();
+    case 'memory':
+      return new MemoryVectorStore({ embed });
+    case 'file':
+      return new FileVectorStore({ directory, embed });
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${type}". Use "weaviate", "memory" or "file"`);
+  }
+}
+
+// The knowledge base shared by retrieval, ingestion, tenants and setup
+const vectorStore = createVectorStore();
+
+export default vectorStore;
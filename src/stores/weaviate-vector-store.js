@@ -0,0 +1,225 @@
+import defaultClient, { CLASS_NAME } from '../config/database.js';
+import { buildWhere } from '../retrieval/filters.js';
+import { keywordRelevance } from '../retrieval/lexical.js';
+
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 500;
+
+// Properties of a knowledge base object (see src/migrations)
+const PROPERTIES = [
+  'fileId', 'question', 'answer', 'chunkIndex', 'startOffset', 'endOffset',
+  'fileName', 'format', 'tags', 'ingestedAt', 'ingestionId'
+];
+
+// The raw keyword and vector scores of a hybrid hit, from the lines of its
+// explainScore ("... (Result Set keyword,bm25) Document ...: original score
+// 2.1, normalized score: 1"), weighed by alpha. Null when there are none.
+function hybridRelevance(explainScore, alpha) {
+  let relevance = null;
+  for (const [, set, original] of String(explainScore || '').matchAll(/Result Set ([^)]*)\)[^:]*:\s*original score:?\s*(-?[\d.]+(?:e-?\d+)?)/gi)) {
+    const score = parseFloat(original);
+    const part = /vector/i.test(set) ? alpha * Math.min(1, Math.max(0, score)) : (1 - alpha) * keywordRelevance(score);
+    relevance = (relevance ?? 0) + part;
+  }
+  return relevance;
+}
+
+function toObject(item, score) {
+  const { _additional: additional, ...properties } = item;
+  for (const [name, value] of Object.entries(properties)) {
+    if (value === null) {
+      delete properties[name];
+    }
+  }
+  return { id: additional?.id, properties, ...(score !== undefined && { score }) };
+}
+
+// The knowledge base in the QuestionAnswer class of a Weaviate instance.
+// Weaviate computes the vectors with the class's vectorizer unless objects
+// bring their own.
+class WeaviateVectorStore {
+  constructor({ client = defaultClient, className = CLASS_NAME, searchProperties = ['question', 'answer'] } = {}) {
+    this.type = 'weaviate';
+    this.client = client;
+    this.className = className;
+    this.searchProperties = searchProperties;
+  }
+
+  async listTenants() {
+    const tenants = await this.client.schema.tenantsGetter(this.className).do();
+    return tenants.map(tenant => ({ name: tenant.name, activityStatus: tenant.activityStatus }));
+  }
+
+  async createTenant(name) {
+    await this.client.schema.tenantsCreator(this.className, [{ name }]).do();
+  }
+
+  async setTenantActivity(name, activityStatus) {
+    await this.client.schema.tenantsUpdater(this.className, [{ name, activityStatus }]).do();
+  }
+
+  async deleteTenant(name) {
+    await this.client.schema.tenantsDeleter(this.className, [name]).do();
+  }
+
+  async upsert(tenantId, objects) {
+    const ids = [];
+    for (let i = 0; i < objects.length; i += BATCH_SIZE) {
+      const results = await this.client.batch
+        .objectsBatcher()
+        .withObjects(...objects.slice(i, i + BATCH_SIZE).map(object => ({
+          class: this.className,
+          tenant: tenantId,
+          properties: object.properties,
+          ...(object.id && { id: object.id }),
+          ...(object.vector && { vector: object.vector })
+        })))
+        .do();
+
+      const failed = results.filter(result => result.result?.errors);
+      if (failed.length > 0) {
+        const message = failed[0].result.errors.error?.[0]?.message || 'unknown error';
+        throw new Error(`Failed to index ${failed.length} object(s): ${message}`);
+      }
+      ids.push(...results.map(result => result.id));
+    }
+    return ids;
+  }
+
+  async delete(tenantId, filter) {
+    const where = buildWhere(filter);
+    if (!where) {
+      throw new Error('Deleting needs a filter');
+    }
+    const response = await this.client.batch
+      .objectsBatchDeleter()
+      .withClassName(this.className)
+      .withTenant(tenantId)
+      .withWhere(where)
+      .withOutput('minimal')
+      .do();
+
+    return response.results?.successful || 0;
+  }
+
+  // Page through every object matching the filter
+  async find(tenantId, filter = {}) {
+    const where = buildWhere(filter);
+    const objects = [];
+    let after;
+
+    for (;;) {
+      let query = this.client.graphql
+        .get()
+        .withClassName(this.className)
+        .withTenant(tenantId)
+        .withFields(`${PROPERTIES.join(' ')} _additional { id }`)
+        .withLimit(PAGE_SIZE);
+
+      if (where) {
+        // Cursors cannot be combined with filters, so filtered reads page by offset
+        query = query.withWhere(where).withOffset(objects.length);
+      } else if (after) {
+        query = query.withAfter(after);
+      }
+
+      const result = await query.do();
+      const page = (result.data.Get[this.className] || []).map(item => toObject(item));
+      objects.push(...page);
+
+      if (page.length < PAGE_SIZE) {
+        return objects;
+      }
+      after = page[page.length - 1].id;
+    }
+  }
+
+  async list(tenantId, { filter = {}, offset = 0, limit = 50 } = {}) {
+    const where = buildWhere(filter);
+
+    let query = this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withTenant(tenantId)
+      .withFields(`${PROPERTIES.join(' ')} _additional { id }`)
+      .withLimit(limit)
+      .withOffset(offset);
+    let aggregate = this.client.graphql
+      .aggregate()
+      .withClassName(this.className)
+      .withTenant(tenantId)
+      .withFields('meta { count }');
+    if (where) {
+      query = query.withWhere(where);
+      aggregate = aggregate.withWhere(where);
+    }
+
+    const [result, counted] = await Promise.all([query.do(), aggregate.do()]);
+    return {
+      objects: (result.data.Get[this.className] || []).map(item => toObject(item)),
+      total: counted.data.Aggregate[this.className]?.[0]?.meta.count ?? 0
+    };
+  }
+
+  async count(tenantId) {
+    const result = await this.client.graphql
+      .aggregate()
+      .withClassName(this.className)
+      .withTenant(tenantId)
+      .withFields('meta { count }')
+      .do();
+    return result.data.Aggregate[this.className]?.[0]?.meta.count ?? 0;
+  }
+
+  // relevanceOf(_additional) may add a relevance to each hit
+  async search(tenantId, { filter, limit, scoreField, fields = scoreField, relevanceOf }, withSearch) {
+    let builder = this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withTenant(tenantId)
+      .withFields(`${PROPERTIES.join(' ')} _additional { id ${fields} }`)
+      .withLimit(limit);
+
+    const where = buildWhere(filter);
+    if (where) {
+      builder = builder.withWhere(where);
+    }
+
+    const result = await withSearch(builder).do();
+    return (result.data.Get[this.className] || []).map(item => {
+      const object = toObject(item, parseFloat(item._additional?.[scoreField]) || 0);
+      const relevance = relevanceOf?.(item._additional) ?? null;
+      return relevance === null ? object : { ...object, relevance };
+    });
+  }
+
+  async keywordSearch(tenantId, query, { filter, limit = 10 } = {}) {
+    return this.search(tenantId, { filter, limit, scoreField: 'score' },
+      builder => builder.withBm25({ query, properties: this.searchProperties }));
+  }
+
+  // Needs a vectorizer on the class
+  async similaritySearch(tenantId, query, { filter, limit = 10 } = {}) {
+    return this.search(tenantId, { filter, limit, scoreField: 'certainty' },
+      builder => builder.withNearText({ concepts: [query] }));
+  }
+
+  // The fused score is relative to the other hits; relevance comes from the
+  // raw scores in explainScore, or is left out when Weaviate gives none
+  async hybridSearch(tenantId, query, { alpha = 0.5, filter, limit = 10 } = {}) {
+    return this.search(tenantId, {
+      filter,
+      limit,
+      scoreField: 'score',
+      fields: 'score explainScore',
+      relevanceOf: additional => hybridRelevance(additional?.explainScore, alpha)
+    }, builder => builder.withHybrid({ query, alpha, properties: this.searchProperties, fusionType: 'relativeScoreFusion' }));
+  }
+
+  async status() {
+    const meta = await this.client.misc.metaGetter().do();
+    return { backend: this.type, status: 'connected', version: meta.version, modules: meta.modules };
+  }
+}
+
+export default WeaviateVectorStore;
@@ -0,0 +1,129 @@
+import { DEFAULT_TENANT, ACTIVE, INACTIVE } from '../config/database.js';
+import defaultVectorStore from '../stores/vector-store.js';
+import HttpError from '../utils/http-error.js';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TENANT_HEADER = 'x-tenant-id';
+const CACHE_TTL_MS = 30 * 1000;
+
+export { ACTIVE, INACTIVE };
+
+// Tenants are the tenants of the vector store (in Weaviate, those of the
+// QuestionAnswer class). Every request is bound to exactly one of them, and
+// all reads and writes go through it.
+class TenantManager {
+  constructor({ store = defaultVectorStore } = {}) {
+    this.store = store;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Pick the tenant from the X-Tenant-ID header, the body or the query string,
+  // else `fallback`
+  resolveTenantId(req, fallback = DEFAULT_TENANT) {
+    const fromHeader = req.get(TENANT_HEADER);
+    const fromBody = req.body && typeof req.body === 'object' ? req.body.tenantId : undefined;
+    const fromQuery = req.query?.tenantId;
+
+    const candidates = [fromHeader, fromBody, fromQuery].filter(value => value !== undefined && value !== '');
+    if (new Set(candidates).size > 1) {
+      throw new HttpError(400, 'Conflicting tenant IDs in header, body and query string');
+    }
+
+    const tenantId = candidates[0] ?? fallback;
+    this.validateTenantId(tenantId);
+    return tenantId;
+  }
+
+  validateTenantId(tenantId) {
+    if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+      throw new HttpError(400, 'Tenant ID must be 1-64 letters, digits, "_" or "-"');
+    }
+  }
+
+  async list({ refresh = false } = {}) {
+    if (refresh || !this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+      const tenants = await this.store.listTenants();
+      this.cache = new Map(tenants.map(tenant => [tenant.name, tenant.activityStatus || ACTIVE]));
+      this.cachedAt = Date.now();
+    }
+
+    return [...this.cache.entries()]
+      .map(([name, activityStatus]) => ({
+        tenantId: name,
+        activityStatus,
+        active: activityStatus === ACTIVE
+      }))
+      .sort((a, b) => a.tenantId.localeCompare(b.tenantId));
+  }
+
+  async get(tenantId) {
+    let tenants = await this.list();
+    let tenant = tenants.find(entry => entry.tenantId === tenantId);
+    if (!tenant) {
+      // It may have been created by another process since the cache was filled
+      tenants = await this.list({ refresh: true });
+      tenant = tenants.find(entry => entry.tenantId === tenantId);
+    }
+    return tenant || null;
+  }
+
+  // Throw unless the tenant exists and is active
+  async assertActive(tenantId) {
+    const tenant = await this.get(tenantId);
+    if (!tenant) {
+      throw new HttpError(404, `Tenant "${tenantId}" not found`);
+    }
+    if (!tenant.active) {
+      throw new HttpError(403, `Tenant "${tenantId}" is deactivated`);
+    }
+    return tenant;
+  }
+
+  async create(tenantId) {
+    this.validateTenantId(tenantId);
+    if (await this.get(tenantId)) {
+      throw new HttpError(409, `Tenant "${tenantId}" already exists`);
+    }
+
+    await this.store.createTenant(tenantId);
+    this.cache = null;
+    return this.get(tenantId);
+  }
+
+  async setActivity(tenantId, activityStatus) {
+    if (!(await this.get(tenantId))) {
+      throw new HttpError(404, `Tenant "${tenantId}" not found`);
+    }
+
+    await this.store.setTenantActivity(tenantId, activityStatus);
+    this.cache = null;
+    return this.get(tenantId);
+  }
+
+  async deactivate(tenantId) {
+    return this.setActivity(tenantId, INACTIVE);
+  }
+
+  async activate(tenantId) {
+    return this.setActivity(tenantId, ACTIVE);
+  }
+
+  // Deleting a tenant drops all of its knowledge base objects
+  async delete(tenantId) {
+    if (tenantId === DEFAULT_TENANT) {
+      throw new HttpError(400, 'The default tenant cannot be deleted');
+    }
+    if (!(await this.get(tenantId))) {
+      throw new HttpError(404, `Tenant "${tenantId}" not found`);
+    }
+
+    await this.store.deleteTenant(tenantId);
+    this.cache = null;
+  }
+}
+
+const tenantManager = new TenantManager();
+
+export { TenantManager };
+export default tenantManager;
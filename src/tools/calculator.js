@@ -0,0 +1,228 @@
+// Arithmetic without eval: numbers, + - * / % ^, parentheses, unary minus
+// and a few functions
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  log: Math.log10,
+  ln: Math.log
+};
+
+// A function name or a stretch of expression characters
+const EXPRESSION_PIECE = new RegExp(`${Object.keys(FUNCTIONS).join('|')}|[\\d.()\\s+\\-*/%^]+`, 'iy');
+const HAS_OPERATOR = /\d\s*[-+*/%^]\s*[\d(]|(sqrt|abs|round|floor|ceil|log|ln)\s*\(/i;
+
+// Words or an "=" that ask for a calculation; "what is" only counts right
+// before the numbers ("what is 12 * 4", not "what is the 80/20 rule")
+const CALCULATION_INTENT = /\b(calculate|compute|evaluate|solve|how much is)\b|\bwhat(?: is|'s)\s*[\d(]|=/i;
+// Year ranges (1939-1945, 2023/24) are never arithmetic. Ranges or ratios
+// that qualify a word ("3-5 sentences", "the 80/20 rule", "24/7 support") are
+// not either, unless the query asks for a calculation.
+const YEAR_RANGE = /\b(1[5-9]|20)\d{2}[-–/]((1[5-9]|20)\d{2}|\d{2})\b/g;
+const QUALIFYING_RANGE = /\b\d+(\.\d+)?[-–/]\d+(\.\d+)?\b(?=\s*(-\s*)?[a-z])/gi;
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|[a-z]+|[-+*/%^()])/giy;
+  let match;
+  let position = 0;
+
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(position).trim() === '') {
+        break;
+      }
+      throw new Error(`Unexpected "${expression.slice(position).trim()[0]}" in expression`);
+    }
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent: sum -> product -> power -> unary -> primary
+export function evaluate(expression) {
+  const tokens = tokenize(String(expression));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = token => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}"`);
+    }
+  };
+
+  function sum() {
+    let value = product();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + product() : value - product();
+    }
+    return value;
+  }
+
+  function product() {
+    let value = power();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = power();
+      if ((operator === '/' || operator === '%') && right === 0) {
+        throw new Error('Division by zero');
+      }
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  function power() {
+    const base = unary();
+    // Right-associative: 2^3^2 = 2^9
+    return peek() === '^' ? (next(), base ** power()) : base;
+  }
+
+  function unary() {
+    if (peek() === '-') {
+      next();
+      return -unary();
+    }
+    if (peek() === '+') {
+      next();
+      return unary();
+    }
+    return primary();
+  }
+
+  function primary() {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (token === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    if (/^[a-z]+$/i.test(token)) {
+      const fn = FUNCTIONS[token.toLowerCase()];
+      if (!fn) {
+        throw new Error(`Unknown function "${token}"`);
+      }
+      expect('(');
+      const value = sum();
+      expect(')');
+      return fn(value);
+    }
+    const number = parseFloat(token);
+    if (Number.isNaN(number)) {
+      throw new Error(`Unexpected "${token}" in expression`);
+    }
+    return number;
+  }
+
+  const value = sum();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index]}" in expression`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('Result is not a finite number');
+  }
+  return value;
+}
+
+// The runs of expression pieces in the text that contain a digit. One pass
+// over the text, so long queries cannot make it backtrack.
+function expressionRuns(text) {
+  const runs = [];
+  let start = -1;
+  let position = 0;
+  while (position < text.length) {
+    EXPRESSION_PIECE.lastIndex = position;
+    if (EXPRESSION_PIECE.exec(text)) {
+      start = start < 0 ? position : start;
+      position = EXPRESSION_PIECE.lastIndex;
+    } else {
+      if (start >= 0) {
+        runs.push(text.slice(start, position));
+      }
+      start = -1;
+      position++;
+    }
+  }
+  if (start >= 0) {
+    runs.push(text.slice(start));
+  }
+  return runs.filter(run => /\d/.test(run));
+}
+
+// The longest arithmetic expression written in free text, if any
+export function findExpression(text) {
+  // Dates such as 2024-01-31 are not subtractions
+  let plain = String(text || '').replace(/\b\d{4}-\d{2}(-\d{2})?\b/g, ' ').replace(YEAR_RANGE, ' ');
+  if (!CALCULATION_INTENT.test(plain)) {
+    plain = plain.replace(QUALIFYING_RANGE, ' ');
+  }
+  const candidates = expressionRuns(plain)
+    .map(candidate => candidate.trim().replace(/[.\s]+$/, ''))
+    .filter(candidate => HAS_OPERATOR.test(candidate))
+    .sort((a, b) => b.length - a.length);
+  return candidates[0] || null;
+}
+
+// How sure the query asks for arithmetic: certain (0.9) with calculation
+// words or an expression that can only be arithmetic ("12 * 4", "(3 + 4) / 2",
+// "sqrt(16)"); likely (0.6) for a bare "10-4" or "calculate" alone
+export function matchCalculation(query) {
+  const expression = findExpression(query);
+  if (!expression) {
+    return /\b(calculate|compute)\b/i.test(query) ? 0.6 : 0;
+  }
+  const operators = expression.match(/[-+*/%^]/g) || [];
+  const structured = /[*+%^()]|\s[-/]\s|[a-z]/i.test(expression) || operators.length > 1;
+  return CALCULATION_INTENT.test(query) || structured ? 0.9 : 0.6;
+}
+
+export const calculatorTool = {
+  name: 'calculator',
+  description: 'Evaluates arithmetic expressions (+ - * / % ^, parentheses, sqrt, abs, round, log). Use this when the user asks to calculate or compute a number.',
+  schema: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'Arithmetic expression to evaluate, e.g. "(120 - 80) / 80 * 100"'
+      }
+    },
+    required: ['expression']
+  },
+  match: matchCalculation,
+  failureMessage: "I couldn't calculate that",
+
+  // Prefer the expression the router extracted, else find one in the query
+  async prepare(context, args = {}) {
+    return { expression: args.expression || findExpression(context.query) || '' };
+  },
+
+  async handler({ expression }) {
+    if (!expression.trim()) {
+      return { success: false, error: 'No arithmetic expression found' };
+    }
+    try {
+      const value = evaluate(expression);
+      const result = Math.round(value * 1e10) / 1e10;
+      return { success: true, answer: `${expression.trim()} = ${result}`, value: result };
+    } catch (error) {
+      return { success: false, error: `${error.message} in "${expression.trim()}"` };
+    }
+  },
+
+  describe: result => ({
+    message: result.success ? `Calculated ${result.answer}` : `Calculation failed: ${result.error}`
+  })
+};
+
+export default calculatorTool;
@@ -0,0 +1,494 @@
+// Chart types the chart tool draws, how requested types map onto them, and
+// the Chart.js configuration built for each, checked against the shape
+// Chart.js accepts before it is returned.
+
+export const CHART_TYPES = [
+  'bar', 'groupedBar', 'stackedBar', 'horizontalBar', 'line', 'area', 'timeSeries',
+  'mixed', 'pie', 'doughnut', 'polarArea', 'radar', 'scatter', 'bubble'
+];
+
+// Chart.js controllers and scale types
+const CONTROLLERS = ['bar', 'line', 'pie', 'doughnut', 'polarArea', 'radar', 'scatter', 'bubble'];
+const SCALE_TYPES = ['linear', 'logarithmic', 'category', 'time', 'timeseries', 'radialLinear'];
+const RADIAL = ['pie', 'doughnut', 'polarArea', 'radar'];
+const PER_SLICE = ['pie', 'doughnut', 'polarArea'];
+
+// Other names for supported types
+const ALIASES = {
+  column: 'bar',
+  grouped: 'groupedBar',
+  clustered: 'groupedBar',
+  clusteredbar: 'groupedBar',
+  groupedcolumn: 'groupedBar',
+  stacked: 'stackedBar',
+  stackedcolumn: 'stackedBar',
+  horizontal: 'horizontalBar',
+  barh: 'horizontalBar',
+  donut: 'doughnut',
+  ring: 'doughnut',
+  polar: 'polarArea',
+  spider: 'radar',
+  web: 'radar',
+  xy: 'scatter',
+  combo: 'mixed',
+  barline: 'mixed',
+  linebar: 'mixed',
+  barandline: 'mixed',
+  time: 'timeSeries',
+  timeline: 'timeSeries'
+};
+
+// Types Chart.js cannot draw, and the closest one it can
+const NEAREST = {
+  histogram: 'bar',
+  waterfall: 'bar',
+  boxplot: 'bar',
+  box: 'bar',
+  sankey: 'bar',
+  funnel: 'horizontalBar',
+  gantt: 'horizontalBar',
+  pareto: 'mixed',
+  stackedarea: 'area',
+  spline: 'line',
+  step: 'line',
+  candlestick: 'line',
+  ohlc: 'line',
+  gauge: 'doughnut',
+  sunburst: 'doughnut',
+  treemap: 'pie',
+  heatmap: 'bubble',
+  dot: 'scatter'
+};
+
+const PALETTE = [
+  [255, 99, 132],
+  [54, 162, 235],
+  [255, 206, 86],
+  [75, 192, 192],
+  [153, 102, 255],
+  [255, 159, 64]
+];
+
+// How types are named in warnings
+const TYPE_LABELS = {
+  groupedBar: 'grouped bar',
+  stackedBar: 'stacked bar',
+  horizontalBar: 'horizontal bar',
+  timeSeries: 'time series',
+  polarArea: 'polar area',
+  mixed: 'bar and line'
+};
+const typeLabel = type => TYPE_LABELS[type] || type;
+
+const rgba = (color, alpha) => `rgba(${color.join(', ')}, ${alpha})`;
+const colorAt = index => PALETTE[index % PALETTE.length];
+
+// "Stacked bar chart" -> "stackedbar"
+function typeKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\b(chart|graph|plot|diagram)s?\b/g, '')
+    .replace(/[^a-z+]/g, '')
+    .replace(/\+/g, '');
+}
+
+const CANONICAL = new Map(CHART_TYPES.map(type => [type.toLowerCase(), type]));
+
+// Words in a query that name a chart type, longest first so "stacked bar"
+// wins over "bar". Aliases that are everyday words ("time", "ring") are left
+// out.
+const TYPE_WORDS = [
+  ...CHART_TYPES,
+  'polar area', 'time series', 'time-series', 'stacked bar', 'grouped bar', 'horizontal bar', 'stacked area',
+  'bar and line', 'bar+line', 'box plot', 'column', 'donut', 'spider', 'combo', 'timeline', 'stacked',
+  ...Object.keys(NEAREST).filter(name => !['step', 'dot'].includes(name))
+].sort((a, b) => b.length - a.length);
+const TYPE_PATTERN = new RegExp(`\\b(${TYPE_WORDS.map(word => word.replace(/[+-]/g, '\\$&')).join('|')})\\b`, 'i');
+
+// The chart type a query asks for, as written ("histogram", "stacked bar"),
+// or null
+export function findChartType(text) {
+  const match = String(text || '').match(TYPE_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Whether a name is a chart type or one of its other names
+export function isChartTypeName(name) {
+  const key = typeKey(name);
+  return CANONICAL.has(key) || key in ALIASES || key in NEAREST;
+}
+
+// Map a requested type onto CHART_TYPES: { type, warning? }. Types Chart.js
+// cannot draw get the nearest one it can, with a warning saying so.
+export function resolveChartType(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return { type: 'bar' };
+  }
+  const key = typeKey(requested);
+  if (CANONICAL.has(key)) {
+    return { type: CANONICAL.get(key) };
+  }
+  if (key in ALIASES) {
+    return { type: ALIASES[key] };
+  }
+  if (key in NEAREST) {
+    return { type: NEAREST[key], warning: `Chart.js has no "${requested}" chart; drew a ${typeLabel(NEAREST[key])} chart instead` };
+  }
+  return { type: 'bar', warning: `Unknown chart type "${requested}"; drew a bar chart instead` };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const numericLabels = labels => labels.length > 0 && labels.every(label => label !== '' && isNumber(Number(label)));
+
+// Labels a time axis can read, and the unit to show them in
+const DATE_LABEL = /^\d{4}-\d{2}(-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?)?$/;
+function timeUnit(labels) {
+  if (labels.length === 0 || !labels.every(label => DATE_LABEL.test(label) && !Number.isNaN(Date.parse(label)))) {
+    return null;
+  }
+  return labels.every(label => label.length === 7) ? 'month' : 'day';
+}
+
+// The type a series can be drawn as: the requested one, or a fallback with a
+// warning when the data does not fit it
+function fitType(type, series) {
+  const { labels, datasets } = series;
+  const values = datasets.flatMap(dataset => dataset.data).filter(isNumber);
+
+  switch (type) {
+    case 'pie':
+    case 'doughnut':
+    case 'polarArea':
+      return values.some(value => value < 0)
+        ? { type: 'bar', warning: `${typeLabel(type)} charts cannot show negative values; drew a bar chart instead` }
+        : { type };
+    case 'radar':
+      return labels.length < 3
+        ? { type: 'bar', warning: 'radar charts need at least three categories; drew a bar chart instead' }
+        : { type };
+    case 'stackedBar':
+    case 'mixed':
+      return datasets.length < 2
+        ? { type: 'bar', warning: `${typeLabel(type)} charts need at least two series; drew a bar chart instead` }
+        : { type };
+    case 'scatter':
+      return numericLabels(labels) || datasets.length >= 2
+        ? { type }
+        : { type: 'line', warning: 'scatter charts need numeric x values; drew a line chart instead' };
+    case 'bubble':
+      if (datasets.length >= 3 || (numericLabels(labels) && datasets.length >= 2)) {
+        return { type };
+      }
+      return fitType('scatter', series).type === 'scatter'
+        ? { type: 'scatter', warning: 'bubble charts need x, y and size values; drew a scatter chart instead' }
+        : { type: 'line', warning: 'bubble charts need x, y and size values; drew a line chart instead' };
+    case 'timeSeries':
+      return timeUnit(labels)
+        ? { type }
+        : { type: 'line', warning: 'time series charts need dates (YYYY-MM or YYYY-MM-DD) as labels; drew a line chart instead' };
+    default:
+      return { type };
+  }
+}
+
+// Scatter and bubble points. X comes from numeric labels or, failing that,
+// the first series; bubble sizes come from the series after y.
+function toPoints(type, series) {
+  const { labels, datasets } = series;
+  const fromLabels = numericLabels(labels);
+  const xs = fromLabels ? labels.map(Number) : datasets[0].data;
+  const rest = fromLabels ? datasets : datasets.slice(1);
+
+  if (type === 'scatter') {
+    return {
+      xLabel: fromLabels ? null : datasets[0].label,
+      datasets: rest.map(dataset => ({
+        dataset,
+        points: dataset.data
+          .map((y, i) => ({ x: xs[i], y }))
+          .filter(point => isNumber(point.x) && isNumber(point.y))
+      }))
+    };
+  }
+
+  // Bubble radius 4..24px, scaled to the largest size
+  const [yDataset, sizeDataset] = rest;
+  const maxSize = Math.max(...sizeDataset.data.filter(isNumber).map(Math.abs), 0) || 1;
+  return {
+    xLabel: fromLabels ? null : datasets[0].label,
+    yLabel: yDataset.label,
+    datasets: [{
+      dataset: { ...yDataset, label: `${yDataset.label} (size: ${sizeDataset.label})` },
+      points: yDataset.data
+        .map((y, i) => ({ x: xs[i], y, r: isNumber(sizeDataset.data[i]) ? Math.round((4 + 20 * Math.abs(sizeDataset.data[i]) / maxSize) * 10) / 10 : null }))
+        .filter(point => isNumber(point.x) && isNumber(point.y) && isNumber(point.r))
+    }]
+  };
+}
+
+function axisTitle(text) {
+  return text ? { title: { display: true, text } } : {};
+}
+
+function buildDatasets(type, series) {
+  const { labels, datasets } = series;
+
+  return datasets.map((dataset, index) => {
+    const color = colorAt(index);
+    const base = { label: dataset.label, data: dataset.data, source: dataset.source || series.source };
+
+    if (PER_SLICE.includes(type)) {
+      return {
+        ...base,
+        backgroundColor: labels.map((label, i) => rgba(colorAt(i), type === 'polarArea' ? 0.5 : 0.8)),
+        borderWidth: 2,
+        borderColor: '#fff'
+      };
+    }
+
+    if (type === 'radar') {
+      return {
+        ...base,
+        fill: true,
+        backgroundColor: rgba(color, 0.2),
+        borderColor: rgba(color, 1),
+        pointBackgroundColor: rgba(color, 1),
+        pointBorderColor: '#fff',
+        pointHoverBackgroundColor: '#fff',
+        pointHoverBorderColor: rgba(color, 1)
+      };
+    }
+
+    // The last series of a mixed chart is the line, drawn over the bars
+    const asLine = ['line', 'area', 'timeSeries'].includes(type) || (type === 'mixed' && index === datasets.length - 1);
+    if (asLine) {
+      return {
+        ...base,
+        ...(type === 'mixed' && { type: 'line', order: 0 }),
+        borderColor: rgba(color, 1),
+        backgroundColor: rgba(color, 0.2),
+        fill: type === 'area',
+        tension: 0.1
+      };
+    }
+
+    // One bar series gets a color per bar, several get one color each
+    const single = datasets.length === 1 && type === 'bar';
+    return {
+      ...base,
+      ...(type === 'mixed' && { type: 'bar', order: 1 }),
+      backgroundColor: single ? labels.map((label, i) => rgba(colorAt(i), 0.2)) : rgba(color, 0.2),
+      borderColor: single ? labels.map((label, i) => rgba(colorAt(i), 1)) : rgba(color, 1),
+      borderWidth: 1
+    };
+  });
+}
+
+function buildScales(type, series, points) {
+  switch (type) {
+    case 'pie':
+    case 'doughnut':
+      return undefined;
+    case 'polarArea':
+    case 'radar':
+      return { r: { beginAtZero: true } };
+    case 'scatter':
+    case 'bubble':
+      return {
+        x: { type: 'linear', position: 'bottom', ...axisTitle(points.xLabel) },
+        y: { beginAtZero: true, ...axisTitle(points.yLabel) }
+      };
+    case 'stackedBar':
+      return { x: { stacked: true }, y: { stacked: true, beginAtZero: true } };
+    case 'horizontalBar':
+      return { x: { beginAtZero: true } };
+    case 'timeSeries':
+      return { x: { type: 'time', time: { unit: timeUnit(series.labels) } }, y: { beginAtZero: true } };
+    default:
+      return { y: { beginAtZero: true } };
+  }
+}
+
+const CONTROLLER_OF = {
+  groupedBar: 'bar',
+  stackedBar: 'bar',
+  horizontalBar: 'bar',
+  mixed: 'bar',
+  area: 'line',
+  timeSeries: 'line'
+};
+
+// Chart.js configuration for a series ({ labels, datasets, source }):
+// { chartType, config, warnings }. `chartType` is the type drawn, which may
+// differ from the one requested (see resolveChartType and the data checks).
+export function buildChartConfig(requested, series, { title = 'Chart', subtitle } = {}) {
+  const warnings = [];
+  const resolved = resolveChartType(requested);
+  if (resolved.warning) {
+    warnings.push(resolved.warning);
+  }
+  const fitted = fitType(resolved.type, series);
+  if (fitted.warning) {
+    warnings.push(fitted.warning);
+  }
+  const chartType = fitted.type;
+  const controller = CONTROLLER_OF[chartType] || chartType;
+
+  let data;
+  let points = null;
+  if (chartType === 'scatter' || chartType === 'bubble') {
+    points = toPoints(chartType, series);
+    data = {
+      datasets: points.datasets.map(({ dataset, points: values }, index) => ({
+        label: dataset.label,
+        data: values,
+        source: dataset.source || series.source,
+        backgroundColor: rgba(colorAt(index), 0.5),
+        borderColor: rgba(colorAt(index), 1)
+      }))
+    };
+  } else {
+    data = { labels: series.labels, datasets: buildDatasets(chartType, series) };
+  }
+
+  const config = {
+    type: controller,
+    data,
+    options: {
+      responsive: true,
+      ...(chartType === 'horizontalBar' && { indexAxis: 'y' }),
+      plugins: {
+        title: {
+          display: true,
+          text: title,
+          font: {
+            size: 16,
+            weight: 'bold'
+          }
+        },
+        ...(subtitle && { subtitle: { display: true, text: subtitle } }),
+        legend: {
+          display: true,
+          position: 'top'
+        }
+      },
+      scales: buildScales(chartType, series, points)
+    }
+  };
+
+  return { chartType, config, warnings };
+}
+
+function checkValue(controller, value, at) {
+  if (value === null) {
+    return [];
+  }
+  switch (controller) {
+    case 'bubble':
+      return value && typeof value === 'object' && isNumber(value.x) && isNumber(value.y) && isNumber(value.r) && value.r >= 0
+        ? []
+        : [`${at} must be a { x, y, r } point with numbers and r >= 0`];
+    case 'scatter':
+      return value && typeof value === 'object' && (isNumber(value.x) || typeof value.x === 'string') && (isNumber(value.y) || value.y === null)
+        ? []
+        : [`${at} must be an { x, y } point`];
+    case 'pie':
+    case 'doughnut':
+    case 'polarArea':
+      return isNumber(value) && value >= 0 ? [] : [`${at} must be a number >= 0`];
+    case 'radar':
+      return isNumber(value) ? [] : [`${at} must be a number`];
+    default:
+      // bar and line take plain numbers or { x, y } points
+      return isNumber(value) || (value && typeof value === 'object' && 'y' in value && (isNumber(value.y) || value.y === null))
+        ? []
+        : [`${at} must be a number or an { x, y } point`];
+  }
+}
+
+// Check a configuration against the shape Chart.js expects; returns a list
+// of problems, empty when it can be drawn
+export function validateChartConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+  const errors = [];
+  if (!CONTROLLERS.includes(config.type)) {
+    return [`type must be one of: ${CONTROLLERS.join(', ')}`];
+  }
+  const radial = RADIAL.includes(config.type);
+
+  const { data } = config;
+  if (!data || typeof data !== 'object') {
+    return ['data must be an object'];
+  }
+  if (data.labels !== undefined && !Array.isArray(data.labels)) {
+    errors.push('data.labels must be an array');
+  }
+  if (!Array.isArray(data.datasets) || data.datasets.length === 0) {
+    return [...errors, 'data.datasets must be a non-empty array'];
+  }
+
+  data.datasets.forEach((dataset, index) => {
+    const at = `data.datasets[${index}]`;
+    if (!dataset || typeof dataset !== 'object' || !Array.isArray(dataset.data)) {
+      errors.push(`${at}.data must be an array`);
+      return;
+    }
+    const controller = dataset.type || config.type;
+    if (!CONTROLLERS.includes(controller)) {
+      errors.push(`${at}.type must be one of: ${CONTROLLERS.join(', ')}`);
+      return;
+    }
+    if (dataset.type && RADIAL.includes(dataset.type) !== radial) {
+      errors.push(`${at}.type ${dataset.type} cannot be mixed into a ${config.type} chart`);
+    }
+    dataset.data.forEach((value, i) => errors.push(...checkValue(controller, value, `${at}.data[${i}]`)));
+
+    const plain = dataset.data.some(value => typeof value === 'number');
+    if (plain && !['scatter', 'bubble'].includes(controller)) {
+      if (!Array.isArray(data.labels)) {
+        errors.push(`${at} has plain values, which need data.labels`);
+      } else if (dataset.data.length > data.labels.length) {
+        errors.push(`${at} has ${dataset.data.length} values for ${data.labels.length} labels`);
+      }
+    }
+  });
+
+  const options = config.options;
+  if (options !== undefined) {
+    if (!options || typeof options !== 'object') {
+      return [...errors, 'options must be an object'];
+    }
+    if (options.indexAxis !== undefined && !['x', 'y'].includes(options.indexAxis)) {
+      errors.push('options.indexAxis must be "x" or "y"');
+    }
+    const title = options.plugins?.title?.text;
+    if (title !== undefined && typeof title !== 'string' && !Array.isArray(title)) {
+      errors.push('options.plugins.title.text must be a string');
+    }
+
+    for (const [id, scale] of Object.entries(options.scales || {})) {
+      const at = `options.scales.${id}`;
+      if (!scale || typeof scale !== 'object') {
+        errors.push(`${at} must be an object`);
+        continue;
+      }
+      if (scale.type !== undefined && !SCALE_TYPES.includes(scale.type)) {
+        errors.push(`${at}.type must be one of: ${SCALE_TYPES.join(', ')}`);
+      }
+      if (radial && id !== 'r') {
+        errors.push(`${config.type} charts only have an "r" scale, not "${id}"`);
+      }
+      if (!radial && id === 'r') {
+        errors.push(`${config.type} charts have no "r" scale`);
+      }
+      if (['time', 'timeseries'].includes(scale.type) && Array.isArray(data.labels) &&
+        data.labels.some(label => Number.isNaN(Date.parse(label)))) {
+        errors.push(`${at} is a time axis, so data.labels must be dates`);
+      }
+    }
+  }
+
+  return errors;
+}
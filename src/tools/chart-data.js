@@ -0,0 +1,349 @@
+// Helpers that turn real inputs (attached CSV/JSON payloads, numbers written
+// in the query, RAG search results) into chart series.
+//
+// A series has the shape:
+// {
+//   labels: ['Jan', 'Feb'],
+//   datasets: [{ label: 'Revenue', data: [10, 20], source: { type, ref } }],
+//   source: { type: 'payload' | 'query' | 'dataset' | 'rag', ref }
+// }
+
+import { overlapScore, tokenize } from '../retrieval/lexical.js';
+import { CHART_TYPES } from './chart-config.js';
+
+const STOPWORDS = new Set([
+  'and', 'or', 'but', 'the', 'a', 'an', 'in', 'on', 'at', 'to', 'for', 'of',
+  'with', 'by', 'from', 'top', 'last', 'first', 'next', 'over', 'than', 'about',
+  'compare', 'between', 'show', 'plot', 'chart', 'graph', 'create', 'make'
+]);
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+// Knowledge base hits below this relevance (see retrieval/retriever.js) are
+// never charted
+export const CHART_MIN_RELEVANCE = 0.2;
+
+// Words of a chart request that say how to draw it rather than what to draw
+const DRAWING_WORDS = new Set([
+  ...STOPWORDS, ...CHART_TYPES.map(type => type.toLowerCase()), 'showing', 'shows', 'display', 'draw',
+  'data', 'values', 'numbers', 'visualize', 'visualise', 'visualization', 'visualisation', 'diagram', 'please'
+]);
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const cleaned = value.trim().replace(/[,$%]/g, '');
+  if (cleaned === '' || !/^-?\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+  return parseFloat(cleaned);
+}
+
+const isPoint = value => Boolean(value) && typeof value === 'object' && 'x' in value && 'y' in value;
+
+// Drop thousands separators ("1,200" -> "1200") so they are not read as lists
+function normalizeNumbers(text) {
+  return text.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+// Parse CSV text with a header row into { columns, rows }
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = splitCsvLine(lines[0]);
+  const rows = lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    const row = {};
+    columns.forEach((column, index) => {
+      const cell = cells[index] ?? '';
+      const number = toNumber(cell);
+      row[column] = number === null ? cell : number;
+    });
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+// Build a series from an array of row objects. The first non-numeric column
+// becomes the labels, every numeric column becomes a dataset.
+export function fromRows(rows, source = { type: 'payload', ref: 'rows' }) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return null;
+  }
+
+  const columns = Object.keys(rows[0]);
+  const numericColumns = columns.filter(column =>
+    rows.every(row => toNumber(row[column]) !== null)
+  );
+  const labelColumn = columns.find(column => !numericColumns.includes(column));
+
+  const valueColumns = numericColumns.filter(column => column !== labelColumn);
+  if (valueColumns.length === 0) {
+    return null;
+  }
+
+  return {
+    labels: rows.map((row, index) =>
+      labelColumn ? String(row[labelColumn]) : `Item ${index + 1}`
+    ),
+    datasets: valueColumns.map(column => ({
+      label: column,
+      data: rows.map(row => toNumber(row[column])),
+      source: { ...source, column }
+    })),
+    source
+  };
+}
+
+// Build a series from an attached payload: CSV text, JSON text, an array of
+// rows or numbers, a { labels, datasets } object or a { label: value } map.
+export function fromPayload(payload) {
+  if (payload === null || payload === undefined || payload === '') {
+    return null;
+  }
+
+  if (typeof payload === 'string') {
+    const trimmed = payload.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        return fromPayload(JSON.parse(trimmed));
+      } catch (error) {
+        // Not JSON, try CSV below
+      }
+    }
+    const { rows } = parseCsv(trimmed);
+    return fromRows(rows, { type: 'payload', ref: 'csv' });
+  }
+
+  if (Array.isArray(payload)) {
+    if (payload.every(value => toNumber(value) !== null)) {
+      const source = { type: 'payload', ref: 'json' };
+      return {
+        labels: payload.map((value, index) => `Item ${index + 1}`),
+        datasets: [{ label: 'Value', data: payload.map(toNumber), source }],
+        source
+      };
+    }
+    return fromRows(payload, { type: 'payload', ref: 'json' });
+  }
+
+  if (typeof payload === 'object') {
+    if (Array.isArray(payload.labels) && Array.isArray(payload.datasets)) {
+      const source = payload.source || { type: 'payload', ref: 'json' };
+      const datasets = payload.datasets
+        .filter(dataset => Array.isArray(dataset.data))
+        .map((dataset, index) => ({
+          label: dataset.label || `Dataset ${index + 1}`,
+          data: dataset.data.map(value => toNumber(isPoint(value) ? value.y : value)),
+          source: dataset.source || source
+        }));
+      return datasets.length > 0
+        ? { labels: payload.labels.map(String), datasets, source }
+        : null;
+    }
+
+    // Scatter and bubble data: { x, y } points without labels; the x values
+    // of the first dataset become the labels
+    if (Array.isArray(payload.datasets) && Array.isArray(payload.datasets[0]?.data) && payload.datasets[0].data.every(isPoint)) {
+      const labels = payload.datasets[0].data.map(point => String(point.x));
+      return fromPayload({ ...payload, labels });
+    }
+
+    if (Array.isArray(payload.rows)) {
+      return fromRows(payload.rows, { type: 'payload', ref: 'json' });
+    }
+
+    const entries = Object.entries(payload).filter(([, value]) => toNumber(value) !== null);
+    if (entries.length > 0) {
+      const source = { type: 'payload', ref: 'json' };
+      return {
+        labels: entries.map(([label]) => label),
+        datasets: [{ label: 'Value', data: entries.map(([, value]) => toNumber(value)), source }],
+        source
+      };
+    }
+  }
+
+  return null;
+}
+
+// Find "label: value" / "label = value" / "Label 42" pairs in free text
+export function extractPairs(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const normalized = normalizeNumbers(text);
+  const pairs = [];
+  const seen = new Set();
+  const addPair = (label, value) => {
+    const cleanLabel = label.trim().replace(/\s+/g, ' ');
+    const key = cleanLabel.toLowerCase();
+    if (!cleanLabel || STOPWORDS.has(key) || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    pairs.push({ label: cleanLabel, value: parseFloat(value) });
+  };
+
+  const explicit = new RegExp(`([A-Za-z][\\w .\\/&'-]{0,40}?)\\s*[:=]\\s*${NUMBER}`, 'g');
+  for (const match of normalized.matchAll(explicit)) {
+    addPair(match[1], match[2]);
+  }
+
+  if (pairs.length < 2) {
+    const implicit = new RegExp(
+      `\\b([A-Za-z][A-Za-z0-9_'-]*)\\s+${NUMBER}(?!\\d)%?(?=\\s|[,;)]|$|\\.(?!\\d))`,
+      'g'
+    );
+    for (const match of normalized.matchAll(implicit)) {
+      const value = parseFloat(match[2]);
+      // Bare years ("in 2024") are almost always labels, not values
+      if (Number.isInteger(value) && value >= 1900 && value <= 2100) {
+        continue;
+      }
+      addPair(match[1], match[2]);
+    }
+  }
+
+  return pairs;
+}
+
+// Build a series from numbers written inline in the query
+export function fromText(text, source = { type: 'query', ref: 'query' }) {
+  const pairs = extractPairs(text);
+  if (pairs.length >= 2) {
+    return {
+      labels: pairs.map(pair => pair.label),
+      datasets: [{ label: 'Value', data: pairs.map(pair => pair.value), source }],
+      source
+    };
+  }
+
+  // Plain lists such as "10, 20, 30"
+  const list = normalizeNumbers(text || '').match(/-?\d+(?:\.\d+)?(?:\s*,\s*-?\d+(?:\.\d+)?){2,}/);
+  if (list) {
+    const values = list[0].split(',').map(value => parseFloat(value));
+    return {
+      labels: values.map((value, index) => `Item ${index + 1}`),
+      datasets: [{ label: 'Value', data: values, source }],
+      source
+    };
+  }
+
+  return null;
+}
+
+// Count enumerated items such as "Supervised Learning (Linear Regression, SVM)"
+function extractEnumerations(text) {
+  const counts = [];
+  const pattern = /(?:\d+\)\s*)?([A-Z][A-Za-z -]{1,40}?)\s*\(([^()]+)\)/g;
+  for (const match of (text || '').matchAll(pattern)) {
+    const items = match[2].split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length >= 2) {
+      counts.push({ label: match[1].trim(), value: items.length });
+    }
+  }
+  return counts;
+}
+
+// The words of a chart request that name its subject: "bar chart showing
+// sales data for Q1" -> ['sales', 'q1']
+export function subjectTerms(query) {
+  return [...new Set(tokenize(query).filter(term => !DRAWING_WORDS.has(term)))];
+}
+
+// Build a series from RAG search results about the query's subject. Hits
+// below CHART_MIN_RELEVANCE or sharing no subject term with the query are
+// skipped, so unrelated numbers are never charted. Numeric pairs in the
+// answers are preferred; otherwise enumerated lists are counted.
+export function fromSearchResults(results, query) {
+  const subject = subjectTerms(query).join(' ');
+  results = (Array.isArray(results) ? results : []).filter(result =>
+    (result.relevance ?? 0) >= CHART_MIN_RELEVANCE && subject && overlapScore(subject, `${result.question || ''} ${result.answer || ''}`) > 0);
+  if (results.length === 0) {
+    return null;
+  }
+
+  for (const [extract, datasetLabel] of [[extractPairs, 'Value'], [extractEnumerations, 'Count']]) {
+    const points = [];
+    const fileIds = [];
+    const seen = new Set();
+
+    for (const result of results) {
+      const found = extract(result.answer).filter(point => !seen.has(point.label.toLowerCase()));
+      found.forEach(point => seen.add(point.label.toLowerCase()));
+      if (found.length > 0) {
+        points.push(...found);
+        fileIds.push(result.fileId);
+      }
+    }
+
+    if (points.length >= 2) {
+      const source = { type: 'rag', ref: fileIds };
+      return {
+        labels: points.map(point => point.label),
+        datasets: [{ label: datasetLabel, data: points.map(point => point.value), source }],
+        source
+      };
+    }
+  }
+
+  return null;
+}
+
+// Short human readable description of where a series came from
+export function describeSource(source) {
+  if (!source) {
+    return 'unknown';
+  }
+  switch (source.type) {
+    case 'payload':
+      return `attached ${source.ref} data`;
+    case 'query':
+      return 'values in the query';
+    case 'dataset':
+      return `dataset ${source.ref}`;
+    case 'rag':
+      return `knowledge base (${[].concat(source.ref).join(', ')})`;
+    default:
+      return source.ref ? `${source.type} (${source.ref})` : source.type;
+  }
+}
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import HttpError from '../utils/http-error.js';
+import { validateChartConfig } from './chart-config.js';
+
+dotenv.config();
+
+export const RENDER_FORMATS = ['png', 'svg'];
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+// Colors applied where the configuration sets none; dataset colors are kept
+export const THEMES = {
+  light: { background: '#ffffff', text: '#444444', grid: 'rgba(0, 0, 0, 0.1)' },
+  dark: { background: '#1e1e1e', text: '#e0e0e0', grid: 'rgba(255, 255, 255, 0.15)' },
+  transparent: { background: null, text: '#444444', grid: 'rgba(0, 0, 0, 0.1)' }
+};
+
+// Skia maps the generic "sans-serif" to a serif face, so name common fonts first
+const FONT_FAMILY = "Helvetica, Arial, 'DejaVu Sans', 'Liberation Sans', sans-serif";
+
+const RADIAL = ['pie', 'doughnut', 'polarArea', 'radar'];
+
+const MIN_SIZE = 100;
+const MAX_SIZE = 4000;
+
+function validateSize(name, value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    throw new HttpError(400, `${name} must be a whole number of pixels between ${MIN_SIZE} and ${MAX_SIZE}`);
+  }
+  return size;
+}
+
+// The `render` option of a request: a format ("png" or "svg") or
+// { format, width, height, theme }; null when nothing is to be rendered
+export function parseRenderOptions(value, defaults = {}) {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+  const options = typeof value === 'string' ? { format: value } : value;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new HttpError(400, `render must be one of ${RENDER_FORMATS.join(', ')} or an object with format, width, height and theme`);
+  }
+
+  const format = options.format ?? defaults.format ?? 'png';
+  if (!RENDER_FORMATS.includes(format)) {
+    throw new HttpError(400, `Render format must be one of: ${RENDER_FORMATS.join(', ')}`);
+  }
+  const theme = options.theme ?? defaults.theme ?? 'light';
+  if (!(theme in THEMES)) {
+    throw new HttpError(400, `Theme must be one of: ${Object.keys(THEMES).join(', ')}`);
+  }
+  return {
+    format,
+    width: validateSize('width', options.width, defaults.width ?? 800),
+    height: validateSize('height', options.height, defaults.height ?? 450),
+    theme
+  };
+}
+
+// Fill in the keys of `defaults` an object does not set
+function withDefaults(target, defaults) {
+  const result = { ...(target || {}) };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (result[key] === undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// A copy of `config` set up for a fixed-size canvas and colored by `theme`
+function themedConfig(config, theme) {
+  const copy = structuredClone(config);
+  const colors = THEMES[theme];
+  const options = copy.options || {};
+  const plugins = options.plugins || {};
+  // Cartesian charts get x and y axes even where Chart.js would add them
+  const axes = RADIAL.includes(copy.type) ? {} : { x: {}, y: {} };
+
+  const scales = Object.fromEntries(Object.entries({ ...axes, ...options.scales }).map(([id, scale]) => {
+    const themed = {
+      ...scale,
+      ticks: withDefaults(scale.ticks, { color: colors.text, backdropColor: 'transparent' }),
+      grid: withDefaults(scale.grid, { color: colors.grid }),
+      title: withDefaults(scale.title, { color: colors.text })
+    };
+    if (id === 'r') {
+      themed.pointLabels = withDefaults(scale.pointLabels, { color: colors.text });
+      themed.angleLines = withDefaults(scale.angleLines, { color: colors.grid });
+    }
+    return [id, themed];
+  }));
+
+  copy.options = {
+    ...options,
+    responsive: false,
+    maintainAspectRatio: false,
+    animation: false,
+    devicePixelRatio: 1,
+    color: options.color ?? colors.text,
+    scales,
+    plugins: {
+      ...plugins,
+      title: withDefaults(plugins.title, { color: colors.text }),
+      subtitle: withDefaults(plugins.subtitle, { color: colors.text }),
+      legend: { ...plugins.legend, labels: withDefaults(plugins.legend?.labels, { color: colors.text }) }
+    }
+  };
+
+  if (colors.background) {
+    copy.plugins = [...(copy.plugins || []), {
+      id: 'background',
+      beforeDraw: chart => {
+        const { ctx, width, height } = chart;
+        ctx.save();
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+      }
+    }];
+  }
+  return copy;
+}
+
+// Draws chart tool configurations to PNG or SVG with Chart.js on a headless
+// canvas. Images are cached by a hash of the configuration and the render
+// options, so the same chart is only drawn once.
+class ChartRenderer {
+  constructor({
+    width = parseInt(process.env.CHART_RENDER_WIDTH) || 800,
+    height = parseInt(process.env.CHART_RENDER_HEIGHT) || 450,
+    theme = process.env.CHART_RENDER_THEME || 'light',
+    fontFamily = process.env.CHART_RENDER_FONT || FONT_FAMILY,
+    cacheSize = parseInt(process.env.CHART_RENDER_CACHE_SIZE) || 100
+  } = {}) {
+    this.defaults = { width, height, theme };
+    this.fontFamily = fontFamily;
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+    this.modules = null;
+  }
+
+  // The canvas and Chart.js are loaded on first use, so the server starts
+  // (without rendering) where the canvas binary is not available
+  load() {
+    if (!this.modules) {
+      this.modules = Promise.all([
+        import('@napi-rs/canvas'),
+        import('chart.js')
+      ]).then(async ([canvas, chartJs]) => {
+        // The time scale needs a date adapter
+        await import('chartjs-adapter-date-fns');
+        chartJs.Chart.register(...chartJs.registerables);
+        chartJs.Chart.defaults.font.family = this.fontFamily;
+        return { ...canvas, Chart: chartJs.Chart };
+      });
+    }
+    return this.modules.catch(error => {
+      throw new HttpError(503, `Chart rendering is unavailable: ${error.message}`);
+    });
+  }
+
+  // The `render` option of a request with this renderer's defaults, or null
+  options(value) {
+    return parseRenderOptions(value, this.defaults);
+  }
+
+  // Render a Chart.js configuration: { key, format, contentType, width, height,
+  // theme, data (a Buffer), cached }
+  async render(config, renderOptions = {}) {
+    const options = this.options(renderOptions);
+    const errors = config && typeof config === 'object' ? validateChartConfig(config) : ['the configuration must be an object'];
+    if (errors.length > 0) {
+      throw new HttpError(400, `Invalid chart configuration: ${errors.join('; ')}`);
+    }
+
+    const key = crypto.createHash('sha256').update(JSON.stringify({ config, ...options })).digest('hex').slice(0, 32);
+    const image = { key, ...options, contentType: CONTENT_TYPES[options.format] };
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Most recently used last
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return { ...image, data: cached, cached: true };
+    }
+
+    const data = await this.draw(config, options);
+    this.cache.set(key, data);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return { ...image, data, cached: false };
+  }
+
+  async draw(config, { format, width, height, theme }) {
+    const { createCanvas, SvgExportFlag, Chart } = await this.load();
+    // Text in SVGs is drawn as paths, so they look the same without the fonts
+    const canvas = format === 'svg'
+      ? createCanvas(width, height, SvgExportFlag.ConvertTextToPaths)
+      : createCanvas(width, height);
+
+    let chart;
+    try {
+      chart = new Chart(canvas.getContext('2d'), themedConfig(config, theme));
+      return format === 'svg' ? canvas.getContent() : await canvas.encode('png');
+    } catch (error) {
+      throw new HttpError(422, `Chart could not be rendered: ${error.message}`);
+    } finally {
+      chart?.destroy();
+    }
+  }
+
+  stats() {
+    return {
+      entries: this.cache.size,
+      maxEntries: this.cacheSize,
+      bytes: [...this.cache.values()].reduce((total, data) => total + data.length, 0)
+    };
+  }
+}
+
+export default ChartRenderer;
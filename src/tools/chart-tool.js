@@ -1,7 +1,11 @@
 import { Tool } from '@langchain/core/tools';
+import { fromPayload, describeSource } from './chart-data.js';
+import { CHART_TYPES, buildChartConfig, validateChartConfig } from './chart-config.js';
+import { aggregate, parseAggregationRequest } from './dataset-query.js';
+import defaultDatasetStore from '../stores/dataset-store.js';
 
 class ChartTool extends Tool {
-  constructor() {
+  constructor({ datasetStore = defaultDatasetStore } = {}) {
     super({
       name: 'chart_tool',
       description: 'Generates Chart.js configuration for data visualization. Use this when the user asks for charts, graphs, or data visualization.',
@@ -10,8 +14,7 @@ class ChartTool extends Tool {
         properties: {
           chartType: {
             type: 'string',
-            description: 'The type of chart to generate (line, bar, pie, doughnut, radar)',
-            enum: ['line', 'bar', 'pie', 'doughnut', 'radar']
+            description: `The type of chart to generate (${CHART_TYPES.join(', ')}); other names are drawn as the nearest of these`
           },
           data: {
             type: 'string',
@@ -20,84 +23,99 @@ class ChartTool extends Tool {
           title: {
             type: 'string',
             description: 'Title for the chart'
+          },
+          labels: {
+            type: 'array',
+            description: 'Category labels for the x axis or slices',
+            items: { type: 'string' }
+          },
+          datasets: {
+            type: 'array',
+            description: 'Series to plot, each with a label, numeric data and its source',
+            items: { type: 'object' }
+          },
+          payload: {
+            description: 'Raw CSV text or JSON rows to plot when labels/datasets are not given'
+          },
+          dataset: {
+            type: 'string',
+            description: 'Name or id of a stored dataset to aggregate and plot'
+          },
+          aggregation: {
+            type: 'object',
+            description: 'Aggregation spec (groupBy, timeBucket, metrics, filters, sort, limit) for the dataset'
+          },
+          tenantId: {
+            type: 'string',
+            description: 'Tenant that owns the dataset'
           }
         },
         required: ['chartType', 'data', 'title']
       }
     });
+
+    this.datasetStore = datasetStore;
   }
 
   async _call(input) {
     try {
-      let chartType, data, title;
+      let params;
       
       // Handle different input formats
       if (typeof input === 'string') {
         try {
-          const parsed = JSON.parse(input);
-          chartType = parsed.chartType;
-          data = parsed.data;
-          title = parsed.title;
+          params = JSON.parse(input);
         } catch (e) {
-          // If JSON parsing fails, use input as data
-          chartType = 'bar';
-          data = input;
-          title = 'Chart';
+          // If JSON parsing fails, treat the input as a raw CSV payload
+          params = { payload: input };
         }
       } else if (input && typeof input === 'object') {
-        // Handle object input
-        chartType = input.chartType;
-        data = input.data;
-        title = input.title;
+        params = input;
       } else {
-        // Fallback
-        chartType = 'bar';
-        data = 'Data';
-        title = 'Chart';
+        params = {};
       }
       
       // Set defaults if any are missing
-      chartType = chartType || 'bar';
-      data = data || 'Data';
-      title = title || 'Chart';
+      const chartType = params.chartType || 'bar';
+      const title = params.title || 'Chart';
+      const description = typeof params.data === 'string' ? params.data : 'Data';
       
-      console.log('Chart tool input:', { chartType, data, title });
+      console.log('Chart tool input:', { chartType, data: description, title });
       
-      // Generate mock data based on chart type
-      const mockData = this.generateMockData(chartType, data);
-      
-      // Create Chart.js configuration
-      const chartConfig = {
-        type: chartType,
-        data: mockData,
-        options: {
-          responsive: true,
-          plugins: {
-            title: {
-              display: true,
-              text: title,
-              font: {
-                size: 16,
-                weight: 'bold'
-              }
-            },
-            legend: {
-              display: true,
-              position: 'top'
-            }
-          },
-          scales: chartType !== 'pie' && chartType !== 'doughnut' ? {
-            y: {
-              beginAtZero: true
-            }
-          } : undefined
-        }
-      };
+      const series = this.resolveSeries(params);
+
+      if (!series) {
+        return JSON.stringify({
+          success: false,
+          error: 'No numeric data available to chart',
+          message: 'Provide values in the query, attach CSV/JSON data, or ask about data in the knowledge base'
+        });
+      }
+
+      const { chartType: drawn, config: chartConfig, warnings } = buildChartConfig(chartType, series, {
+        title,
+        subtitle: `Source: ${this.describeSources(series)}`
+      });
+
+      const errors = validateChartConfig(chartConfig);
+      if (errors.length > 0) {
+        return JSON.stringify({
+          success: false,
+          error: `Generated chart configuration is invalid: ${errors.join('; ')}`,
+          message: 'Failed to generate chart configuration'
+        });
+      }
 
       return JSON.stringify({
         success: true,
         chartConfig,
-        message: `Generated ${chartType} chart configuration for: ${title}`
+        chartType: drawn,
+        warnings,
+        dataSources: series.datasets.map(dataset => ({
+          dataset: dataset.label,
+          ...dataset.source
+        })),
+        message: `Generated ${drawn} chart configuration for: ${title}`
       });
 
     } catch (error) {
@@ -109,119 +127,31 @@ class ChartTool extends Tool {
     }
   }
 
-  generateMockData(chartType, dataDescription) {
-    const baseData = {
-      labels: ['January', 'February', 'March', 'April', 'May', 'June'],
-      datasets: []
-    };
-
-    switch (chartType) {
-      case 'line':
-        baseData.datasets = [
-          {
-            label: 'Dataset 1',
-            data: [65, 59, 80, 81, 56, 55],
-            borderColor: 'rgb(75, 192, 192)',
-            backgroundColor: 'rgba(75, 192, 192, 0.2)',
-            tension: 0.1
-          },
-          {
-            label: 'Dataset 2',
-            data: [28, 48, 40, 19, 86, 27],
-            borderColor: 'rgb(255, 99, 132)',
-            backgroundColor: 'rgba(255, 99, 132, 0.2)',
-            tension: 0.1
-          }
-        ];
-        break;
-
-      case 'bar':
-        baseData.datasets = [
-          {
-            label: 'Sales',
-            data: [12, 19, 3, 5, 2, 3],
-            backgroundColor: [
-              'rgba(255, 99, 132, 0.2)',
-              'rgba(54, 162, 235, 0.2)',
-              'rgba(255, 206, 86, 0.2)',
-              'rgba(75, 192, 192, 0.2)',
-              'rgba(153, 102, 255, 0.2)',
-              'rgba(255, 159, 64, 0.2)'
-            ],
-            borderColor: [
-              'rgba(255, 99, 132, 1)',
-              'rgba(54, 162, 235, 1)',
-              'rgba(255, 206, 86, 1)',
-              'rgba(75, 192, 192, 1)',
-              'rgba(153, 102, 255, 1)',
-              'rgba(255, 159, 64, 1)'
-            ],
-            borderWidth: 1
-          }
-        ];
-        break;
-
-      case 'pie':
-      case 'doughnut':
-        baseData.labels = ['Red', 'Blue', 'Yellow', 'Green', 'Purple', 'Orange'];
-        baseData.datasets = [
-          {
-            data: [12, 19, 3, 5, 2, 3],
-            backgroundColor: [
-              'rgba(255, 99, 132, 0.8)',
-              'rgba(54, 162, 235, 0.8)',
-              'rgba(255, 206, 86, 0.8)',
-              'rgba(75, 192, 192, 0.8)',
-              'rgba(153, 102, 255, 0.8)',
-              'rgba(255, 159, 64, 0.8)'
-            ],
-            borderWidth: 2,
-            borderColor: '#fff'
-          }
-        ];
-        break;
-
-      case 'radar':
-        baseData.labels = ['Speed', 'Reliability', 'Comfort', 'Safety', 'Efficiency', 'Durability'];
-        baseData.datasets = [
-          {
-            label: 'Product A',
-            data: [65, 59, 90, 81, 56, 55],
-            fill: true,
-            backgroundColor: 'rgba(54, 162, 235, 0.2)',
-            borderColor: 'rgb(54, 162, 235)',
-            pointBackgroundColor: 'rgb(54, 162, 235)',
-            pointBorderColor: '#fff',
-            pointHoverBackgroundColor: '#fff',
-            pointHoverBorderColor: 'rgb(54, 162, 235)'
-          },
-          {
-            label: 'Product B',
-            data: [28, 48, 40, 19, 96, 27],
-            fill: true,
-            backgroundColor: 'rgba(255, 99, 132, 0.2)',
-            borderColor: 'rgb(255, 99, 132)',
-            pointBackgroundColor: 'rgb(255, 99, 132)',
-            pointBorderColor: '#fff',
-            pointHoverBackgroundColor: '#fff',
-            pointHoverBorderColor: 'rgb(255, 99, 132)'
-          }
-        ];
-        break;
-
-      default:
-        baseData.datasets = [
-          {
-            label: 'Default Dataset',
-            data: [1, 2, 3, 4, 5, 6],
-            backgroundColor: 'rgba(75, 192, 192, 0.2)',
-            borderColor: 'rgb(75, 192, 192)',
-            borderWidth: 1
-          }
-        ];
+  // Explicit labels/datasets win over a stored dataset, which wins over a raw
+  // payload; a non-string `data` field is treated as a payload as well
+  resolveSeries(params) {
+    if (Array.isArray(params.labels) && Array.isArray(params.datasets)) {
+      return fromPayload({ labels: params.labels, datasets: params.datasets, source: params.source });
+    }
+    if (params.dataset) {
+      const dataset = this.datasetStore.get(params.dataset, params.tenantId);
+      if (!dataset) {
+        throw new Error(`Dataset "${params.dataset}" not found`);
+      }
+      return aggregate(dataset, params.aggregation || parseAggregationRequest(dataset, params.data));
+    }
+    if (params.payload !== undefined) {
+      return fromPayload(params.payload);
     }
+    if (params.data && typeof params.data === 'object') {
+      return fromPayload(params.data);
+    }
+    return null;
+  }
 
-    return baseData;
+  describeSources(series) {
+    const descriptions = series.datasets.map(dataset => describeSource(dataset.source || series.source));
+    return [...new Set(descriptions)].join('; ');
   }
 }
 
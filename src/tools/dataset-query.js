@@ -0,0 +1,222 @@
+// Aggregations over stored datasets (group-by, sum/avg/count/min/max and
+// time bucketing), producing chart series for ChartTool.
+//
+// An aggregation spec looks like:
+// {
+//   groupBy: 'region',                              // or null for one bucket
+//   timeBucket: { column: 'date', unit: 'month' },  // instead of groupBy
+//   metrics: [{ column: 'revenue', op: 'sum' }],     // column ignored for count
+//   filters: [{ column: 'region', op: 'eq', value: 'EU' }],
+//   sort: 'label' | 'value' | 'none',
+//   limit: 12
+// }
+
+export const AGGREGATE_OPS = ['sum', 'avg', 'count', 'min', 'max'];
+export const TIME_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const OP_KEYWORDS = [
+  [/\b(average|avg|mean)\b/, 'avg'],
+  [/\b(count|number of|how many)\b/, 'count'],
+  [/\b(min|minimum|lowest)\b/, 'min'],
+  [/\b(max|maximum|highest|peak)\b/, 'max'],
+  [/\b(sum|total)\b/, 'sum']
+];
+
+const FILTER_OPS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  contains: (a, b) => String(a ?? '').toLowerCase().includes(String(b).toLowerCase())
+};
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Bucket key for a date value; keys sort chronologically as strings
+export function bucketDate(value, unit) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+
+  switch (unit) {
+    case 'day':
+      return `${year}-${pad(month)}-${pad(date.getUTCDate())}`;
+    case 'week': {
+      // ISO week: the Thursday of the week decides its year
+      const thursday = new Date(Date.UTC(year, date.getUTCMonth(), date.getUTCDate()));
+      thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+      const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+      const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+      return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+    }
+    case 'month':
+      return `${year}-${pad(month)}`;
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'year':
+      return String(year);
+    default:
+      throw new Error(`Unknown time unit "${unit}". Use one of: ${TIME_UNITS.join(', ')}`);
+  }
+}
+
+function reduce(values, op) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  switch (op) {
+    case 'count':
+      return values.length;
+    case 'sum':
+      return numbers.reduce((total, value) => total + value, 0);
+    case 'avg':
+      return numbers.length > 0
+        ? numbers.reduce((total, value) => total + value, 0) / numbers.length
+        : null;
+    case 'min':
+      return numbers.length > 0 ? Math.min(...numbers) : null;
+    case 'max':
+      return numbers.length > 0 ? Math.max(...numbers) : null;
+    default:
+      throw new Error(`Unknown aggregate "${op}". Use one of: ${AGGREGATE_OPS.join(', ')}`);
+  }
+}
+
+function checkColumn(dataset, column) {
+  if (!dataset.schema.some(entry => entry.name === column)) {
+    throw new Error(`Dataset "${dataset.name}" has no column "${column}"`);
+  }
+}
+
+// Run an aggregation spec against a dataset and return a chart series
+export function aggregate(dataset, spec = {}) {
+  const metrics = spec.metrics && spec.metrics.length > 0 ? spec.metrics : [{ op: 'count' }];
+  const filters = spec.filters || [];
+
+  for (const metric of metrics) {
+    if (metric.op !== 'count') {
+      checkColumn(dataset, metric.column);
+    }
+  }
+  for (const filter of filters) {
+    checkColumn(dataset, filter.column);
+    if (!FILTER_OPS[filter.op || 'eq']) {
+      throw new Error(`Unknown filter operator "${filter.op}"`);
+    }
+  }
+  if (spec.groupBy) {
+    checkColumn(dataset, spec.groupBy);
+  }
+  if (spec.timeBucket) {
+    checkColumn(dataset, spec.timeBucket.column);
+  }
+
+  const rows = dataset.rows.filter(row =>
+    filters.every(filter => FILTER_OPS[filter.op || 'eq'](row[filter.column], filter.value))
+  );
+
+  const groups = new Map();
+  for (const row of rows) {
+    let key;
+    if (spec.timeBucket) {
+      key = bucketDate(row[spec.timeBucket.column], spec.timeBucket.unit);
+    } else if (spec.groupBy) {
+      key = row[spec.groupBy] === null ? '(empty)' : String(row[spec.groupBy]);
+    } else {
+      key = 'All';
+    }
+    if (key === null) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  let entries = [...groups.entries()].map(([label, groupRows]) => ({
+    label,
+    values: metrics.map(metric => reduce(
+      metric.op === 'count' ? groupRows : groupRows.map(row => row[metric.column]),
+      metric.op
+    ))
+  }));
+
+  const sort = spec.sort || (spec.timeBucket ? 'label' : 'none');
+  if (sort === 'label') {
+    entries.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+  } else if (sort === 'value') {
+    entries.sort((a, b) => (b.values[0] ?? 0) - (a.values[0] ?? 0));
+  }
+  if (spec.limit) {
+    entries = entries.slice(0, spec.limit);
+  }
+
+  const source = { type: 'dataset', ref: dataset.name, datasetId: dataset.id };
+  return {
+    labels: entries.map(entry => entry.label),
+    datasets: metrics.map((metric, index) => ({
+      label: metric.op === 'count' ? 'count' : `${metric.op}(${metric.column})`,
+      data: entries.map(entry => entry.values[index]),
+      source: { ...source, aggregate: metric.op, ...(metric.column && { column: metric.column }) }
+    })),
+    source
+  };
+}
+
+function findColumn(dataset, text, types) {
+  const lower = text.toLowerCase();
+  return dataset.schema
+    .filter(column => !types || types.includes(column.type))
+    .filter(column => new RegExp(`\\b${column.name.toLowerCase().replace(/[^a-z0-9]+/g, '[\\s_-]?')}\\b`).test(lower))
+    .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+// Derive an aggregation spec from a natural language request such as
+// "plot average revenue by month from sales_2024"
+export function parseAggregationRequest(dataset, text) {
+  const lower = String(text || '').toLowerCase();
+  const op = (OP_KEYWORDS.find(([pattern]) => pattern.test(lower)) || [null, null])[1];
+
+  const byMatch = lower.match(/\b(?:by|per|over|each)\s+([a-z0-9_ -]+?)(?=\s+(?:from|in|for|of|as|using)\b|[,.;]|$)/);
+  const byText = byMatch ? byMatch[1].trim() : '';
+  const [metricText] = lower.split(/\b(?:by|per|over|each)\b/);
+
+  const spec = { metrics: [] };
+
+  const byWord = byText.split(/\s+/)[0];
+  const unit = TIME_UNITS.find(candidate => new RegExp(`^${candidate}(ly|s)?$`).test(byWord)) ||
+    (byWord === 'daily' ? 'day' : null);
+  const dateColumn = dataset.schema.find(column => column.type === 'date');
+  const groupColumn = byText ? findColumn(dataset, byText) : null;
+
+  if (groupColumn && groupColumn.type === 'date' && !unit) {
+    spec.timeBucket = { column: groupColumn.name, unit: 'month' };
+  } else if (groupColumn) {
+    spec.groupBy = groupColumn.name;
+  } else if (unit && dateColumn) {
+    spec.timeBucket = { column: dateColumn.name, unit };
+  } else {
+    const firstText = dataset.schema.find(column => column.type === 'string');
+    if (firstText) {
+      spec.groupBy = firstText.name;
+    }
+  }
+
+  const numeric = findColumn(dataset, metricText, ['number']) ||
+    (op !== 'count' && dataset.schema.find(column => column.type === 'number' && column.name !== spec.groupBy));
+
+  if (op === 'count' || !numeric) {
+    spec.metrics.push({ op: 'count' });
+  } else {
+    spec.metrics.push({ column: numeric.name, op: op || 'sum' });
+  }
+
+  return spec;
+}
@@ -0,0 +1,187 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import HttpError from '../utils/http-error.js';
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// Names the router uses for "no tool"
+const RESERVED_NAMES = ['direct', 'both', 'none'];
+
+// A tool is a plain object:
+// {
+//   name: 'calculator',                 // lower case, used by the router
+//   description: 'What it does and when to use it',
+//   schema: { type: 'object', ... },    // JSON schema of the handler input
+//   handler: async (input, context) => ({ success, answer, error, ... }),
+//   prepare?: async (context, args) => input,  // build the input; defaults to the router's arguments
+//   match?: (query, context) => 0..1,   // keyword confidence for the fallback router
+//   node?: 'calculator_tool',           // graph node name
+//   timeoutMs?: 30000,
+//   enabled?: true,                     // enabled unless a request turns it off
+//   fallback?: false,                   // used when nothing else matches
+//   failureMessage?: "I couldn't ...",  // lead-in when it fails next to a tool that worked
+//   describe?: result => ({ message })  // progress event details
+// }
+//
+// `context` carries { query, tenantId, history, attachment, previousChart,
+// retrieval, grounding, signal, onToken }. onToken is only set when the tool's
+// answer is the final answer, so a tool that can stream should use it.
+//
+// Results may also carry `context` (text for the combine prompt), chartConfig,
+// fileIds, citations and references; the agent merges them into the response.
+
+// Check a value against the subset of JSON schema the tools use: type,
+// properties, required, enum and items
+export function validateInput(schema, value, at = 'input') {
+  if (!schema) {
+    return [];
+  }
+
+  const errors = [];
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(expected => expected === type ||
+      (expected === 'integer' && Number.isInteger(value)) ||
+      (expected === 'number' && type === 'number' && !Number.isNaN(value)));
+    if (!matches) {
+      return [`${at} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${at}.${name} is required`);
+      }
+    }
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        errors.push(...validateInput(property, value[name], `${at}.${name}`));
+      }
+    }
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateInput(schema.items, item, `${at}[${index}]`)));
+  }
+
+  return errors;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    // Bumped on every change so the agent knows to rebuild its graph
+    this.version = 0;
+  }
+
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '') || RESERVED_NAMES.includes(tool.name)) {
+      throw new Error(`Invalid tool name "${tool?.name}": use lower case letters, digits and "_", not ${RESERVED_NAMES.join('/')}`);
+    }
+    if (!tool.description || typeof tool.handler !== 'function') {
+      throw new Error(`Tool "${tool.name}" needs a description and a handler`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      schema: { type: 'object', properties: {} },
+      node: `${tool.name}_tool`,
+      enabled: true,
+      ...tool
+    });
+    this.version++;
+    return this;
+  }
+
+  unregister(name) {
+    const removed = this.tools.delete(name);
+    if (removed) {
+      this.version++;
+    }
+    return removed;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  all() {
+    return [...this.tools.values()];
+  }
+
+  // Public description for GET /tools
+  list() {
+    return this.all().map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      schema: tool.schema,
+      enabled: tool.enabled,
+      node: tool.node,
+      ...(tool.fallback && { fallback: true })
+    }));
+  }
+
+  // Names of the tools a request may use. `selection` is a list of tool names
+  // (only those) or { enable: [...], disable: [...] } applied to the defaults.
+  resolve(selection) {
+    const defaults = this.all().filter(tool => tool.enabled).map(tool => tool.name);
+    if (selection === undefined || selection === null) {
+      return defaults;
+    }
+
+    const check = names => {
+      if (!Array.isArray(names)) {
+        throw new HttpError(400, 'tools must be a list of tool names or { enable, disable }');
+      }
+      const unknown = names.filter(name => !this.tools.has(name));
+      if (unknown.length > 0) {
+        throw new HttpError(400, `Unknown tool(s): ${unknown.join(', ')}. Available: ${[...this.tools.keys()].join(', ')}`);
+      }
+      return names;
+    };
+
+    if (Array.isArray(selection)) {
+      return check(selection);
+    }
+    if (typeof selection !== 'object') {
+      throw new HttpError(400, 'tools must be a list of tool names or { enable, disable }');
+    }
+
+    const enable = check(selection.enable || []);
+    const disable = check(selection.disable || []);
+    return [...this.tools.keys()]
+      .filter(name => (defaults.includes(name) || enable.includes(name)) && !disable.includes(name));
+  }
+}
+
+// Register the tools exported by the modules listed in TOOL_PLUGINS
+// (comma-separated paths). A module's default export may be a tool, a list of
+// tools, or a function that receives the registry.
+export async function loadToolPlugins(registry, plugins = process.env.TOOL_PLUGINS) {
+  const paths = String(plugins || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const pluginPath of paths) {
+    const module = await import(pathToFileURL(path.resolve(pluginPath)).href);
+    const exported = module.default;
+
+    if (typeof exported === 'function') {
+      await exported(registry);
+    } else {
+      for (const tool of Array.isArray(exported) ? exported : [exported]) {
+        registry.register(tool);
+      }
+    }
+    console.log(`Loaded tool plugin ${pluginPath}`);
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Span kinds of the OTLP protocol
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+function attributeValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function attributes(entries) {
+  return Object.entries(entries)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: attributeValue(value) }));
+}
+
+function unixNano(isoTime) {
+  return `${BigInt(Date.parse(isoTime)) * 1000000n}`;
+}
+
+// A stored trace as an OTLP/JSON ExportTraceServiceRequest
+export function toOtlp(trace, { serviceName = process.env.OTEL_SERVICE_NAME || 'langchainpro-agent-system' } = {}) {
+  const spans = trace.spans.map(span => ({
+    traceId: trace.traceId,
+    spanId: span.spanId,
+    ...(span.parentId && { parentSpanId: span.parentId }),
+    name: span.name,
+    kind: span.kind === 'llm' || span.kind === 'retrieval' ? SPAN_KIND_CLIENT : SPAN_KIND_INTERNAL,
+    startTimeUnixNano: unixNano(span.startedAt),
+    endTimeUnixNano: unixNano(span.endedAt || span.startedAt),
+    attributes: attributes({
+      'langchainpro.run_id': trace.runId,
+      'langchainpro.tenant_id': trace.tenantId,
+      'langchainpro.span_kind': span.kind,
+      ...Object.fromEntries(Object.entries(span.attributes).map(([key, value]) => [`langchainpro.${key}`, value])),
+      ...(span.kind === 'llm' && {
+        'gen_ai.system': span.attributes.provider,
+        'gen_ai.request.model': span.attributes.model,
+        'gen_ai.usage.input_tokens': span.usage?.inputTokens,
+        'gen_ai.usage.output_tokens': span.usage?.outputTokens
+      }),
+      'langchainpro.input': span.input,
+      'langchainpro.output': span.output
+    }),
+    status: span.status === 'error'
+      ? { code: STATUS_ERROR, message: span.error?.message || '' }
+      : { code: STATUS_OK }
+  }));
+
+  return {
+    resourceSpans: [{
+      resource: { attributes: attributes({ 'service.name': serviceName }) },
+      scopeSpans: [{ scope: { name: 'langchainpro-agent-system' }, spans }]
+    }]
+  };
+}
+
+// OTLP/HTTP traces endpoint from the standard OpenTelemetry variables, or null
+// when export is off
+export function otlpEndpoint() {
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  }
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces`;
+  }
+  return null;
+}
+
+// Send a trace to an OpenTelemetry collector over OTLP/HTTP with JSON encoding
+export async function exportTrace(trace, endpoint = otlpEndpoint()) {
+  if (!endpoint) {
+    return false;
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(toOtlp(trace)),
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) {
+    throw new Error(`OTLP export to ${endpoint} failed with HTTP ${response.status}`);
+  }
+  return true;
+}
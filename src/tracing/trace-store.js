@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { DEFAULT_TENANT } from '../config/database.js';
+import HttpError from '../utils/http-error.js';
+import { loadJson, saveJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function validateRunId(runId) {
+  if (typeof runId !== 'string' || !RUN_ID_PATTERN.test(runId)) {
+    throw new HttpError(400, 'Run ID must be a UUID');
+  }
+}
+
+// Trace metadata without the spans
+export function summarizeTrace(trace) {
+  return {
+    runId: trace.runId,
+    tenantId: trace.tenantId,
+    sessionId: trace.sessionId,
+    query: typeof trace.query === 'string' ? trace.query.slice(0, 120) : trace.query,
+    mode: trace.mode,
+    decision: trace.decision,
+    status: trace.status,
+    startedAt: trace.startedAt,
+    durationMs: trace.durationMs,
+    usage: trace.usage,
+    errorCount: trace.errors.length,
+    spanCount: trace.spans.length
+  };
+}
+
+// Keeps the latest `maxRuns` traces in process memory. Other stores extend it
+// and override the read/write/remove/all primitives.
+class MemoryTraceStore {
+  constructor({ maxRuns = 200 } = {}) {
+    this.maxRuns = maxRuns;
+    this.traces = new Map();
+  }
+
+  async read(runId) {
+    return this.traces.get(runId) || null;
+  }
+
+  async write(trace) {
+    this.traces.set(trace.runId, trace);
+  }
+
+  async remove(runId) {
+    this.traces.delete(runId);
+  }
+
+  async all() {
+    return [...this.traces.values()];
+  }
+
+  async save(trace) {
+    await this.write(trace);
+
+    const traces = await this.all();
+    if (traces.length > this.maxRuns) {
+      const oldest = traces
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+        .slice(0, traces.length - this.maxRuns);
+      for (const old of oldest) {
+        await this.remove(old.runId);
+      }
+    }
+    return trace;
+  }
+
+  // Traces of other tenants are reported as missing
+  async get(runId, tenantId = DEFAULT_TENANT) {
+    const trace = await this.read(runId);
+    return trace && trace.tenantId === tenantId ? trace : null;
+  }
+
+  // Newest first. filters: { sessionId, status, limit }
+  async list(tenantId = DEFAULT_TENANT, { sessionId, status, limit = 50 } = {}) {
+    return (await this.all())
+      .filter(trace => trace.tenantId === tenantId)
+      .filter(trace => !sessionId || trace.sessionId === sessionId)
+      .filter(trace => !status || trace.status === status)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit)
+      .map(summarizeTrace);
+  }
+
+  async deleteTenant(tenantId) {
+    const traces = (await this.all()).filter(trace => trace.tenantId === tenantId);
+    for (const trace of traces) {
+      await this.remove(trace.runId);
+    }
+    return traces.length;
+  }
+}
+
+// Stores one JSON file per run in a directory
+class FileTraceStore extends MemoryTraceStore {
+  constructor({ directory, maxRuns }) {
+    super({ maxRuns });
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(runId) {
+    return path.join(this.directory, `${runId}.json`);
+  }
+
+  async read(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      return null;
+    }
+    return loadJson(this.filePath(runId), null);
+  }
+
+  async write(trace) {
+    saveJson(this.filePath(trace.runId), trace);
+  }
+
+  async remove(runId) {
+    fs.rmSync(this.filePath(runId), { force: true });
+  }
+
+  async all() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => loadJson(path.join(this.directory, file), null))
+      .filter(Boolean);
+  }
+}
+
+// Pick the store from TRACE_STORE (memory | file)
+export function createTraceStore({
+  type = process.env.TRACE_STORE || 'memory',
+  directory = process.env.TRACES_DIR || './data/traces',
+  maxRuns = parseInt(process.env.TRACE_MAX_RUNS) || 200
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryTraceStore({ maxRuns });
+    case 'file':
+      return new FileTraceStore({ directory, maxRuns });
+    default:
+      throw new Error(`Unknown TRACE_STORE "${type}". Use "memory" or "file"`);
+  }
+}
+
+export { MemoryTraceStore, FileTraceStore };
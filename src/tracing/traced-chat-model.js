@@ -0,0 +1,112 @@
+import { Runnable } from '@langchain/core/runnables';
+import { startSpan } from './tracer.js';
+import { recordModelUsage } from '../usage/usage-meter.js';
+
+// Rough token count for providers that report none: about four characters
+// per token for English text
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function messagesOf(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  const messages = typeof input?.toChatMessages === 'function' ? input.toChatMessages() : Array.isArray(input) ? input : [];
+  return messages.map(message => ({
+    role: typeof message._getType === 'function' ? message._getType() : message.role,
+    content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+  }));
+}
+
+// Token usage as reported by the provider (LangChain usage_metadata, OpenAI
+// tokenUsage or Gemini usageMetadata), else estimated from the text
+export function usageOf(message, prompt, completion) {
+  const metadata = message?.response_metadata || {};
+  const reported = message?.usage_metadata
+    ? [message.usage_metadata.input_tokens, message.usage_metadata.output_tokens]
+    : metadata.tokenUsage
+      ? [metadata.tokenUsage.promptTokens, metadata.tokenUsage.completionTokens]
+      : metadata.usageMetadata
+        ? [metadata.usageMetadata.promptTokenCount, metadata.usageMetadata.candidatesTokenCount]
+        : null;
+
+  if (reported && reported.every(count => Number.isFinite(count))) {
+    return { inputTokens: reported[0], outputTokens: reported[1], totalTokens: reported[0] + reported[1] };
+  }
+  const inputTokens = estimateTokens(prompt);
+  const outputTokens = estimateTokens(completion);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+}
+
+// Wraps a chat model so each call is recorded as an "llm" span of the current
+// trace: the role, provider and model, the prompt messages, the completion and
+// the token usage. The usage is also counted against the request's usage
+// meter. Calls and streaming are passed through unchanged.
+class TracedChatModel extends Runnable {
+  lc_namespace = ['langchainpro', 'tracing'];
+
+  constructor(model, { role, provider, modelName }) {
+    super();
+    this.model = model;
+    this.role = role || 'default';
+    this.provider = provider;
+    // The provider's default model when none was configured
+    this.modelName = modelName || model.model || model.modelName;
+  }
+
+  // Metering never fails the call it meters
+  recordUsage(usage) {
+    try {
+      recordModelUsage({ role: this.role, model: `${this.provider}:${this.modelName || 'default'}`, usage });
+    } catch (error) {
+      console.error('Usage metering error:', error);
+    }
+  }
+
+  startSpan(input) {
+    const messages = messagesOf(input);
+    const span = startSpan(`llm.${this.role}`, {
+      kind: 'llm',
+      input: messages,
+      attributes: { role: this.role, provider: this.provider, model: this.modelName || 'default' }
+    });
+    return { span, prompt: messages.map(message => message.content).join('\n') };
+  }
+
+  async invoke(input, options) {
+    const { span, prompt } = this.startSpan(input);
+    try {
+      const message = await this.model.invoke(input, options);
+      const completion = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+      const usage = usageOf(message, prompt, completion);
+      span?.end({ output: completion, usage });
+      this.recordUsage(usage);
+      return message;
+    } catch (error) {
+      span?.fail(error);
+      throw error;
+    }
+  }
+
+  async *_streamIterator(input, options) {
+    const { span, prompt } = this.startSpan(input);
+    let completion = '';
+    let last;
+    try {
+      for await (const chunk of await this.model.stream(input, options)) {
+        completion += typeof chunk.content === 'string' ? chunk.content : '';
+        last = chunk.usage_metadata || chunk.response_metadata?.tokenUsage || chunk.response_metadata?.usageMetadata ? chunk : last;
+        yield chunk;
+      }
+      const usage = usageOf(last, prompt, completion);
+      span?.end({ output: completion, usage, attributes: { streamed: true } });
+      this.recordUsage(usage);
+    } catch (error) {
+      span?.fail(error, { output: completion });
+      throw error;
+    }
+  }
+}
+
+export default TracedChatModel;
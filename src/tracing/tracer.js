@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// The trace and span of the code that is running, so LLM calls and searches
+// deep inside a graph node attach their spans to that node
+const storage = new AsyncLocalStorage();
+
+// Long prompts, answers and payloads are cut to this many characters
+const MAX_CHARS = parseInt(process.env.TRACE_MAX_CHARS) || 4000;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 6;
+
+export function tracingEnabled() {
+  return !['false', 'off', '0'].includes(String(process.env.TRACING || 'on').toLowerCase());
+}
+
+// A copy of a value that is safe to store: strings cut to MAX_CHARS, lists to
+// MAX_ITEMS entries, nesting to MAX_DEPTH levels, functions and cycles dropped
+export function snapshot(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return value.length > MAX_CHARS ? `${value.slice(0, MAX_CHARS)}... [${value.length - MAX_CHARS} more characters]` : value;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map(item => snapshot(item, depth + 1, seen));
+    return value.length > MAX_ITEMS ? [...items, `[${value.length - MAX_ITEMS} more items]`] : items;
+  }
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    const copied = snapshot(entry, depth + 1, seen);
+    if (copied !== undefined) {
+      copy[key] = copied;
+    }
+  }
+  return copy;
+}
+
+// One unit of work in a run: the run itself, a graph node, a tool, an LLM
+// call or a search
+class Span {
+  constructor({ name, kind, parentId, input, attributes = {} }) {
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentId = parentId || null;
+    this.name = name;
+    this.kind = kind;
+    this.startedAt = new Date().toISOString();
+    this.start = process.hrtime.bigint();
+    this.input = snapshot(input);
+    this.attributes = attributes;
+  }
+
+  end({ output, attributes, usage } = {}) {
+    this.finish('ok', { output, attributes, usage });
+  }
+
+  fail(error, { output, attributes, usage } = {}) {
+    this.finish('error', { output, attributes, usage, error });
+  }
+
+  finish(status, { output, attributes, usage, error }) {
+    if (this.status) {
+      return;
+    }
+    this.status = status;
+    this.endedAt = new Date().toISOString();
+    this.durationMs = Number(process.hrtime.bigint() - this.start) / 1e6;
+    if (output !== undefined) {
+      this.output = snapshot(output);
+    }
+    if (attributes) {
+      Object.assign(this.attributes, attributes);
+    }
+    if (usage) {
+      this.usage = usage;
+    }
+    if (error) {
+      this.error = { message: error.message || String(error), ...(error.stack && { stack: snapshot(error.stack) }) };
+    }
+  }
+
+  toJSON() {
+    return {
+      spanId: this.spanId,
+      parentId: this.parentId,
+      name: this.name,
+      kind: this.kind,
+      status: this.status || 'running',
+      startedAt: this.startedAt,
+      endedAt: this.endedAt || null,
+      durationMs: this.durationMs === undefined ? null : Math.round(this.durationMs * 100) / 100,
+      attributes: this.attributes,
+      ...(this.input !== undefined && { input: this.input }),
+      ...(this.output !== undefined && { output: this.output }),
+      ...(this.usage && { usage: this.usage }),
+      ...(this.error && { error: this.error })
+    };
+  }
+}
+
+// Everything recorded for one graph run, stored under its runId
+export class Trace {
+  constructor({ runId = crypto.randomUUID(), tenantId, sessionId, query, mode } = {}) {
+    this.runId = runId;
+    // OpenTelemetry trace IDs are 16 bytes of hex, which is what a UUID is
+    this.traceId = runId.replace(/-/g, '');
+    this.tenantId = tenantId;
+    this.sessionId = sessionId || null;
+    this.query = query;
+    this.mode = mode || 'route';
+    this.spans = [];
+  }
+
+  startSpan(options) {
+    const span = new Span(options);
+    this.spans.push(span);
+    return span;
+  }
+
+  // Token counts of all LLM calls; `estimated` when a provider reported none
+  usage() {
+    const totals = { inputTokens: 0, outputTokens: 0, totalTokens: 0, llmCalls: 0, estimated: false };
+    for (const span of this.spans.filter(candidate => candidate.kind === 'llm')) {
+      totals.llmCalls++;
+      totals.inputTokens += span.usage?.inputTokens || 0;
+      totals.outputTokens += span.usage?.outputTokens || 0;
+      totals.totalTokens += span.usage?.totalTokens || 0;
+      totals.estimated = totals.estimated || Boolean(span.usage?.estimated);
+    }
+    return totals;
+  }
+
+  toJSON() {
+    const root = this.spans[0];
+    const errors = this.spans
+      .filter(span => span.error)
+      .map(span => ({ spanId: span.spanId, name: span.name, message: span.error.message }));
+
+    return {
+      runId: this.runId,
+      traceId: this.traceId,
+      tenantId: this.tenantId,
+      sessionId: this.sessionId,
+      query: snapshot(this.query),
+      mode: this.mode,
+      decision: root?.attributes.decision ?? null,
+      status: root?.status === 'error' ? 'error' : errors.length > 0 ? 'partial' : 'ok',
+      startedAt: root?.startedAt,
+      endedAt: root?.endedAt || null,
+      durationMs: root?.durationMs === undefined ? null : Math.round(root.durationMs * 100) / 100,
+      usage: this.usage(),
+      errors,
+      spans: this.spans.map(span => span.toJSON())
+    };
+  }
+}
+
+export function currentTrace() {
+  return storage.getStore()?.trace || null;
+}
+
+// A span under the current one that the caller ends itself, for work that has
+// no child spans (such as a streamed LLM call). Null without a current trace.
+export function startSpan(name, { kind = 'internal', input, attributes } = {}) {
+  const context = storage.getStore();
+  return context ? context.trace.startSpan({ name, kind, parentId: context.span?.spanId, input, attributes }) : null;
+}
+
+// Run `work(span)` inside a new span under the current one. The span ends with
+// whatever `work` returns (through `describe(result)` when given, which may
+// return { output, attributes, usage, error }) or with the error it throws.
+// Without a current trace, `work` just runs.
+export async function withSpan(name, { kind = 'internal', input, attributes, describe } = {}, work) {
+  const context = storage.getStore();
+  if (!context) {
+    return work(null);
+  }
+
+  const span = context.trace.startSpan({ name, kind, parentId: context.span?.spanId, input, attributes });
+  return storage.run({ trace: context.trace, span }, async () => {
+    try {
+      const result = await work(span);
+      const described = describe ? describe(result) : { output: result };
+      if (described.error) {
+        span.fail(described.error, described);
+      } else {
+        span.end(described);
+      }
+      return result;
+    } catch (error) {
+      span.fail(error);
+      throw error;
+    }
+  });
+}
+
+// Mark the current span as failed, for errors that are handled rather than
+// thrown
+export function recordError(error) {
+  storage.getStore()?.span?.fail(error);
+}
+
+// Run `work` with `trace` as the current trace
+export function runWithTrace(trace, work) {
+  return trace ? storage.run({ trace, span: null }, work) : work();
+}
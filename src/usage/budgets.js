@@ -0,0 +1,71 @@
+import HttpError from '../utils/http-error.js';
+
+export const BUDGET_PERIODS = ['day', 'month'];
+export const BUDGET_ACTIONS = ['reject', 'downgrade'];
+
+// A budget caps the model spend of a tenant or API key:
+// {
+//   period: 'day' | 'month',            // UTC days and months
+//   costUsd: 5,                         // and/or
+//   tokens: 2000000,
+//   action: 'reject' | 'downgrade',     // what happens to requests once spent
+//   model: 'google:gemini-1.5-flash-8b' // downgrade target, else USAGE_DOWNGRADE_MODEL
+// }
+
+function positiveNumber(value, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new HttpError(400, `${field} must be a positive number`);
+  }
+  return value;
+}
+
+// Check and normalize a budget; null and undefined mean no budget
+export function parseBudget(budget, field = 'budget') {
+  if (budget === undefined || budget === null) {
+    return null;
+  }
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new HttpError(400, `${field} must be an object`);
+  }
+  const period = budget.period ?? 'day';
+  if (!BUDGET_PERIODS.includes(period)) {
+    throw new HttpError(400, `${field}.period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+  }
+  const action = budget.action ?? 'reject';
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new HttpError(400, `${field}.action must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+  }
+  if (budget.costUsd === undefined && budget.tokens === undefined) {
+    throw new HttpError(400, `${field} needs costUsd, tokens or both`);
+  }
+  if (budget.model !== undefined && (typeof budget.model !== 'string' || !budget.model.trim())) {
+    throw new HttpError(400, `${field}.model must be a model spec such as "google:gemini-1.5-flash-8b"`);
+  }
+
+  return {
+    period,
+    ...(budget.costUsd !== undefined && { costUsd: positiveNumber(budget.costUsd, `${field}.costUsd`) }),
+    ...(budget.tokens !== undefined && { tokens: Math.floor(positiveNumber(budget.tokens, `${field}.tokens`)) }),
+    action,
+    ...(budget.model && { model: budget.model.trim() })
+  };
+}
+
+// The first day (YYYY-MM-DD, UTC) of the budget period `now` falls in
+export function periodStart(period, now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  return period === 'month' ? `${day.slice(0, 8)}01` : day;
+}
+
+// How much of a budget is spent: { ...budget, since, spent: { costUsd,
+// tokens }, exceeded }
+export function budgetStatus(budget, spent, since) {
+  const exceeded = (budget.costUsd !== undefined && spent.costUsd >= budget.costUsd)
+    || (budget.tokens !== undefined && spent.tokens >= budget.tokens);
+  return {
+    ...budget,
+    since,
+    spent: { costUsd: Math.round(spent.costUsd * 1e6) / 1e6, tokens: spent.tokens },
+    exceeded
+  };
+}
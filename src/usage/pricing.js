@@ -0,0 +1,79 @@
+import dotenv from 'dotenv';
+import { loadJson } from '../utils/json-file.js';
+
+dotenv.config();
+
+// US dollars per million tokens. "provider:*" prices every model of a
+// provider. Entries in LLM_PRICES (inline JSON) or the JSON file named by
+// LLM_PRICES_FILE are added on top, in the same format.
+const DEFAULT_PRICES = {
+  'google:gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'google:gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+  'google:gemini-1.5-pro': { input: 1.25, output: 5 },
+  'google:gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai:gpt-4o': { input: 2.5, output: 10 },
+  'ollama:*': { input: 0, output: 0 },
+  'mock:*': { input: 0, output: 0 }
+};
+
+function validPrice(price) {
+  return price && Number.isFinite(price.input) && price.input >= 0 && Number.isFinite(price.output) && price.output >= 0;
+}
+
+// Configured prices from one source, or none when it cannot be read
+function readPrices(source, read) {
+  try {
+    const configured = read();
+    if (configured && typeof configured === 'object' && !Array.isArray(configured)) {
+      return configured;
+    }
+    console.warn(`Ignoring ${source}: it must be a JSON object of prices`);
+  } catch (error) {
+    console.warn(`Ignoring ${source}: ${error.message}`);
+  }
+  return {};
+}
+
+// The default prices with the configured ones on top. Bad entries, and
+// sources that are not valid JSON, are skipped with a warning rather than
+// failing the start.
+export function loadPrices({
+  inline = process.env.LLM_PRICES,
+  file = process.env.LLM_PRICES_FILE
+} = {}) {
+  const configured = {
+    ...(file ? readPrices(`LLM_PRICES_FILE "${file}"`, () => loadJson(file, {})) : {}),
+    ...(inline ? readPrices('LLM_PRICES', () => JSON.parse(inline)) : {})
+  };
+
+  const prices = { ...DEFAULT_PRICES };
+  for (const [model, price] of Object.entries(configured)) {
+    if (validPrice(price)) {
+      prices[model] = { input: price.input, output: price.output };
+    } else {
+      console.warn(`Ignoring the price of "${model}": it needs numeric "input" and "output" prices per million tokens`);
+    }
+  }
+  return prices;
+}
+
+// Read at startup, so a bad price setting shows up as a warning in the log
+// instead of in the middle of the first model call
+const prices = loadPrices();
+
+// The price of "provider:model", else of "provider:*", else null
+export function priceOf(model) {
+  const provider = model.slice(0, model.indexOf(':'));
+  return prices[model] || prices[`${provider}:*`] || null;
+}
+
+// Cost of one call in US dollars, null when the model has no price
+export function costOf(model, { inputTokens = 0, outputTokens = 0 }) {
+  const price = priceOf(model);
+  return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null;
+}
+
+export function priceTable() {
+  return { ...prices };
+}
@@ -0,0 +1,74 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { costOf } from './pricing.js';
+
+// The meter of the request that is running, so model calls anywhere in the
+// graph are counted against it
+const storage = new AsyncLocalStorage();
+
+const round = cost => Math.round(cost * 1e6) / 1e6;
+
+// Counts the tokens and cost of the model calls of one request. A meter with
+// a `model` makes every call of the request use that model instead (see
+// getChatModel), which is how budgets downgrade requests.
+export class UsageMeter {
+  constructor({ model = null } = {}) {
+    this.model = model;
+    this.calls = [];
+  }
+
+  // model: "provider:model"; usage: { inputTokens, outputTokens, totalTokens, estimated }
+  record({ role, model, usage }) {
+    this.calls.push({
+      role,
+      model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.totalTokens,
+      ...(usage.estimated && { estimated: true }),
+      costUsd: costOf(model, usage)
+    });
+  }
+
+  // Totals, by model and per call. Calls to models without a price count as
+  // free and are listed in `unpriced`.
+  summary() {
+    const totals = { llmCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimated: false };
+    const byModel = {};
+    for (const call of this.calls) {
+      const model = byModel[call.model] || (byModel[call.model] = { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 });
+      for (const target of [totals, model]) {
+        target.inputTokens += call.inputTokens;
+        target.outputTokens += call.outputTokens;
+        target.totalTokens += call.totalTokens;
+        target.costUsd += call.costUsd || 0;
+      }
+      totals.llmCalls++;
+      model.calls++;
+      totals.estimated = totals.estimated || Boolean(call.estimated);
+    }
+
+    const unpriced = [...new Set(this.calls.filter(call => call.costUsd === null).map(call => call.model))];
+    return {
+      ...totals,
+      costUsd: round(totals.costUsd),
+      ...(unpriced.length > 0 && { unpriced }),
+      ...(this.model && { downgradedTo: this.model }),
+      byModel: Object.fromEntries(Object.entries(byModel).map(([name, model]) => [name, { ...model, costUsd: round(model.costUsd) }])),
+      calls: this.calls.map(call => ({ ...call, costUsd: call.costUsd === null ? null : round(call.costUsd) }))
+    };
+  }
+}
+
+// Run `work` with `meter` counting its model calls
+export function runWithMeter(meter, work) {
+  return meter ? storage.run(meter, work) : work();
+}
+
+export function currentMeter() {
+  return storage.getStore() || null;
+}
+
+// Count a finished model call against the current request, if any
+export function recordModelUsage(call) {
+  currentMeter()?.record(call);
+}
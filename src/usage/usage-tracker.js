@@ -0,0 +1,71 @@
+import dotenv from 'dotenv';
+import { createUsageStore } from '../stores/usage-store.js';
+import HttpError from '../utils/http-error.js';
+import { budgetStatus, periodStart } from './budgets.js';
+import { UsageMeter } from './usage-meter.js';
+
+dotenv.config();
+
+function periodEnd(period, now) {
+  const date = new Date(now);
+  return period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+// Meters requests and keeps their usage by day, tenant and API key. Before a
+// request runs, the budgets of its tenant and key decide whether it runs as
+// asked, runs on a cheaper model or is rejected.
+class UsageTracker {
+  constructor({
+    store = createUsageStore(),
+    downgradeModel = process.env.USAGE_DOWNGRADE_MODEL || null
+  } = {}) {
+    this.store = store;
+    this.downgradeModel = downgradeModel;
+  }
+
+  // The budgets that apply to a request, with what has been spent of them
+  async budgets(tenantId, key, now = Date.now()) {
+    const budgets = [
+      { scope: 'tenant', budget: await this.store.getBudget(tenantId), filter: { tenantId } },
+      { scope: 'key', budget: key?.budget, filter: { keyId: key?.keyId } }
+    ].filter(({ budget }) => budget);
+
+    return Promise.all(budgets.map(async ({ scope, budget, filter }) => {
+      const since = periodStart(budget.period, now);
+      const spent = await this.store.spent({ ...filter, since });
+      return { scope, ...budgetStatus(budget, spent, since) };
+    }));
+  }
+
+  // A meter for a request that may run: it downgrades the model when a spent
+  // budget says so. A spent budget that rejects (or has nothing to downgrade
+  // to) fails the request with 429 and code budget_exceeded.
+  async admit(tenantId, key, now = Date.now()) {
+    const exceeded = (await this.budgets(tenantId, key, now)).filter(status => status.exceeded);
+    if (exceeded.length === 0) {
+      return new UsageMeter();
+    }
+
+    const rejecting = exceeded.find(status => status.action === 'reject' || !(status.model || this.downgradeModel));
+    if (rejecting) {
+      const error = new HttpError(429, `The ${rejecting.scope} budget for this ${rejecting.period} is used up`);
+      error.code = 'budget_exceeded';
+      error.retryAfter = Math.max(1, Math.ceil((periodEnd(rejecting.period, now) - now) / 1000));
+      throw error;
+    }
+    return new UsageMeter({ model: exceeded[0].model || this.downgradeModel });
+  }
+
+  async record(tenantId, key, meter) {
+    try {
+      await this.store.record(tenantId, key?.keyId ?? null, meter.summary());
+    } catch (error) {
+      // Losing a usage record must not fail the request
+      console.error('Usage recording error:', error);
+    }
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,10 @@
+// Error carrying the HTTP status an endpoint should answer with
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default HttpError;
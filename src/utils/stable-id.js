@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// A UUID derived from `parts`, so writing the same thing twice gives the same
+// Weaviate object ID
+export function stableUuid(...parts) {
+  const hex = crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex');
+  // Version 5 and RFC 4122 variant bits
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
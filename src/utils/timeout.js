@@ -0,0 +1,27 @@
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Resolve with the result of `work`, or reject with a TimeoutError after `ms`.
+// `work` receives an AbortSignal that fires on timeout, so it can stop early or
+// drop late output; the promise itself cannot be cancelled.
+export async function withTimeout(work, ms, message = `Timed out after ${ms}ms`) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(message));
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([work(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -1,6 +1,8 @@
 import fetch from 'node-fetch';
 
 const BASE_URL = 'http://localhost:3000';
+// Needed when the server runs with AUTH_ENABLED (an admin key, since /setup is tested)
+const AUTH_HEADERS = process.env.API_KEY ? { Authorization: `Bearer ${process.env.API_KEY}` } : {};
 
 async function testSystem() {
   console.log('🧪 Testing LangChainPro Agent System\n');
@@ -19,7 +21,7 @@ async function testSystem() {
     console.log('2. Setting up Weaviate Database...');
     const setupResponse = await fetch(`${BASE_URL}/setup`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS }
     });
     const setupData = await setupResponse.json();
     console.log('✅ Setup:', setupData.message);
@@ -29,7 +31,7 @@ async function testSystem() {
     console.log('3. Testing Information Query (RAG)...');
     const ragResponse = await fetch(`${BASE_URL}/query`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         query: 'What is machine learning?'
       })
@@ -45,23 +47,41 @@ async function testSystem() {
     console.log('4. Testing Chart Request...');
     const chartResponse = await fetch(`${BASE_URL}/query`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         query: 'Create a bar chart showing sales data for Q1'
       })
     });
     const chartData = await chartResponse.json();
+    // The sample knowledge base has no sales figures, so nothing may be plotted
+    if (chartData.response.chartConfig) {
+      throw new Error('Chart built from unrelated knowledge base data');
+    }
     console.log('✅ Chart Query Response:');
     console.log('   Answer:', chartData.response.answer);
     console.log('   Chart Type:', chartData.response.chartConfig?.type);
     console.log('   Chart Title:', chartData.response.chartConfig?.options?.plugins?.title?.text);
+
+    // Every value written in the query is plotted, also when words follow the last one
+    for (const query of ['Chart sales: Jan 10, Feb 20, Mar 30 please', 'Plot revenue Jan 10, Feb 20, Mar 30 as a histogram']) {
+      const inlineResponse = await fetch(`${BASE_URL}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+        body: JSON.stringify({ query })
+      });
+      const labels = (await inlineResponse.json()).response.chartConfig?.data?.labels || [];
+      if (labels.join(',') !== 'Jan,Feb,Mar') {
+        throw new Error(`"${query}" should chart Jan, Feb and Mar, got [${labels.join(', ')}]`);
+      }
+    }
+    console.log('   Inline values: Jan, Feb, Mar');
     console.log('');
 
     // Test 5: Combined Request
     console.log('5. Testing Combined Request...');
     const combinedResponse = await fetch(`${BASE_URL}/query`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         query: 'Explain neural networks and create a pie chart showing different types'
       })
@@ -77,23 +97,124 @@ async function testSystem() {
     console.log('6. Testing Direct Response...');
     const directResponse = await fetch(`${BASE_URL}/query`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         query: 'Hello, how are you?'
       })
     });
     const directData = await directResponse.json();
+    if (directData.decision !== 'direct') {
+      throw new Error(`Small talk should be answered directly, got "${directData.decision}"`);
+    }
     console.log('✅ Direct Query Response:');
     console.log('   Answer:', directData.response.answer.substring(0, 100) + '...');
     console.log('');
 
-    // Test 7: System Status
-    console.log('7. Testing System Status...');
-    const statusResponse = await fetch(`${BASE_URL}/status`);
+    // Test 7: Response Cache
+    console.log('7. Testing Response Cache...');
+    const cachedQuery = async body => {
+      const response = await fetch(`${BASE_URL}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+        body: JSON.stringify(body)
+      });
+      return { header: response.headers.get('x-cache'), data: await response.json() };
+    };
+    // "refresh" runs the query and stores the answer even if it was cached before
+    const stored = await cachedQuery({ query: 'What are the main types of machine learning?', cache: 'refresh' });
+    if (!stored.header) {
+      console.log('   Response cache is off (RESPONSE_CACHE=off), skipped');
+    } else {
+      const exact = await cachedQuery({ query: 'what are the main types of machine learning' });
+      if (exact.header !== 'HIT' || exact.data.response.cache.match !== 'exact') {
+        throw new Error(`Repeated query should be an exact cache hit, got ${exact.header}`);
+      }
+      const semantic = await cachedQuery({ query: 'What are the main types of ML?' });
+      if (semantic.header !== 'HIT' || semantic.data.response.cache.match !== 'semantic') {
+        throw new Error(`Paraphrased query should be a semantic cache hit, got ${semantic.header}`);
+      }
+      await cachedQuery({ query: 'calculate 4 + 5', cache: 'refresh' });
+      const otherSum = await cachedQuery({ query: 'calculate 2 + 3' });
+      if (otherSum.data.response.cache?.cachedQuery === 'calculate 4 + 5') {
+        throw new Error('"calculate 2 + 3" was answered with the cached answer of "calculate 4 + 5"');
+      }
+      console.log('✅ Response Cache:', stored.header, '->', exact.header, '(exact) ->', semantic.header, '(semantic)');
+      console.log('   Different numbers:', otherSum.data.response.answer);
+    }
+    console.log('');
+
+    // Test 8: Knowledge Base Revert
+    console.log('8. Testing Knowledge Base Revert...');
+    const kbRequest = async (method, path, body) => {
+      const response = await fetch(`${BASE_URL}/kb/entries${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(`${method} /kb/entries${path} failed: ${data.error}`);
+      }
+      return data;
+    };
+    const created = await kbRequest('POST', '', {
+      fileId: 'smoke_test',
+      question: 'What is the smoke test refund window?',
+      answer: 'Thirty days from delivery.'
+    });
+    const entryId = created.entry.id;
+    const updated = await kbRequest('PUT', `/${entryId}`, { answer: 'Ten days from delivery.' });
+    const reverted = await kbRequest('POST', `/${entryId}/revert`, { changeId: updated.changeId, note: 'Smoke test' });
+    if (reverted.entry.answer !== 'Thirty days from delivery.') {
+      throw new Error(`Revert should restore the old answer, got "${reverted.entry.answer}"`);
+    }
+    const history = await kbRequest('GET', `/${entryId}/history`);
+    await kbRequest('DELETE', `/${entryId}`);
+    console.log('✅ Knowledge Base Revert:', reverted.entry.answer);
+    console.log('   History:', history.changes.map(change => change.action).join(', '));
+    console.log('');
+
+    // Test 9: Usage and Budgets
+    console.log('9. Testing Usage and Budgets...');
+    const usageResponse = await fetch(`${BASE_URL}/usage?groupBy=tenant`, { headers: AUTH_HEADERS });
+    const usageData = await usageResponse.json();
+    if (!usageData.success || usageData.totals.requests === 0) {
+      throw new Error(`Usage of the queries above should be recorded: ${usageData.error || 'no requests'}`);
+    }
+    const budgetUrl = `${BASE_URL}/tenants/default/budget`;
+    // Today's queries have spent more than one token, so this budget is used up
+    await fetch(budgetUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+      body: JSON.stringify({ tokens: 1, period: 'day', action: 'reject' })
+    });
+    try {
+      const overBudget = await fetch(`${BASE_URL}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+        body: JSON.stringify({ query: 'What is machine learning?', cache: false })
+      });
+      const overBudgetData = await overBudget.json();
+      if (overBudget.status !== 429 || overBudgetData.code !== 'budget_exceeded' || !overBudget.headers.get('retry-after')) {
+        throw new Error(`A spent budget should reject the query with 429 budget_exceeded, got ${overBudget.status} ${overBudgetData.code}`);
+      }
+      console.log('✅ Usage and Budgets:');
+      console.log('   Tokens today:', usageData.totals.totalTokens, 'cost (USD):', usageData.totals.costUsd);
+      console.log('   Over budget:', overBudget.status, overBudgetData.code, 'retry after', overBudget.headers.get('retry-after'), 's');
+    } finally {
+      await fetch(budgetUrl, { method: 'DELETE', headers: AUTH_HEADERS });
+    }
+    console.log('');
+
+    // Test 10: System Status
+    console.log('10. Testing System Status...');
+    const statusResponse = await fetch(`${BASE_URL}/status`, { headers: AUTH_HEADERS });
     const statusData = await statusResponse.json();
     console.log('✅ System Status:');
-    console.log('   Weaviate Status:', statusData.weaviate?.status);
-    console.log('   Weaviate Version:', statusData.weaviate?.version);
+    console.log('   Vector Store:', statusData.vectorStore?.backend, statusData.vectorStore?.status);
+    if (statusData.weaviate) {
+      console.log('   Weaviate Version:', statusData.weaviate.version);
+    }
     console.log('   Agent Status:', statusData.agent);
     console.log('');
 
@@ -105,10 +226,14 @@ async function testSystem() {
     console.log('   ✅ Chart Tool: PASSED');
     console.log('   ✅ Combined Processing: PASSED');
     console.log('   ✅ Direct Response: PASSED');
+    console.log('   ✅ Response Cache: PASSED');
+    console.log('   ✅ Knowledge Base Revert: PASSED');
+    console.log('   ✅ Usage and Budgets: PASSED');
     console.log('   ✅ System Status: PASSED');
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
     console.log('\n🔧 Troubleshooting:');
     console.log('   1. Make sure the server is running: npm start');
     console.log('   2. Check if Weaviate is running: npm run docker:up');